@@ -0,0 +1,1656 @@
+// ============================================
+// APP (dựng express app từ config, chưa listen)
+// ============================================
+// server.js đọc config rồi listen + chạy job nền; test gọi thẳng createApp
+// với config riêng (storage memory, PayOS giả) và không mở cổng cố định.
+const express = require('express');
+const crypto = require('crypto');
+const cors = require('cors');
+const { createStore } = require('./lib/storage');
+const { createPayosClient } = require('./lib/payos');
+const {
+  hashDeviceId,
+  isExpired,
+  isBlocked,
+  blockedCode,
+  expiredCode,
+  appendHistory,
+  findDevice,
+  seatsRemaining,
+  bindDevice,
+  releaseDevice,
+  touchDevice,
+  findRevokedLicense
+} = require('./lib/licenses');
+const {
+  LEGACY_PLAN,
+  createPlanCatalog,
+  snapshotPlan,
+  isUpgrade,
+  quoteUpgrade
+} = require('./lib/plans');
+const { createMailer } = require('./lib/mailer');
+const { pickLocale } = require('./lib/email-templates');
+const { createTokenService } = require('./lib/license-tokens');
+const { createFulfillmentService } = require('./lib/fulfillment');
+const { createReconciler } = require('./lib/reconciler');
+const { createAdminRouter } = require('./routes/admin');
+const { createResellerRouter } = require('./routes/reseller');
+const { logger, requestLogger } = require('./lib/logger');
+const { createMetrics } = require('./lib/metrics');
+const { logAbuse, createRateLimiter, createLockout } = require('./lib/rate-limit');
+const { normalizeCouponCode, checkCoupon, applyCoupon } = require('./lib/coupons');
+const { startTrial } = require('./lib/trials');
+const {
+  TRANSFER_CODE_TTL_MS,
+  issueTransferCode,
+  verifyOwnership,
+  recentTransfers,
+  transferLicense
+} = require('./lib/transfers');
+const { createPaymentEvents } = require('./lib/payment-events');
+const { createWebhookService } = require('./lib/webhooks');
+const { resolveEntitlements } = require('./lib/entitlements');
+const { VERSION_PATTERN, compareVersions, createRemoteConfig } = require('./lib/remote-config');
+const { localeOf, errorMessage, sendError, notFoundHandler, errorHandler } = require('./lib/errors');
+const { v, validate, sendValidationError } = require('./lib/validation');
+
+// Giới hạn request cho các endpoint public không cần đăng nhập
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+
+// Nhập sai key / mã bí mật N lần trong 15 phút -> khóa 15 phút
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+// Gửi lại mã cho cùng một email tối đa một lần mỗi 10 phút
+const RESEND_COOLDOWN_MS = 10 * 60 * 1000;
+
+/**
+ * @param {object} config - kết quả loadConfig (lib/config)
+ * @param {object} [deps]
+ * @param {object} [deps.metrics] - metrics riêng của app (lib/metrics createMetrics), không truyền thì tạo mới
+ * @returns {{ app: import('express').Express, store: object, payos: object, mailer: object,
+ *   tokens: object, fulfillment: object, reconciler: object, paymentEvents: object, webhooks: object,
+ *   remoteConfig: object, metrics: object }}
+ */
+function createApp(config, { metrics = createMetrics() } = {}) {
+  const app = express();
+
+  // ============================================
+  // MIDDLEWARE
+  // ============================================
+  // Chạy sau reverse proxy (Render...) nên lấy IP thật từ X-Forwarded-For
+  app.set('trust proxy', config.trustProxyHops || false);
+  app.use(cors({ origin: config.corsOrigins }));
+  app.use(express.json());
+  app.use(requestLogger());
+
+  // ============================================
+  // STORAGE (file JSON mặc định, memory cho test)
+  // ============================================
+  const store = createStore(config.storage);
+
+  const licenses = store.collection('licenses');             // licenseKey -> license data
+  const payments = store.collection('payments');             // orderId -> payment data
+  const deviceLicenses = store.collection('deviceLicenses'); // hashedDeviceId -> licenseKey
+  const coupons = store.collection('coupons');               // couponCode -> coupon
+  const licenseResends = store.collection('licenseResends');  // hash email -> lần gửi lại gần nhất
+
+  metrics.watchStore(store);
+
+  // ============================================
+  // PLAN CATALOG (mặc định hoặc PLANS_FILE, đã kiểm tra trong lib/config)
+  // ============================================
+  const plans = createPlanCatalog({ plans: config.plans, trialDays: config.trialDays });
+  const { listPlans, getPlan } = plans;
+
+  // ============================================
+  // LICENSE TOKENS (ký offline token cho extension)
+  // ============================================
+  const tokens = createTokenService({
+    store,
+    ...config.licenseTokens
+  });
+
+  // ============================================
+  // PAYOS CLIENT
+  // ============================================
+  const payos = createPayosClient(config.payos, metrics);
+
+  // ============================================
+  // MAILER
+  // ============================================
+  const mailer = createMailer(config.smtp);
+
+  // ============================================
+  // REMOTE CONFIG (feature flag + phiên bản extension tối thiểu)
+  // ============================================
+  const remoteConfig = createRemoteConfig({ store, defaults: config.remoteConfig });
+
+  // ============================================
+  // PAYMENT EVENTS (SSE cho extension đang chờ thanh toán)
+  // ============================================
+  const paymentEvents = createPaymentEvents();
+
+  // ============================================
+  // OUTBOUND WEBHOOKS (báo sự kiện cho endpoint admin đăng ký)
+  // ============================================
+  const webhooks = createWebhookService({ store, metrics });
+  store.events.on('licenseHistory', webhooks.onLicenseHistory);
+
+  // ============================================
+  // FULFILLMENT (payment -> license, idempotent)
+  // ============================================
+  const fulfillment = createFulfillmentService({
+    store,
+    metrics,
+    onFulfilled: (payment, license, batch) => sendLicenseEmail(payment, license, batch),
+    onPaymentChanged: payment => {
+      paymentEvents.publish(payment);
+      webhooks.onPaymentChanged(payment);
+    }
+  });
+
+  // ============================================
+  // RECONCILER (đối soát order pending với PayOS)
+  // ============================================
+  const reconciler = createReconciler({
+    store,
+    payos,
+    fulfillment,
+    staleAfterMs: config.reconcileStaleMs,
+    expireAfterMs: config.paymentLinkTtlMs
+  });
+
+  // ============================================
+  // RATE LIMITING (chống dò license key / order)
+  // ============================================
+  const lookupLimiter = createRateLimiter({
+    name: 'lookup-ip',
+    windowMs: RATE_LIMIT_WINDOW_MS,
+    max: config.rateLimits.lookupPerIp
+  });
+
+  const activateLimiter = createRateLimiter({
+    name: 'activate-ip',
+    windowMs: RATE_LIMIT_WINDOW_MS,
+    max: config.rateLimits.activatePerIp
+  });
+
+  const deviceLimiter = createRateLimiter({
+    name: 'device',
+    windowMs: RATE_LIMIT_WINDOW_MS,
+    max: config.rateLimits.devicePerDevice,
+    keyFn: req => typeof req.body.deviceId === 'string' ? hashDeviceId(req.body.deviceId) : null
+  });
+
+  // Khóa theo IP và theo thiết bị khi nhập sai key / mã bí mật đơn hàng
+  const failedAttempts = createLockout({
+    maxFailures: config.rateLimits.lockoutMaxFailures,
+    windowMs: LOCKOUT_MS,
+    lockMs: LOCKOUT_MS
+  });
+
+  function lockoutKeys(req) {
+    const keys = [`ip:${req.ip}`];
+    if (typeof req.body?.deviceId === 'string') {
+      keys.push(`device:${hashDeviceId(req.body.deviceId)}`);
+    }
+    return keys;
+  }
+
+  // Trả 429 nếu IP/thiết bị đang bị khóa, ngược lại cho qua
+  function rejectIfLocked(req, res, next) {
+    const remaining = Math.max(...lockoutKeys(req).map(key => failedAttempts.remaining(key)));
+    if (remaining === 0) return next();
+
+    const retryAfter = Math.ceil(remaining / 1000);
+    res.set('Retry-After', String(retryAfter));
+    sendError(req, res, 'TOO_MANY_ATTEMPTS', {
+      params: { minutes: Math.ceil(retryAfter / 60) },
+      extra: { valid: false, retryAfter }
+    });
+  }
+
+  function recordFailedAttempt(req, type, details = {}) {
+    logAbuse(type, req, details);
+    for (const key of lockoutKeys(req)) {
+      if (failedAttempts.fail(key)) {
+        logAbuse('lockout', req, { key, lockMs: LOCKOUT_MS });
+      }
+    }
+  }
+
+  // ============================================
+  // HELPER FUNCTIONS
+  // ============================================
+
+  // Lỗi ngoài dự kiến trong route: PayOS lỗi -> 502 PAYOS_ERROR, còn lại 500 INTERNAL_ERROR
+  function sendUnexpectedError(req, res, error) {
+    sendError(req, res, error.isPayosError ? 'PAYOS_ERROR' : 'INTERNAL_ERROR');
+  }
+
+  // Ngôn ngữ email: body.locale, nếu không có thì theo Accept-Language
+  function resolveLocale(req) {
+    return pickLocale(req.body.locale || req.acceptsLanguages('vi', 'en') || 'vi');
+  }
+
+  // orderCode ngẫu nhiên (không đoán được như Date.now()), vẫn là số nguyên PayOS chấp nhận
+  function generateOrderCode() {
+    let orderCode;
+    do {
+      orderCode = crypto.randomInt(1e12, 2 ** 48 - 1);
+    } while (payments.has(orderCode.toString()));
+    return orderCode;
+  }
+
+  function hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  // Mã bí mật trả về cho client lúc tạo payment, bắt buộc khi tra cứu / hủy order.
+  // Payment cũ (trước khi có mã bí mật) không có clientSecretHash nên vẫn tra cứu được.
+  function hasOrderAccess(req, payment) {
+    if (!payment.clientSecretHash) return true;
+
+    const provided = req.get('x-order-secret') || req.query.secret || req.body?.secret;
+    if (typeof provided !== 'string' || !provided) return false;
+
+    return crypto.timingSafeEqual(
+      Buffer.from(hashSecret(provided), 'hex'),
+      Buffer.from(payment.clientSecretHash, 'hex')
+    );
+  }
+
+  /**
+   * Tạo link PayOS và lưu payment pending.
+   * @param {object} options
+   * @param {object} options.plan - plan trong catalog
+   * @param {number} options.amount - số tiền VND phải trả
+   * @param {'new'|'renewal'|'upgrade'|'bulk'} [options.type]
+   * @param {string} [options.targetLicenseKey] - license được gia hạn/nâng cấp
+   * @param {string} [options.email] - email người mua để gửi mã
+   * @param {'vi'|'en'} [options.locale]
+   * @param {{ code: string, discount: number }} [options.coupon] - mã giảm giá đã áp vào amount
+   * @param {number} [options.quantity] - số license (đơn mua sỉ)
+   * @param {string} [options.resellerId] - đại lý đặt đơn mua sỉ
+   * @param {string} [options.deviceIdHash] - thiết bị mua, để chuyển bản dùng thử sau khi thanh toán
+   * @param {number} [options.carryOverDays] - ngày cộng thêm khi nâng cấp (lib/plans quoteUpgrade)
+   */
+  async function createCheckout({
+    plan,
+    amount,
+    type = 'new',
+    targetLicenseKey = null,
+    email = null,
+    locale = 'vi',
+    coupon = null,
+    quantity = 1,
+    resellerId = null,
+    deviceIdHash = null,
+    carryOverDays = 0
+  }) {
+    // PayOS chỉ nhận số nguyên VND > 0; giá sai (catalog, coupon, báo giá nâng cấp) là lỗi code
+    if (!Number.isInteger(amount) || amount <= 0) {
+      throw new Error(`Số tiền thanh toán không hợp lệ: ${amount}`);
+    }
+
+    const orderCode = generateOrderCode();
+    const clientSecret = crypto.randomBytes(24).toString('base64url');
+
+    const checkout = await payos.createPaymentLink({
+      orderCode,
+      amount,
+      description: plan.name,
+      returnUrl: config.paymentReturnUrl,
+      cancelUrl: config.paymentReturnUrl,
+      expiredAt: Math.floor((Date.now() + config.paymentLinkTtlMs) / 1000)
+    });
+
+    metrics.paymentsCreated.inc({ type, plan: plan.id });
+    logger.info('payment link created', { orderId: orderCode, type, amount, planId: plan.id });
+
+    const payment = {
+      orderId: orderCode,
+      status: 'pending',
+      type,
+      amount,
+      productName: plan.name,
+      planId: plan.id,
+      plan: snapshotPlan(plan),
+      couponCode: coupon ? coupon.code : null,
+      discount: coupon ? coupon.discount : 0,
+      quantity,
+      resellerId,
+      deviceIdHash,
+      targetLicenseKey,
+      carryOverDays,
+      email,
+      locale,
+      clientSecretHash: hashSecret(clientSecret),
+      createdAt: new Date().toISOString(),
+      licenseKey: null
+    };
+
+    // Lưu payment vào database
+    payments.set(orderCode.toString(), payment);
+
+    return { payment, clientSecret, checkoutUrl: checkout.checkoutUrl };
+  }
+
+  /**
+   * Áp mã giảm giá cho gói. Mã rỗng = không giảm.
+   * @returns {{ ok: true, amount: number, coupon: object|null } | { ok: false, code: string }}
+   */
+  function priceWithCoupon(plan, couponCode) {
+    const code = normalizeCouponCode(couponCode);
+    if (!code) {
+      return { ok: true, amount: plan.price, coupon: null };
+    }
+
+    const coupon = coupons.get(code);
+    const check = checkCoupon(coupon, plan);
+    if (!check.ok) {
+      return check;
+    }
+
+    const { amount, discount } = applyCoupon(coupon, plan.price);
+    return { ok: true, amount, coupon: { code, discount } };
+  }
+
+  // Gửi mã + biên nhận sau khi fulfill; chạy nền để webhook trả lời PayOS ngay
+  // (đơn mua sỉ: chỉ báo lô đã sẵn sàng cho đại lý)
+  function sendLicenseEmail(payment, license, batch) {
+    const to = payment.email || license?.email;
+    if (!to) return;
+
+    const sending = batch
+      ? mailer.send('batchReady', to, {
+        locale: payment.locale,
+        batchId: batch.id,
+        quantity: batch.quantity,
+        orderId: payment.orderId,
+        planName: payment.productName,
+        amount: payment.amount
+      })
+      : mailer.send('license', to, {
+        locale: payment.locale || license.locale,
+        type: payment.type || 'new',
+        licenseKey: license.key,
+        expiryDate: license.expiryDate,
+        orderId: payment.orderId,
+        planName: payment.productName,
+        amount: payment.amount
+      });
+
+    sending.then(sent => {
+      if (!sent) return;
+      const latest = payments.get(payment.orderId.toString());
+      latest.emailSentAt = new Date().toISOString();
+      payments.set(payment.orderId.toString(), latest);
+    });
+  }
+
+  // Token offline cho thiết bị; không cấp cho license hết hạn / bị khóa
+  function issueLicenseToken(license, deviceIdHash) {
+    if (isBlocked(license) || isExpired(license)) {
+      return null;
+    }
+    return tokens.issue(license, deviceIdHash, { entitlements: entitlementsOf(license) });
+  }
+
+  // Gói hiện tại của license (legacy nếu không còn trong catalog)
+  function currentPlanOf(license) {
+    return getPlan(license.planId) || { ...LEGACY_PLAN, seats: license.seats };
+  }
+
+  // Tính năng + giới hạn của license (theo gói, cộng phần admin ghi đè)
+  function entitlementsOf(license) {
+    return resolveEntitlements(currentPlanOf(license), license.entitlementOverrides);
+  }
+
+  // ============================================
+  // ROUTES
+  // ============================================
+
+  // Health check
+  app.get('/', (req, res) => {
+    res.json({
+      status: 'running',
+      message: '✅ Packing Backend đang hoạt động',
+      version: '3.1.0',
+      endpoints: [
+        'GET  /api/plans',
+        'GET  /api/remote-config',
+        'POST /api/create-payment',
+        'POST /api/validate-coupon',
+        'POST /api/cancel-payment/:orderId',
+        'POST /api/renew-license',
+        'POST /api/upgrade-quote',
+        'POST /api/upgrade-license',
+        'POST /api/payos-webhook', 
+        'GET  /api/get-license/:orderId',
+        'GET  /api/payment-events/:orderId  (SSE)',
+        'POST /api/resend-license',
+        'POST /api/start-trial',
+        'POST /api/bind-device',
+        'POST /api/check-device-license',
+        'POST /api/activate-license',
+        'POST /api/release-device',
+        'POST /api/transfer-license/request-code',
+        'POST /api/transfer-license',
+        'GET  /api/license-keys',
+        'POST /api/refresh-license-token',
+        'GET  /api/payment-success',
+        'GET  /health/live',
+        'GET  /health/ready',
+        'GET  /metrics',
+        'GET  /api/admin/*  (cần admin key)',
+        '*    /api/reseller/*  (cần reseller key)'
+      ]
+    });
+  });
+
+  // ============================================
+  // HEALTH CHECK + METRICS
+  // ============================================
+
+  // Liveness: process còn chạy và trả lời được
+  app.get('/health/live', (req, res) => {
+    res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+  });
+
+  // Readiness: storage đọc/ghi được và đã cấu hình PayOS, không thì 503
+  app.get('/health/ready', (req, res) => {
+    const checks = {};
+
+    try {
+      store.ping();
+      checks.storage = { ok: true, driver: store.driver };
+    } catch (error) {
+      logger.error('storage readiness check failed', { error });
+      checks.storage = { ok: false, driver: store.driver, error: error.code || error.message };
+    }
+
+    const missing = Object.entries({
+      PAYOS_CLIENT_ID: config.payos.clientId,
+      PAYOS_API_KEY: config.payos.apiKey,
+      PAYOS_CHECKSUM_KEY: config.payos.checksumKey
+    }).filter(([, value]) => !value).map(([name]) => name);
+    checks.payos = missing.length ? { ok: false, missing } : { ok: true };
+
+    const ready = Object.values(checks).every(check => check.ok);
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', checks });
+  });
+
+  app.get('/metrics', (req, res) => {
+    if (config.metricsToken) {
+      const provided = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+      const authorized = crypto.timingSafeEqual(
+        Buffer.from(hashSecret(provided), 'hex'),
+        Buffer.from(hashSecret(config.metricsToken), 'hex')
+      );
+      if (!authorized) {
+        return sendError(req, res, 'UNAUTHORIZED');
+      }
+    }
+
+    res.set('Content-Type', metrics.registry.contentType);
+    res.send(metrics.registry.render());
+  });
+
+  // ============================================
+  // PAYMENT SUCCESS PAGE (Return URL từ PayOS)
+  // ============================================
+  app.get('/api/payment-success', async (req, res) => {
+    const { code, status, orderCode, cancel } = req.query;
+
+    logger.info('payment return page', { orderId: orderCode, code, status, cancel });
+
+    // Query string do trình duyệt gửi lên nên không đáng tin. Nếu order còn pending
+    // thì hỏi thẳng PayOS (reconciler) để cập nhật, không bao giờ dựa vào query.
+    let payment = orderCode ? payments.get(orderCode.toString()) : undefined;
+
+    if (payment?.status === 'pending') {
+      try {
+        await reconciler.reconcileOrder(orderCode, 'return-page');
+        payment = payments.get(orderCode.toString());
+      } catch (error) {
+        logger.warn('return page reconcile failed', { orderId: orderCode, error: error.message });
+      }
+    }
+
+    const isSuccess = payment?.status === 'paid';
+    const isCancelled = ['cancelled', 'expired'].includes(payment?.status) ||
+      (!isSuccess && (cancel === 'true' || status === 'CANCELLED'));
+
+    res.send(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+          <title>${isSuccess ? 'Thanh toán thành công' : 'Thanh toán'}</title>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <style>
+              * { margin: 0; padding: 0; box-sizing: border-box; }
+              body { 
+                  font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; 
+                  text-align: center; 
+                  background: linear-gradient(135deg, ${isSuccess ? '#667eea' : '#ef4444'} 0%, ${isSuccess ? '#764ba2' : '#dc2626'} 100%);
+                  min-height: 100vh;
+                  display: flex;
+                  align-items: center;
+                  justify-content: center;
+                  padding: 20px;
+              }
+              .container {
+                  max-width: 450px;
+                  width: 100%;
+                  padding: 50px 40px;
+                  background: white;
+                  border-radius: 24px;
+                  box-shadow: 0 20px 60px rgba(0,0,0,0.3);
+              }
+              .icon { font-size: 80px; margin-bottom: 20px; }
+              h1 { color: ${isSuccess ? '#10b981' : '#ef4444'}; margin-bottom: 16px; font-size: 28px; }
+              p { font-size: 16px; margin-bottom: 12px; color: #555; line-height: 1.6; }
+              .order-code { 
+                  background: #f3f4f6; 
+                  padding: 10px 20px; 
+                  border-radius: 8px; 
+                  font-family: monospace;
+                  margin: 16px 0;
+                  font-size: 14px;
+              }
+              .close-btn { 
+                  margin-top: 24px; 
+                  padding: 14px 40px; 
+                  background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
+                  color: white; 
+                  border: none; 
+                  border-radius: 12px; 
+                  font-size: 16px; 
+                  font-weight: 600;
+                  cursor: pointer;
+              }
+              .close-btn:hover { opacity: 0.9; }
+              .note { font-size: 14px; color: #888; margin-top: 20px; }
+          </style>
+      </head>
+      <body>
+          <div class="container">
+              <div class="icon">${isSuccess ? '✅' : (isCancelled ? '❌' : '⏳')}</div>
+              <h1>${isSuccess ? 'Thanh toán thành công!' : (isCancelled ? 'Đã hủy thanh toán' : 'Đang xử lý...')}</h1>
+              ${isSuccess ? `
+                  <p>Cảm ơn bạn đã nâng cấp <strong>Premium</strong>!</p>
+                  <div class="order-code">Mã đơn: ${payment.orderId}</div>
+                  <p><strong>Bạn có thể đóng tab này.</strong></p>
+                  <p class="note">Extension sẽ tự động kích hoạt Premium trong vài giây.</p>
+              ` : (isCancelled ? `
+                  <p>Bạn đã hủy thanh toán.</p>
+                  <p>Vui lòng thử lại nếu muốn nâng cấp Premium.</p>
+              ` : `
+                  <p>Đang chờ xác nhận thanh toán từ ngân hàng...</p>
+                  <p class="note">Extension sẽ tự động kích hoạt Premium khi thanh toán được xác nhận.</p>
+              `)}
+              <button class="close-btn" onclick="window.close()">Đóng tab này</button>
+          </div>
+      </body>
+      </html>
+    `);
+  });
+
+  // ============================================
+  // PLANS (Danh sách gói để extension hiển thị)
+  // ============================================
+  app.get('/api/plans', (req, res) => {
+    res.json({
+      success: true,
+      plans: listPlans().map(plan => ({
+        id: plan.id,
+        name: plan.name,
+        price: plan.price,
+        currency: 'VND',
+        durationDays: plan.durationDays,
+        lifetime: plan.durationDays === null,
+        seats: plan.seats,
+        entitlements: resolveEntitlements(plan)
+      }))
+    });
+  });
+
+  // ============================================
+  // REMOTE CONFIG (feature flag cho extension)
+  // ============================================
+  // ?version=1.2.3 (phiên bản extension) -> updateRequired nếu cũ hơn minExtensionVersion
+  app.get('/api/remote-config', lookupLimiter, validate({
+    query: { version: v.string({ max: 20, pattern: VERSION_PATTERN }) }
+  }), (req, res) => {
+    const { minExtensionVersion, latestExtensionVersion, flags, message, updatedAt } = remoteConfig.get();
+    const { version } = req.query;
+
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json({
+      success: true,
+      minExtensionVersion,
+      latestExtensionVersion,
+      updateRequired: version ? compareVersions(version, minExtensionVersion) < 0 : null,
+      updateAvailable: version && latestExtensionVersion ? compareVersions(version, latestExtensionVersion) < 0 : null,
+      flags,
+      message,
+      updatedAt
+    });
+  });
+
+  // ============================================
+  // CREATE PAYMENT LINK
+  // ============================================
+  app.post('/api/create-payment', validate({
+    body: {
+      planId: v.planId({ required: true }),
+      email: v.email(),
+      couponCode: v.string({ max: 32, upper: true }),
+      deviceId: v.deviceId(),
+      locale: v.locale()
+    }
+  }), async (req, res) => {
+    try {
+      const { planId, email, couponCode, deviceId } = req.body;
+
+      // Giá và thời hạn lấy từ catalog, không tin số tiền client gửi lên
+      const plan = getPlan(planId);
+
+      if (!plan) {
+        return sendError(req, res, 'PLAN_NOT_FOUND');
+      }
+
+      const pricing = priceWithCoupon(plan, couponCode);
+
+      if (!pricing.ok) {
+        return sendError(req, res, pricing.code);
+      }
+
+      const { payment, clientSecret, checkoutUrl } = await createCheckout({
+        plan,
+        amount: pricing.amount,
+        email: email || null,
+        locale: resolveLocale(req),
+        coupon: pricing.coupon,
+        deviceIdHash: deviceId ? hashDeviceId(deviceId) : null
+      });
+
+      res.json({
+        success: true,
+        checkoutUrl,
+        orderId: payment.orderId,
+        clientSecret,
+        planId: plan.id,
+        price: plan.price,
+        couponCode: payment.couponCode,
+        discount: payment.discount,
+        amount: payment.amount,
+        message: 'Tạo link thanh toán thành công'
+      });
+
+    } catch (error) {
+      logger.error('create payment failed', { error, payos: error.response?.data });
+      sendUnexpectedError(req, res, error);
+    }
+  });
+
+  // ============================================
+  // VALIDATE COUPON (Extension kiểm tra mã trước khi thanh toán)
+  // ============================================
+  app.post('/api/validate-coupon', lookupLimiter, validate({
+    body: {
+      couponCode: v.string({ required: true, max: 32, upper: true }),
+      planId: v.planId({ required: true })
+    }
+  }), (req, res) => {
+    const { couponCode, planId } = req.body;
+
+    const plan = getPlan(planId);
+
+    if (!plan) {
+      return sendError(req, res, 'PLAN_NOT_FOUND', { extra: { valid: false } });
+    }
+
+    const pricing = priceWithCoupon(plan, couponCode);
+
+    if (!pricing.ok) {
+      return sendError(req, res, pricing.code, { extra: { valid: false } });
+    }
+
+    res.json({
+      success: true,
+      valid: true,
+      couponCode: pricing.coupon.code,
+      planId: plan.id,
+      price: plan.price,
+      discount: pricing.coupon.discount,
+      amount: pricing.amount,
+      message: 'Mã giảm giá hợp lệ'
+    });
+  });
+
+  // ============================================
+  // CANCEL PAYMENT (Hủy link thanh toán trên PayOS)
+  // ============================================
+  app.post('/api/cancel-payment/:orderId', lookupLimiter, rejectIfLocked, validate({
+    params: { orderId: v.orderId({ required: true }) },
+    body: { reason: v.string({ max: 100 }), secret: v.string({ max: 100 }) }
+  }), async (req, res) => {
+    try {
+      const { orderId } = req.params;
+      const payment = payments.get(orderId);
+
+      if (!payment) {
+        return sendError(req, res, 'ORDER_NOT_FOUND');
+      }
+
+      if (!hasOrderAccess(req, payment)) {
+        recordFailedAttempt(req, 'invalid_order_secret', { orderId });
+        return sendError(req, res, 'ORDER_SECRET_INVALID');
+      }
+
+      if (payment.status !== 'pending') {
+        return sendError(req, res, 'ORDER_NOT_CANCELLABLE', { extra: { status: payment.status } });
+      }
+
+      const reason = req.body.reason || null;
+
+      try {
+        await payos.cancelPaymentLink(orderId, reason || 'Khách hủy');
+      } catch (error) {
+        // Có thể khách vừa thanh toán xong: hỏi lại PayOS thay vì hủy mù
+        logger.warn('PayOS cancel failed', { orderId, error: error.message });
+        const outcome = await reconciler.reconcileOrder(orderId, 'cancel-request');
+        const latest = payments.get(orderId);
+        if (latest.status !== 'cancelled') {
+          return sendError(req, res, 'ORDER_NOT_CANCELLABLE', { extra: { status: latest.status, outcome } });
+        }
+        return res.json({
+          success: true,
+          status: latest.status,
+          outcome,
+          message: 'Đã hủy thanh toán'
+        });
+      }
+
+      await fulfillment.closePayment(orderId, 'cancelled', { source: 'user', reason });
+
+      res.json({
+        success: true,
+        status: payments.get(orderId).status,
+        message: 'Đã hủy thanh toán'
+      });
+
+    } catch (error) {
+      logger.error('cancel payment failed', { error, payos: error.response?.data });
+      sendUnexpectedError(req, res, error);
+    }
+  });
+
+  // ============================================
+  // RENEW LICENSE (Gia hạn key đang có)
+  // ============================================
+  app.post('/api/renew-license', activateLimiter, rejectIfLocked, validate({
+    body: {
+      licenseKey: v.licenseKey({ required: true }),
+      planId: v.planId(),
+      email: v.email(),
+      locale: v.locale()
+    }
+  }), async (req, res) => {
+    try {
+      const { licenseKey, planId, email } = req.body;
+
+      const license = licenses.get(licenseKey);
+
+      if (!license) {
+        recordFailedAttempt(req, 'invalid_license_key');
+        return sendError(req, res, 'LICENSE_NOT_FOUND');
+      }
+
+      if (isBlocked(license)) {
+        return sendError(req, res, blockedCode(license), { extra: { status: license.status } });
+      }
+
+      if (license.expiryDate === null) {
+        return sendError(req, res, 'LICENSE_LIFETIME');
+      }
+
+      if (license.trial) {
+        return sendError(req, res, 'TRIAL_NOT_RENEWABLE');
+      }
+
+      // Gia hạn đúng gói đang dùng, đổi gói phải qua nâng cấp. License cũ không có gói
+      // trong catalog (legacy) thì chọn gói, fulfillment chuyển license sang gói đó.
+      const ownPlan = getPlan(license.planId);
+      const plan = ownPlan || getPlan(planId);
+
+      if (!plan || (planId && planId !== plan.id) || plan.durationDays === null) {
+        return sendError(req, res, 'INVALID_RENEWAL_PLAN');
+      }
+
+      const { payment, clientSecret, checkoutUrl } = await createCheckout({
+        plan,
+        amount: plan.price,
+        type: 'renewal',
+        targetLicenseKey: license.key,
+        email: email || license.email || null,
+        locale: resolveLocale(req)
+      });
+
+      res.json({
+        success: true,
+        checkoutUrl,
+        orderId: payment.orderId,
+        clientSecret,
+        planId: plan.id,
+        amount: payment.amount,
+        message: 'Tạo link gia hạn thành công'
+      });
+
+    } catch (error) {
+      logger.error('renew license failed', { error, payos: error.response?.data });
+      sendUnexpectedError(req, res, error);
+    }
+  });
+
+  const upgradeSchema = {
+    body: {
+      licenseKey: v.licenseKey({ required: true }),
+      planId: v.planId({ required: true }),
+      email: v.email(),
+      locale: v.locale()
+    }
+  };
+
+  // Kiểm tra license + gói mới có nâng cấp được không, trả về báo giá
+  // (hoặc { code } là mã lỗi trong lib/errors.js). Key không tồn tại tính là một lần nhập sai.
+  function prepareUpgrade(req, licenseKey, planId) {
+    const license = licenses.get(licenseKey);
+
+    if (!license) {
+      recordFailedAttempt(req, 'invalid_license_key');
+      return { code: 'LICENSE_NOT_FOUND' };
+    }
+    if (isBlocked(license)) {
+      return { code: blockedCode(license) };
+    }
+    if (license.trial) {
+      return { code: 'TRIAL_NOT_RENEWABLE' };
+    }
+
+    const newPlan = getPlan(planId);
+
+    if (!newPlan) {
+      return { code: 'PLAN_NOT_FOUND' };
+    }
+
+    const currentPlan = currentPlanOf(license);
+
+    if (!isUpgrade(currentPlan, newPlan)) {
+      return { code: 'NOT_AN_UPGRADE' };
+    }
+
+    return { license, currentPlan, newPlan, quote: quoteUpgrade(license, currentPlan, newPlan) };
+  }
+
+  // ============================================
+  // UPGRADE QUOTE (Xem giá nâng cấp trước khi thanh toán)
+  // ============================================
+  app.post('/api/upgrade-quote', activateLimiter, rejectIfLocked, validate(upgradeSchema), (req, res) => {
+    const { licenseKey, planId } = req.body;
+    const upgrade = prepareUpgrade(req, licenseKey, planId);
+
+    if (upgrade.code) {
+      return sendError(req, res, upgrade.code);
+    }
+
+    res.json({
+      success: true,
+      fromPlanId: upgrade.currentPlan.id,
+      planId: upgrade.newPlan.id,
+      price: upgrade.newPlan.price,
+      credit: upgrade.quote.credit,
+      carryOverDays: upgrade.quote.carryOverDays,
+      amount: upgrade.quote.amount
+    });
+  });
+
+  // ============================================
+  // UPGRADE LICENSE (Đổi sang gói nhiều máy / dài hạn hơn)
+  // ============================================
+  app.post('/api/upgrade-license', activateLimiter, rejectIfLocked, validate(upgradeSchema), async (req, res) => {
+    try {
+      const { licenseKey, planId, email } = req.body;
+
+      const upgrade = prepareUpgrade(req, licenseKey, planId);
+
+      if (upgrade.code) {
+        return sendError(req, res, upgrade.code);
+      }
+
+      const { payment, clientSecret, checkoutUrl } = await createCheckout({
+        plan: upgrade.newPlan,
+        amount: upgrade.quote.amount,
+        type: 'upgrade',
+        targetLicenseKey: upgrade.license.key,
+        carryOverDays: upgrade.quote.carryOverDays,
+        email: email || upgrade.license.email || null,
+        locale: resolveLocale(req)
+      });
+
+      res.json({
+        success: true,
+        checkoutUrl,
+        orderId: payment.orderId,
+        clientSecret,
+        planId: upgrade.newPlan.id,
+        credit: upgrade.quote.credit,
+        carryOverDays: upgrade.quote.carryOverDays,
+        amount: payment.amount,
+        message: 'Tạo link nâng cấp thành công'
+      });
+
+    } catch (error) {
+      logger.error('upgrade license failed', { error, payos: error.response?.data });
+      sendUnexpectedError(req, res, error);
+    }
+  });
+
+  // ============================================
+  // PAYOS WEBHOOK (Nhận thông báo từ PayOS)
+  // ============================================
+  app.post('/api/payos-webhook', async (req, res) => {
+    try {
+      const { code, success, data, signature } = req.body;
+
+      logger.info('webhook received', {
+        orderId: data?.orderCode,
+        code,
+        success,
+        amount: data?.amount,
+        reference: data?.reference
+      });
+
+      // Chỉ tin webhook có chữ ký khớp với checksum key
+      if (!payos.verifyWebhookSignature(data, signature)) {
+        metrics.webhookFailures.inc({ reason: 'invalid_signature' });
+        logger.warn('webhook rejected: invalid signature', {
+          ip: req.ip,
+          orderId: data?.orderCode
+        });
+        return sendError(req, res, 'INVALID_SIGNATURE');
+      }
+
+      // PayOS retry gửi lại đúng payload cũ -> chỉ xử lý lần đầu
+      const { event, duplicate } = fulfillment.recordWebhookEvent(req.body);
+
+      if (duplicate) {
+        logger.info('duplicate webhook ignored', { orderId: event.orderId, eventId: event.id });
+        return res.json({ success: true });
+      }
+
+      // PayOS gửi code "00" khi thành công
+      if (code === '00' && success === true) {
+        const result = await fulfillment.fulfill(data.orderCode, {
+          source: 'payos-webhook',
+          amount: data.amount,
+          reference: data.reference
+        });
+        fulfillment.completeWebhookEvent(event.id, result.outcome);
+        if (result.outcome === 'queued_for_review') {
+          metrics.webhookFailures.inc({ reason: 'review' });
+        }
+      } else {
+        fulfillment.completeWebhookEvent(event.id, 'ignored');
+      }
+
+      // Luôn trả về success cho PayOS
+      res.json({ success: true });
+
+    } catch (error) {
+      metrics.webhookFailures.inc({ reason: 'error' });
+      logger.error('webhook error', { error });
+      res.json({ success: true }); // Vẫn trả về 200 để PayOS không retry
+    }
+  });
+
+  // ============================================
+  // GET LICENSE BY ORDER ID (Extension polling)
+  // ============================================
+  // Trạng thái payment chưa có license -> mã trả cho extension
+  const PAYMENT_STATUS_CODES = {
+    pending: 'PAYMENT_PENDING',
+    cancelled: 'PAYMENT_CANCELLED',
+    expired: 'PAYMENT_EXPIRED',
+    failed: 'PAYMENT_FAILED',
+    refunded: 'PAYMENT_REFUNDED'
+  };
+
+  // Trạng thái order cho extension, dùng chung cho polling (get-license) và SSE (payment-events)
+  function describePayment(payment, locale) {
+    const code = PAYMENT_STATUS_CODES[payment.status];
+    if (code) {
+      return { success: false, code, message: errorMessage(code, locale), status: payment.status };
+    }
+
+    // Extension cũ chờ status 'completed' nên vẫn giữ tên này trong response
+    if (payment.status === 'paid' && payment.batchId) {
+      return {
+        success: true,
+        status: 'completed',
+        batchId: payment.batchId,
+        quantity: payment.quantity,
+        message: 'Thanh toán thành công! Tải danh sách mã qua API đại lý'
+      };
+    }
+
+    if (payment.status === 'paid' && payment.licenseKey) {
+      const license = licenses.get(payment.licenseKey);
+
+      return {
+        success: true,
+        status: 'completed',
+        licenseKey: payment.licenseKey,
+        expiryDate: license?.expiryDate,
+        message: 'Thanh toán thành công!'
+      };
+    }
+
+    return {
+      success: false,
+      code: 'PAYMENT_UNKNOWN',
+      message: errorMessage('PAYMENT_UNKNOWN', locale),
+      status: 'unknown'
+    };
+  }
+
+  // Payment của order trong URL nếu tồn tại và đúng mã bí mật, không thì trả lỗi và null
+  function loadOrder(req, res) {
+    const { orderId } = req.params;
+    const payment = payments.get(orderId);
+
+    if (!payment) {
+      // orderId ngẫu nhiên chỉ có được từ create-payment: không tồn tại = đang dò
+      recordFailedAttempt(req, 'unknown_order', { orderId });
+      sendError(req, res, 'ORDER_NOT_FOUND', { extra: { status: 'not_found' } });
+      return null;
+    }
+
+    if (!hasOrderAccess(req, payment)) {
+      recordFailedAttempt(req, 'invalid_order_secret', { orderId });
+      sendError(req, res, 'ORDER_SECRET_INVALID', { extra: { status: 'forbidden' } });
+      return null;
+    }
+
+    return payment;
+  }
+
+  const orderParams = { params: { orderId: v.orderId({ required: true }) } };
+
+  // Polling, giữ lại làm dự phòng khi không mở được SSE
+  app.get('/api/get-license/:orderId', lookupLimiter, rejectIfLocked, validate(orderParams), (req, res) => {
+    const payment = loadOrder(req, res);
+    if (!payment) return;
+
+    res.json(describePayment(payment, localeOf(req)));
+  });
+
+  // ============================================
+  // PAYMENT EVENTS (SSE: đẩy trạng thái order ngay khi đổi)
+  // ============================================
+  // EventSource không gửi được header nên mã bí mật đi qua ?secret=.
+  // Event "status" có cùng nội dung với get-license: gửi trạng thái hiện tại ngay khi
+  // kết nối, rồi mỗi lần webhook / return page / reconciler đổi trạng thái payment.
+  // Stream tự đóng khi order đã xong (paid, cancelled, expired, failed, refunded).
+  app.get('/api/payment-events/:orderId', lookupLimiter, rejectIfLocked, validate(orderParams), (req, res) => {
+    const payment = loadOrder(req, res);
+    if (!payment) return;
+
+    const locale = localeOf(req);
+    paymentEvents.openStream(req, res, payment, changed => describePayment(changed, locale));
+  });
+
+  // ============================================
+  // RESEND LICENSE (Gửi lại mã qua email)
+  // ============================================
+  // Mỗi email chỉ được gửi lại một lần trong RESEND_COOLDOWN_MS (lưu trong licenseResends),
+  // trong thời gian chờ vẫn trả cùng câu trả lời như khi gửi.
+  app.post('/api/resend-license', lookupLimiter, validate({
+    body: { email: v.email({ required: true }), locale: v.locale() }
+  }), async (req, res) => {
+    try {
+      const { email } = req.body;
+
+      const normalized = email.toLowerCase();
+      const resendKey = hashSecret(normalized);
+      const lastResend = licenseResends.get(resendKey);
+      const coolingDown = lastResend && Date.now() - new Date(lastResend.sentAt) < RESEND_COOLDOWN_MS;
+
+      const owned = coolingDown ? [] : licenses.values().filter(license =>
+        license.email && license.email.toLowerCase() === normalized && license.status !== 'revoked'
+      );
+
+      if (coolingDown) {
+        logAbuse('resend_cooldown', req);
+      } else if (owned.length > 0) {
+        licenseResends.set(resendKey, { sentAt: new Date().toISOString() });
+        await mailer.send('licenseList', owned[0].email, {
+          locale: resolveLocale(req),
+          licenses: owned
+        });
+      }
+
+      // Luôn trả cùng một câu để không lộ email nào đã mua
+      res.json({ 
+        success: true, 
+        message: 'Nếu email này đã mua Premium, mã kích hoạt đã được gửi lại' 
+      });
+
+    } catch (error) {
+      logger.error('resend license failed', { error });
+      sendUnexpectedError(req, res, error);
+    }
+  });
+
+  // ============================================
+  // BIND DEVICE TO LICENSE (Sau khi thanh toán)
+  // ============================================
+  const deviceSchema = {
+    body: {
+      licenseKey: v.licenseKey({ required: true }),
+      deviceId: v.deviceId({ required: true })
+    }
+  };
+
+  app.post('/api/bind-device', activateLimiter, rejectIfLocked, validate(deviceSchema), (req, res) => {
+    try {
+      const { licenseKey, deviceId } = req.body;
+
+      const license = licenses.get(licenseKey);
+
+      if (!license) {
+        recordFailedAttempt(req, 'invalid_license_key');
+        return sendError(req, res, 'LICENSE_NOT_FOUND');
+      }
+
+      if (isBlocked(license)) {
+        return sendError(req, res, blockedCode(license), { extra: { status: license.status } });
+      }
+
+      // Hash device ID để bảo mật
+      const hashedDeviceId = hashDeviceId(deviceId);
+
+      // Bind device vào license (kèm mapping deviceId -> licenseKey để khôi phục)
+      const result = bindDevice(store, license, hashedDeviceId, 'user');
+
+      if (!result.ok) {
+        return sendError(req, res, 'SEAT_LIMIT_REACHED', {
+          params: { seats: license.seats },
+          extra: { seats: license.seats }
+        });
+      }
+
+      res.json({ 
+        success: true, 
+        message: 'Đã liên kết thiết bị với license',
+        seats: license.seats,
+        seatsRemaining: seatsRemaining(license),
+        entitlements: entitlementsOf(license),
+        licenseToken: issueLicenseToken(license, hashedDeviceId)
+      });
+
+    } catch (error) {
+      logger.error('bind device failed', { error });
+      sendUnexpectedError(req, res, error);
+    }
+  });
+
+  // ============================================
+  // START TRIAL (Dùng thử Premium, mỗi thiết bị một lần)
+  // ============================================
+  const deviceIdSchema = {
+    body: { deviceId: v.deviceId({ required: true }) }
+  };
+
+  app.post('/api/start-trial', lookupLimiter, deviceLimiter, validate(deviceIdSchema), (req, res) => {
+    try {
+      const { deviceId } = req.body;
+
+      const hashedDeviceId = hashDeviceId(deviceId);
+      const result = startTrial(store, hashedDeviceId, plans.trialPlan);
+
+      if (!result.ok) {
+        logger.info('trial refused', { reason: result.error, deviceIdHash: hashedDeviceId });
+        // error giữ lại cho extension cũ, cùng giá trị với code
+        return sendError(req, res, result.error, { extra: { error: result.error } });
+      }
+
+      const { license } = result;
+
+      res.status(201).json({
+        success: true,
+        trial: true,
+        licenseKey: license.key,
+        expiryDate: license.expiryDate,
+        daysRemaining: Math.ceil((new Date(license.expiryDate) - new Date()) / (1000 * 60 * 60 * 24)),
+        entitlements: entitlementsOf(license),
+        licenseToken: issueLicenseToken(license, hashedDeviceId),
+        message: 'Đã bắt đầu dùng thử Premium'
+      });
+
+    } catch (error) {
+      logger.error('start trial failed', { error });
+      sendUnexpectedError(req, res, error);
+    }
+  });
+
+  // ============================================
+  // CHECK DEVICE LICENSE (Khôi phục khi cài lại)
+  // ============================================
+  app.post('/api/check-device-license', lookupLimiter, deviceLimiter, validate(deviceIdSchema), (req, res) => {
+    try {
+      const { deviceId } = req.body;
+
+      // Hash device ID
+      const hashedDeviceId = hashDeviceId(deviceId);
+
+      // Tìm license theo deviceId
+      const licenseKey = deviceLicenses.get(hashedDeviceId);
+
+      if (!licenseKey) {
+        // Thiết bị bị gỡ do license bị thu hồi (hoàn tiền...) -> báo rõ lý do
+        const revoked = findRevokedLicense(store, hashedDeviceId);
+        if (revoked && isBlocked(revoked)) {
+          logger.debug('device released from blocked license', { licenseKey: revoked.key, status: revoked.status });
+          return sendError(req, res, blockedCode(revoked), {
+            extra: { valid: false, status: revoked.status, licenseKey: revoked.key }
+          });
+        }
+
+        logger.debug('no license for device', { deviceIdHash: hashedDeviceId });
+        return sendError(req, res, 'DEVICE_NOT_REGISTERED', { extra: { valid: false } });
+      }
+
+      const license = licenses.get(licenseKey);
+
+      if (!license) {
+        logger.warn('device mapped to missing license', { licenseKey });
+        return sendError(req, res, 'LICENSE_NOT_FOUND', { extra: { valid: false } });
+      }
+
+      // Mapping cũ còn sót lại sau khi thiết bị bị gỡ khỏi license
+      if (!findDevice(license, hashedDeviceId)) {
+        logger.debug('stale device mapping removed', { licenseKey, deviceIdHash: hashedDeviceId });
+        deviceLicenses.delete(hashedDeviceId);
+        return sendError(req, res, 'DEVICE_REMOVED', { extra: { valid: false } });
+      }
+
+      if (isBlocked(license)) {
+        logger.debug('blocked license checked', { licenseKey, status: license.status });
+        return sendError(req, res, blockedCode(license), { extra: { valid: false, status: license.status } });
+      }
+
+      // Kiểm tra hết hạn (expiryDate null = trọn đời)
+      if (isExpired(license)) {
+        logger.debug('expired license checked', { licenseKey, expiryDate: license.expiryDate });
+        return sendError(req, res, expiredCode(license), {
+          extra: {
+            valid: false,
+            licenseKey: licenseKey,
+            expiryDate: license.expiryDate,
+            trial: Boolean(license.trial),
+            renewable: !license.trial
+          }
+        });
+      }
+
+      // License còn hiệu lực
+      const daysRemaining = license.expiryDate
+        ? Math.ceil((new Date(license.expiryDate) - new Date()) / (1000 * 60 * 60 * 24))
+        : null;
+
+      touchDevice(store, license, hashedDeviceId);
+
+      res.json({
+        success: true,
+        valid: true,
+        licenseKey: licenseKey,
+        expiryDate: license.expiryDate,
+        daysRemaining: daysRemaining,
+        lifetime: license.expiryDate === null,
+        trial: Boolean(license.trial),
+        planId: license.planId || null,
+        seats: license.seats,
+        devicesUsed: license.devices.length,
+        entitlements: entitlementsOf(license),
+        licenseToken: issueLicenseToken(license, hashedDeviceId),
+        message: license.trial ? 'Đang dùng thử Premium' : 'License còn hiệu lực'
+      });
+
+    } catch (error) {
+      logger.error('check device license failed', { error });
+      sendError(req, res, 'INTERNAL_ERROR', { extra: { valid: false } });
+    }
+  });
+
+  // ============================================
+  // ACTIVATE LICENSE (Nhập key thủ công)
+  // ============================================
+  app.post('/api/activate-license', activateLimiter, rejectIfLocked, validate({
+    body: {
+      licenseKey: v.licenseKey({ required: true }),
+      deviceId: v.deviceId()
+    }
+  }), (req, res) => {
+    try {
+      const { licenseKey, deviceId } = req.body;
+
+      const license = licenses.get(licenseKey);
+
+      if (!license) {
+        recordFailedAttempt(req, 'invalid_license_key');
+        return sendError(req, res, 'LICENSE_NOT_FOUND');
+      }
+
+      if (isBlocked(license)) {
+        return sendError(req, res, blockedCode(license), { extra: { status: license.status } });
+      }
+
+      // Kiểm tra hết hạn
+      if (isExpired(license)) {
+        return sendError(req, res, expiredCode(license), { extra: { expiryDate: license.expiryDate } });
+      }
+
+      // Kiểm tra còn chỗ cho thiết bị này không
+      const hashedDeviceId = deviceId ? hashDeviceId(deviceId) : null;
+
+      if (hashedDeviceId) {
+        const result = bindDevice(store, license, hashedDeviceId, 'user');
+
+        if (!result.ok) {
+          return sendError(req, res, 'SEAT_LIMIT_REACHED', {
+            params: { seats: license.seats },
+            extra: { seats: license.seats }
+          });
+        }
+      }
+
+      if (license.status !== 'used') {
+        license.status = 'used';
+        license.activatedAt = new Date().toISOString();
+        appendHistory(store, license, 'activated', { actor: 'user' });
+        licenses.set(licenseKey, license);
+      }
+
+      res.json({ 
+        success: true, 
+        message: 'Kích hoạt thành công!',
+        expiryDate: license.expiryDate,
+        planId: license.planId || null,
+        seats: license.seats,
+        seatsRemaining: seatsRemaining(license),
+        entitlements: entitlementsOf(license),
+        licenseToken: hashedDeviceId ? issueLicenseToken(license, hashedDeviceId) : null
+      });
+
+    } catch (error) {
+      logger.error('activate license failed', { error });
+      sendUnexpectedError(req, res, error);
+    }
+  });
+
+  // ============================================
+  // RELEASE DEVICE (Người dùng tự nhả chỗ cho máy khác)
+  // ============================================
+  // Key không tồn tại trả cùng lỗi với thiết bị không gắn key, để route này không dùng để dò key
+  app.post('/api/release-device', activateLimiter, rejectIfLocked, validate(deviceSchema), (req, res) => {
+    try {
+      const { licenseKey, deviceId } = req.body;
+
+      const license = licenses.get(licenseKey);
+
+      if (!license) {
+        recordFailedAttempt(req, 'invalid_license_key');
+        return sendError(req, res, 'DEVICE_MISMATCH');
+      }
+
+      const hashedDeviceId = hashDeviceId(deviceId);
+
+      if (!releaseDevice(store, license, hashedDeviceId, 'user', 'released by user')) {
+        return sendError(req, res, 'DEVICE_MISMATCH');
+      }
+
+      res.json({ 
+        success: true, 
+        message: 'Đã gỡ thiết bị khỏi license',
+        seats: license.seats,
+        seatsRemaining: seatsRemaining(license)
+      });
+
+    } catch (error) {
+      logger.error('release device failed', { error });
+      sendUnexpectedError(req, res, error);
+    }
+  });
+
+  // ============================================
+  // TRANSFER LICENSE (Khách tự chuyển license sang máy mới)
+  // ============================================
+  // Bước 1 (tùy chọn): gửi mã xác nhận một lần về email của license.
+  // Luôn trả cùng một câu để không lộ license nào có email.
+  app.post('/api/transfer-license/request-code', activateLimiter, rejectIfLocked, validate({
+    body: { licenseKey: v.licenseKey({ required: true }), locale: v.locale() }
+  }), async (req, res) => {
+    try {
+      const { licenseKey } = req.body;
+
+      const license = licenses.get(licenseKey);
+
+      if (!license) {
+        recordFailedAttempt(req, 'invalid_license_key');
+      } else if (license.email && !isBlocked(license)) {
+        const code = issueTransferCode(license);
+        if (code) {
+          licenses.set(license.key, license);
+          await mailer.send('transferCode', license.email, {
+            locale: resolveLocale(req),
+            licenseKey: license.key,
+            code,
+            expiresInMinutes: TRANSFER_CODE_TTL_MS / 60000
+          });
+        }
+      }
+
+      res.json({
+        success: true,
+        message: 'Nếu license có email, mã xác nhận đã được gửi tới email đó'
+      });
+
+    } catch (error) {
+      logger.error('transfer code failed', { error });
+      sendUnexpectedError(req, res, error);
+    }
+  });
+
+  // Bước 2: { licenseKey, deviceId (máy mới), code } hoặc { licenseKey, deviceId, orderId, email }.
+  // fromDeviceIdHash chọn máy cần gỡ, bỏ trống thì gỡ máy lâu không dùng nhất.
+  app.post('/api/transfer-license', activateLimiter, rejectIfLocked, validate({
+    body: {
+      licenseKey: v.licenseKey({ required: true }),
+      deviceId: v.deviceId({ required: true }),
+      orderId: v.orderId(),
+      email: v.email(),
+      code: v.string({ max: 6, pattern: /^\d{6}$/ }),
+      fromDeviceIdHash: v.string({ max: 64 })
+    }
+  }), (req, res) => {
+    try {
+      const { licenseKey, deviceId, orderId, email, code, fromDeviceIdHash } = req.body;
+
+      if (!code && !(orderId && email)) {
+        return sendValidationError(req, res, [
+          { field: 'body.code', rule: 'required' },
+          ...(orderId ? [] : [{ field: 'body.orderId', rule: 'required' }]),
+          ...(email ? [] : [{ field: 'body.email', rule: 'required' }])
+        ]);
+      }
+
+      const license = licenses.get(licenseKey);
+
+      if (!license) {
+        recordFailedAttempt(req, 'invalid_license_key');
+        return sendError(req, res, 'LICENSE_NOT_FOUND');
+      }
+
+      const method = verifyOwnership(license, { orderId, email, code });
+
+      if (!method) {
+        // Lưu số lần nhập sai mã xác nhận
+        licenses.set(license.key, license);
+        recordFailedAttempt(req, 'invalid_transfer_proof', { licenseKey });
+        return sendError(req, res, 'TRANSFER_PROOF_INVALID');
+      }
+
+      if (isBlocked(license)) {
+        return sendError(req, res, blockedCode(license), { extra: { status: license.status } });
+      }
+
+      if (isExpired(license)) {
+        return sendError(req, res, expiredCode(license), { extra: { expiryDate: license.expiryDate } });
+      }
+
+      const hashedDeviceId = hashDeviceId(deviceId);
+      const { limit, periodDays } = config.transfers;
+      const result = transferLicense(store, license, hashedDeviceId, { limit, periodDays, method, fromDeviceIdHash });
+
+      if (!result.ok && result.error === 'TRANSFER_LIMIT_REACHED') {
+        return sendError(req, res, 'TRANSFER_LIMIT_REACHED', {
+          params: { limit, days: periodDays },
+          extra: { nextTransferAt: result.nextTransferAt }
+        });
+      }
+      if (!result.ok) {
+        return sendError(req, res, result.error);
+      }
+
+      if (license.status !== 'used') {
+        license.status = 'used';
+        license.activatedAt = new Date().toISOString();
+        appendHistory(store, license, 'activated', { actor: 'user' });
+        licenses.set(licenseKey, license);
+      }
+
+      logger.info('license transferred', {
+        licenseKey, method, transferred: result.transferred, fromDeviceIdHash: result.fromDeviceIdHash
+      });
+
+      res.json({
+        success: true,
+        message: 'Đã chuyển license sang thiết bị này',
+        transferred: result.transferred,
+        expiryDate: license.expiryDate,
+        planId: license.planId || null,
+        seats: license.seats,
+        seatsRemaining: seatsRemaining(license),
+        transfersRemaining: Math.max(limit - recentTransfers(license, periodDays).length, 0),
+        entitlements: entitlementsOf(license),
+        licenseToken: issueLicenseToken(license, hashedDeviceId)
+      });
+
+    } catch (error) {
+      logger.error('transfer license failed', { error });
+      sendUnexpectedError(req, res, error);
+    }
+  });
+
+  // ============================================
+  // LICENSE TOKEN (Offline token cho extension)
+  // ============================================
+
+  // Public key (JWKS) để extension tự kiểm tra chữ ký token
+  app.get('/api/license-keys', (req, res) => {
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.json(tokens.publicJwks());
+  });
+
+  // Làm mới token cho thiết bị đã gắn license
+  app.post('/api/refresh-license-token', lookupLimiter, deviceLimiter, validate(deviceIdSchema), (req, res) => {
+    try {
+      const { deviceId } = req.body;
+
+      const hashedDeviceId = hashDeviceId(deviceId);
+      const licenseKey = deviceLicenses.get(hashedDeviceId);
+      const license = licenseKey ? licenses.get(licenseKey) : null;
+
+      const revoked = !licenseKey ? findRevokedLicense(store, hashedDeviceId) : null;
+      if (revoked && isBlocked(revoked)) {
+        return sendError(req, res, blockedCode(revoked), { extra: { status: revoked.status } });
+      }
+
+      if (!license || !findDevice(license, hashedDeviceId)) {
+        return sendError(req, res, 'DEVICE_NOT_REGISTERED');
+      }
+
+      if (isBlocked(license)) {
+        return sendError(req, res, blockedCode(license), { extra: { status: license.status } });
+      }
+
+      if (isExpired(license)) {
+        return sendError(req, res, expiredCode(license), {
+          extra: { expiryDate: license.expiryDate }
+        });
+      }
+
+      touchDevice(store, license, hashedDeviceId);
+
+      res.json({
+        success: true,
+        entitlements: entitlementsOf(license),
+        licenseToken: issueLicenseToken(license, hashedDeviceId)
+      });
+
+    } catch (error) {
+      logger.error('refresh license token failed', { error });
+      sendUnexpectedError(req, res, error);
+    }
+  });
+
+  // ============================================
+  // ADMIN API (cần ADMIN_API_KEY / ADMIN_API_KEYS)
+  // ============================================
+  app.use('/api/admin', createAdminRouter({
+    store,
+    tokens,
+    fulfillment,
+    reconciler,
+    webhooks,
+    remoteConfig,
+    plans,
+    defaultSeats: config.defaultSeats,
+    adminKeys: config.adminKeys
+  }));
+
+  // ============================================
+  // RESELLER API (đại lý, cần reseller key)
+  // ============================================
+  app.use('/api/reseller', createResellerRouter({
+    store,
+    createCheckout,
+    maxQuantity: config.bulkMaxQuantity,
+    plans
+  }));
+
+  // ============================================
+  // LỖI CHUNG (API không tồn tại, JSON hỏng, lỗi chưa bắt)
+  // ============================================
+  app.use('/api', notFoundHandler);
+  app.use(errorHandler);
+
+  return { app, store, payos, mailer, tokens, fulfillment, reconciler, paymentEvents, webhooks, remoteConfig, metrics };
+}
+
+module.exports = { createApp };
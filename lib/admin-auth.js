@@ -0,0 +1,74 @@
+// ============================================
+// ADMIN AUTH (API key qua header)
+// ============================================
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { sendError } = require('./errors');
+
+const log = logger.child({ module: 'admin-auth' });
+
+/**
+ * Đọc danh sách admin key từ env.
+ *   ADMIN_API_KEYS="alice:key1,bob:key2"  (tên dùng để ghi lại ai thao tác)
+ *   ADMIN_API_KEY="key"                    (một key duy nhất, tên là "admin")
+ */
+function parseAdminKeys(env = process.env) {
+  const keys = [];
+  
+  if (env.ADMIN_API_KEYS) {
+    for (const entry of env.ADMIN_API_KEYS.split(',')) {
+      const trimmed = entry.trim();
+      if (!trimmed) continue;
+      const separator = trimmed.indexOf(':');
+      if (separator > 0) {
+        keys.push({ name: trimmed.slice(0, separator), key: trimmed.slice(separator + 1) });
+      } else {
+        keys.push({ name: 'admin', key: trimmed });
+      }
+    }
+  }
+  
+  if (env.ADMIN_API_KEY) {
+    keys.push({ name: 'admin', key: env.ADMIN_API_KEY });
+  }
+  
+  return keys.filter(entry => entry.key);
+}
+
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(a).digest();
+  const hashB = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+function extractKey(req) {
+  const authorization = req.get('authorization') || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  return req.get('x-admin-key') || '';
+}
+
+/**
+ * Middleware: chỉ cho qua request có admin key hợp lệ, gắn req.admin = { name }.
+ */
+function requireAdmin(adminKeys) {
+  return (req, res, next) => {
+    if (adminKeys.length === 0) {
+      return sendError(req, res, 'ADMIN_NOT_CONFIGURED');
+    }
+    
+    const provided = extractKey(req);
+    const match = provided && adminKeys.find(entry => safeEqual(entry.key, provided));
+    
+    if (!match) {
+      log.warn('admin auth failed', { ip: req.ip, path: req.originalUrl.split('?')[0] });
+      return sendError(req, res, 'UNAUTHORIZED');
+    }
+    
+    req.admin = { name: match.name };
+    next();
+  };
+}
+
+module.exports = { parseAdminKeys, requireAdmin };
@@ -0,0 +1,215 @@
+// ============================================
+// CONFIG (đọc + kiểm tra env một lần lúc khởi động)
+// ============================================
+// Thiếu / sai cấu hình thì loadConfig ném ConfigError liệt kê MỌI lỗi,
+// server dừng ngay thay vì đợi tới lúc khách thanh toán mới lỗi.
+const { parseAdminKeys } = require('./admin-auth');
+const { PAYOS_API_URL } = require('./payos');
+const { VERSION_PATTERN } = require('./remote-config');
+const { loadPlans } = require('./plans');
+
+const MINUTE_MS = 60 * 1000;
+
+class ConfigError extends Error {
+  constructor(errors) {
+    super(`Cấu hình không hợp lệ:\n  - ${errors.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+// "https://a.com/" -> "https://a.com"; null nếu không phải URL http(s)
+function normalizeBaseUrl(value) {
+  try {
+    const url = new URL(value);
+    if (!['http:', 'https:'].includes(url.protocol) || url.search || url.hash) return null;
+    return url.toString().replace(/\/+$/, '');
+  } catch {
+    return null;
+  }
+}
+
+// Origin dạng scheme://host[:port], kể cả chrome-extension://<id>
+const ORIGIN_PATTERN = /^[a-z][a-z0-9+.-]*:\/\/[^/\s]+$/i;
+
+/**
+ * @param {object} [env] - mặc định process.env
+ * @returns {object} cấu hình đã kiểm tra (đóng băng)
+ * @throws {ConfigError}
+ */
+function loadConfig(env = process.env) {
+  const errors = [];
+  const production = env.NODE_ENV === 'production';
+
+  function required(name) {
+    const value = (env[name] || '').trim();
+    if (!value) errors.push(`${name} là bắt buộc`);
+    return value || null;
+  }
+
+  // Số nguyên >= min; không đặt thì dùng mặc định, đặt sai thì báo lỗi (không lặng lẽ bỏ qua)
+  function integer(name, fallback, min = 1) {
+    const raw = env[name];
+    if (raw === undefined || raw.trim() === '') return fallback;
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < min) {
+      errors.push(`${name} phải là số nguyên >= ${min} (đang là "${raw}")`);
+      return fallback;
+    }
+    return value;
+  }
+
+  const port = integer('PORT', 3000);
+
+  // ---------- PayOS ----------
+  const payos = {
+    clientId: required('PAYOS_CLIENT_ID'),
+    apiKey: required('PAYOS_API_KEY'),
+    checksumKey: required('PAYOS_CHECKSUM_KEY'),
+    baseUrl: PAYOS_API_URL
+  };
+  if (env.PAYOS_BASE_URL) {
+    payos.baseUrl = normalizeBaseUrl(env.PAYOS_BASE_URL);
+    if (!payos.baseUrl) errors.push(`PAYOS_BASE_URL không phải URL http(s) hợp lệ: "${env.PAYOS_BASE_URL}"`);
+  }
+
+  // ---------- URL public (return/cancel URL gửi cho PayOS) ----------
+  let publicBaseUrl = `http://localhost:${port}`;
+  if (env.PUBLIC_BASE_URL) {
+    publicBaseUrl = normalizeBaseUrl(env.PUBLIC_BASE_URL);
+    if (!publicBaseUrl) {
+      errors.push(`PUBLIC_BASE_URL không phải URL http(s) hợp lệ: "${env.PUBLIC_BASE_URL}"`);
+    } else if (production && !publicBaseUrl.startsWith('https://')) {
+      errors.push('PUBLIC_BASE_URL phải dùng https khi NODE_ENV=production');
+    }
+  } else if (production) {
+    errors.push('PUBLIC_BASE_URL là bắt buộc khi NODE_ENV=production (vd: https://packing-backend.onrender.com)');
+  }
+
+  // ---------- CORS ----------
+  // "*" = mọi origin (mặc định khi chạy local); production phải khai báo rõ
+  let corsOrigins = '*';
+  if (env.CORS_ORIGINS && env.CORS_ORIGINS.trim() !== '*') {
+    corsOrigins = env.CORS_ORIGINS.split(',')
+      .map(origin => origin.trim().replace(/\/+$/, ''))
+      .filter(Boolean);
+    const invalid = corsOrigins.filter(origin => !ORIGIN_PATTERN.test(origin));
+    if (invalid.length || corsOrigins.length === 0) {
+      errors.push(`CORS_ORIGINS có origin không hợp lệ: ${invalid.join(', ') || '(rỗng)'}`);
+    }
+  } else if (!env.CORS_ORIGINS && production) {
+    errors.push('CORS_ORIGINS là bắt buộc khi NODE_ENV=production (danh sách origin cách nhau dấu phẩy, hoặc "*")');
+  }
+
+  // ---------- Storage ----------
+  const storage = {
+    driver: env.STORAGE_DRIVER || 'file',
+    filePath: env.DATA_FILE || undefined
+  };
+  if (!['file', 'memory'].includes(storage.driver)) {
+    errors.push(`STORAGE_DRIVER phải là "file" hoặc "memory" (đang là "${storage.driver}")`);
+  }
+
+  // ---------- Plan catalog ----------
+  // PLANS_FILE (nếu có) thay catalog mặc định, file sai thì dừng luôn
+  let plans = null;
+  try {
+    plans = loadPlans(env.PLANS_FILE);
+  } catch (error) {
+    errors.push(`PLANS_FILE không hợp lệ (${env.PLANS_FILE}): ${error.message}`);
+  }
+
+  // ---------- SMTP ----------
+  // Không có SMTP_HOST thì mailer chỉ log email, không gửi
+  const smtp = {
+    host: env.SMTP_HOST || null,
+    port: integer('SMTP_PORT', 587),
+    secure: env.SMTP_SECURE === 'true',
+    ignoreTLS: env.SMTP_IGNORE_TLS === 'true',
+    user: env.SMTP_USER || null,
+    pass: env.SMTP_PASS || null,
+    from: env.MAIL_FROM || 'Packing Premium <no-reply@packing.local>'
+  };
+
+  // ---------- Remote config ----------
+  // Extension cũ hơn bản này bị yêu cầu cập nhật (admin đổi được lúc chạy)
+  const minExtensionVersion = env.MIN_EXTENSION_VERSION || '0.0.0';
+  if (!VERSION_PATTERN.test(minExtensionVersion)) {
+    errors.push(`MIN_EXTENSION_VERSION phải có dạng 1.2.3 (đang là "${minExtensionVersion}")`);
+  }
+
+  // ---------- Nhắc gia hạn ----------
+  const reminderDays = (env.REMINDER_DAYS || '7,1').split(',').map(days => Number(days.trim()));
+  if (reminderDays.some(days => !Number.isInteger(days) || days <= 0)) {
+    errors.push(`REMINDER_DAYS phải là danh sách số ngày dương, vd "7,1" (đang là "${env.REMINDER_DAYS}")`);
+  }
+
+  const config = {
+    production,
+    port,
+    publicBaseUrl,
+    paymentReturnUrl: `${publicBaseUrl}/api/payment-success`,
+    corsOrigins,
+    // Chạy sau reverse proxy (Render...) nên mặc định tin 1 hop
+    trustProxyHops: integer('TRUST_PROXY_HOPS', 1, 0),
+    payos,
+    storage,
+    plans,
+
+    // Bản dùng thử kéo dài N ngày; license admin tạo tay không chọn gói có N máy
+    trialDays: integer('TRIAL_DAYS', 7),
+    defaultSeats: integer('LICENSE_DEFAULT_SEATS', 1),
+
+    // Link thanh toán tự hết hạn sau N phút; reconciler hỏi PayOS về order pending quá M phút
+    paymentLinkTtlMs: integer('PAYMENT_LINK_TTL_MINUTES', 30) * MINUTE_MS,
+    reconcileStaleMs: integer('RECONCILE_STALE_MINUTES', 10) * MINUTE_MS,
+    reconcileIntervalMs: integer('RECONCILE_INTERVAL_MINUTES', 5) * MINUTE_MS,
+
+    // Nhắc gia hạn trước N ngày, quét mỗi REMINDER_INTERVAL_MINUTES phút
+    reminderDays,
+    reminderIntervalMs: integer('REMINDER_INTERVAL_MINUTES', 60) * MINUTE_MS,
+
+    // Worker gửi lại outbound webhook tới hạn mỗi N phút
+    webhookRetryIntervalMs: integer('WEBHOOK_RETRY_INTERVAL_MINUTES', 1) * MINUTE_MS,
+
+    // Token offline: hạn refresh và thời gian ân hạn khi mất mạng
+    licenseTokens: {
+      ttlDays: integer('LICENSE_TOKEN_TTL_DAYS', 7),
+      graceDays: integer('LICENSE_TOKEN_GRACE_DAYS', 3, 0),
+      privateKeyPem: env.LICENSE_SIGNING_PRIVATE_KEY || undefined
+    },
+
+    // Khách tự chuyển license sang máy mới tối đa N lần mỗi M ngày
+    transfers: {
+      limit: integer('TRANSFER_LIMIT', 3),
+      periodDays: integer('TRANSFER_PERIOD_DAYS', 30)
+    },
+
+    // Giá trị mặc định của /api/remote-config
+    remoteConfig: { minExtensionVersion },
+
+    // Số license tối đa mỗi đơn mua sỉ của đại lý
+    bulkMaxQuantity: integer('BULK_MAX_QUANTITY', 200),
+
+    // /metrics công khai nếu không đặt METRICS_TOKEN (Prometheus gửi Authorization: Bearer <token>)
+    metricsToken: env.METRICS_TOKEN || null,
+
+    // Giới hạn request mỗi phút cho các endpoint public; nhập sai N lần -> khóa 15 phút
+    rateLimits: {
+      lookupPerIp: integer('LOOKUP_LIMIT_PER_MINUTE', 60),
+      devicePerDevice: integer('DEVICE_CHECK_LIMIT_PER_MINUTE', 20),
+      activatePerIp: integer('ACTIVATE_LIMIT_PER_MINUTE', 10),
+      lockoutMaxFailures: integer('LOCKOUT_MAX_FAILURES', 5)
+    },
+
+    smtp,
+    adminKeys: parseAdminKeys(env)
+  };
+
+  if (errors.length) {
+    throw new ConfigError(errors);
+  }
+  return Object.freeze(config);
+}
+
+module.exports = { loadConfig, ConfigError };
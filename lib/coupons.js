@@ -0,0 +1,158 @@
+// ============================================
+// COUPONS (mã giảm giá do admin quản lý)
+// ============================================
+// Giá sau giảm được tính ở server và ký vào request PayOS; client chỉ gửi mã.
+// Lượt dùng chỉ được tính khi payment hoàn tất (xem fulfillment), nên nhiều
+// payment pending có thể cùng giữ một mã gần hết lượt: mã vẫn được tôn trọng
+// cho khách đã trả tiền, chỉ các lần tạo payment sau mới bị từ chối.
+
+const COUPON_TYPES = ['percent', 'fixed'];
+
+// Giá sau giảm không thấp hơn mức này (PayOS không nhận đơn 0đ)
+const MIN_DISCOUNTED_AMOUNT = 10000;
+
+// Mã coupon gồm 3-32 ký tự A-Z, 0-9, _ hoặc -
+const COUPON_CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+
+function normalizeCouponCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+// Field admin đặt / sửa được (kiểu dữ liệu kiểm tra bằng schema ở routes/admin).
+// Gửi null hoặc chuỗi rỗng = xóa giá trị: planIds -> mọi gói, maxRedemptions -> không giới hạn.
+const COUPON_FIELDS = ['type', 'value', 'planIds', 'startsAt', 'endsAt', 'maxRedemptions', 'active', 'note'];
+const COUPON_DEFAULTS = {
+  planIds: [],
+  startsAt: null,
+  endsAt: null,
+  maxRedemptions: null,
+  active: true,
+  note: null
+};
+
+/**
+ * Gộp các field có gửi vào coupon (không sửa coupon gốc).
+ * @param {object} coupon - coupon hiện tại, hoặc COUPON_DEFAULTS khi tạo mới
+ * @param {object} fields - body đã qua schema
+ */
+function applyCouponChanges(coupon, fields) {
+  const result = { ...coupon };
+  for (const name of COUPON_FIELDS) {
+    if (fields[name] === undefined) continue;
+    result[name] = fields[name] === null || fields[name] === '' ? COUPON_DEFAULTS[name] : fields[name];
+  }
+  return result;
+}
+
+/**
+ * Kiểm tra phần schema không khai báo được: field phụ thuộc nhau và gói trong catalog.
+ * @param {object} coupon - coupon sau khi gộp thay đổi
+ * @param {(planId: string) => object|null} getPlan
+ * @returns {object[]} lỗi cho sendValidationError (rỗng nếu hợp lệ)
+ */
+function couponErrors(coupon, getPlan) {
+  const errors = [];
+
+  if (!COUPON_TYPES.includes(coupon.type)) {
+    errors.push({ field: 'body.type', rule: 'required' });
+  }
+  if (!Number.isInteger(coupon.value)) {
+    errors.push({ field: 'body.value', rule: 'required' });
+  } else if (coupon.type === 'percent' && coupon.value > 100) {
+    errors.push({ field: 'body.value', rule: 'max', params: { max: 100 } });
+  }
+
+  const unknown = coupon.planIds.filter(planId => !getPlan(planId));
+  if (unknown.length) {
+    errors.push({ field: 'body.planIds', rule: 'invalid', message: `Gói không tồn tại: ${unknown.join(', ')}` });
+  }
+
+  if (coupon.startsAt && coupon.endsAt && new Date(coupon.endsAt) <= new Date(coupon.startsAt)) {
+    errors.push({ field: 'body.endsAt', rule: 'invalid', message: 'endsAt phải sau startsAt' });
+  }
+  return errors;
+}
+
+/**
+ * Tạo record coupon mới (chưa lưu, chưa kiểm tra couponErrors).
+ * @param {string} code - đã chuẩn hóa (viết hoa, đúng COUPON_CODE_PATTERN)
+ * @param {object} fields - body đã qua schema
+ */
+function createCouponRecord(code, fields, actor) {
+  return {
+    code,
+    ...applyCouponChanges(COUPON_DEFAULTS, fields),
+    redeemedCount: 0,
+    createdAt: new Date().toISOString(),
+    createdBy: actor
+  };
+}
+
+/**
+ * Coupon có dùng được cho gói này lúc này không.
+ * @returns {{ ok: boolean, code?: string }} code là mã lỗi COUPON_* trong lib/errors.js
+ */
+function checkCoupon(coupon, plan, now = new Date()) {
+  if (!coupon || !coupon.active) {
+    return { ok: false, code: 'COUPON_INVALID' };
+  }
+  if (coupon.startsAt && new Date(coupon.startsAt) > now) {
+    return { ok: false, code: 'COUPON_NOT_STARTED' };
+  }
+  if (coupon.endsAt && new Date(coupon.endsAt) <= now) {
+    return { ok: false, code: 'COUPON_EXPIRED' };
+  }
+  if (coupon.maxRedemptions !== null && coupon.redeemedCount >= coupon.maxRedemptions) {
+    return { ok: false, code: 'COUPON_EXHAUSTED' };
+  }
+  if (coupon.planIds.length > 0 && !coupon.planIds.includes(plan.id)) {
+    return { ok: false, code: 'COUPON_NOT_APPLICABLE' };
+  }
+  return { ok: true };
+}
+
+/**
+ * Giá sau giảm, làm tròn lên nghìn đồng, không thấp hơn MIN_DISCOUNTED_AMOUNT.
+ * @returns {{ amount: number, discount: number }}
+ */
+function applyCoupon(coupon, price) {
+  const rawDiscount = coupon.type === 'percent'
+    ? price * coupon.value / 100
+    : coupon.value;
+
+  const amount = Math.min(
+    price,
+    Math.max(Math.ceil((price - rawDiscount) / 1000) * 1000, MIN_DISCOUNTED_AMOUNT)
+  );
+  return { amount, discount: price - amount };
+}
+
+/**
+ * Tính một lượt dùng khi payment có coupon hoàn tất (gọi trong transaction của fulfill).
+ */
+function redeemCoupon(store, payment) {
+  if (!payment.couponCode) return;
+
+  const coupons = store.collection('coupons');
+  const coupon = coupons.get(payment.couponCode);
+  if (!coupon) return;
+
+  coupon.redeemedCount = (coupon.redeemedCount || 0) + 1;
+  coupon.lastRedeemedAt = new Date().toISOString();
+  coupons.set(coupon.code, coupon);
+
+  payment.couponRedeemedAt = coupon.lastRedeemedAt;
+}
+
+module.exports = {
+  COUPON_TYPES,
+  COUPON_CODE_PATTERN,
+  MIN_DISCOUNTED_AMOUNT,
+  normalizeCouponCode,
+  applyCouponChanges,
+  couponErrors,
+  createCouponRecord,
+  checkCoupon,
+  applyCoupon,
+  redeemCoupon
+};
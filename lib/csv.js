@@ -0,0 +1,43 @@
+// ============================================
+// CSV EXPORT
+// ============================================
+
+// Ô bắt đầu bằng các ký tự này bị Excel/Sheets hiểu là công thức
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeCell(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * @param {Array<object>} rows
+ * @param {Array<{ key: string, header: string }>} columns
+ * @returns {string} CSV (CRLF, có BOM để Excel đọc đúng tiếng Việt)
+ */
+function toCsv(rows, columns) {
+  const lines = [
+    columns.map(column => escapeCell(column.header)).join(','),
+    ...rows.map(row => columns.map(column => escapeCell(row[column.key])).join(','))
+  ];
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Gửi CSV dưới dạng file tải về.
+ */
+function sendCsv(res, filename, rows, columns) {
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(toCsv(rows, columns));
+}
+
+module.exports = { toCsv, sendCsv };
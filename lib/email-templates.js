@@ -0,0 +1,178 @@
+// ============================================
+// EMAIL TEMPLATES (tiếng Việt / tiếng Anh)
+// ============================================
+// Mỗi template nhận data và trả về { subject, text, html }.
+
+const SUPPORTED_LOCALES = ['vi', 'en'];
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatDate(iso, locale) {
+  if (!iso) {
+    return locale === 'en' ? 'Lifetime' : 'Trọn đời';
+  }
+  return new Date(iso).toLocaleDateString(locale === 'en' ? 'en-GB' : 'vi-VN', {
+    timeZone: 'Asia/Ho_Chi_Minh'
+  });
+}
+
+function formatAmount(amount, locale) {
+  return `${Number(amount).toLocaleString(locale === 'en' ? 'en-US' : 'vi-VN')} VND`;
+}
+
+function layout(title, rows, footer) {
+  const body = rows
+    .map(([label, value]) => `
+        <tr>
+          <td style="padding:8px 12px;color:#6b7280;">${escapeHtml(label)}</td>
+          <td style="padding:8px 12px;font-family:monospace;font-weight:600;">${escapeHtml(value)}</td>
+        </tr>`)
+    .join('');
+
+  return `<!DOCTYPE html>
+<html>
+<body style="font-family:-apple-system,Segoe UI,Roboto,Arial,sans-serif;background:#f3f4f6;padding:24px;">
+  <div style="max-width:520px;margin:0 auto;background:#fff;border-radius:16px;padding:32px;">
+    <h2 style="color:#667eea;margin-top:0;">${escapeHtml(title)}</h2>
+    <table style="width:100%;border-collapse:collapse;background:#f9fafb;border-radius:8px;">${body}
+    </table>
+    <p style="color:#6b7280;font-size:14px;margin-top:24px;">${escapeHtml(footer)}</p>
+  </div>
+</body>
+</html>`;
+}
+
+function textBlock(title, rows, footer) {
+  return [title, '', ...rows.map(([label, value]) => `${label}: ${value}`), '', footer].join('\n');
+}
+
+function render(title, rows, footer, subject) {
+  return {
+    subject,
+    text: textBlock(title, rows, footer),
+    html: layout(title, rows, footer)
+  };
+}
+
+// Action của payment -> tiêu đề email
+const LICENSE_TITLES = {
+  vi: {
+    new: 'Mã kích hoạt Premium của bạn',
+    renewal: 'License đã được gia hạn',
+    upgrade: 'License đã được nâng cấp'
+  },
+  en: {
+    new: 'Your Premium license key',
+    renewal: 'Your license has been renewed',
+    upgrade: 'Your license has been upgraded'
+  }
+};
+
+const templates = {
+  // Gửi sau khi thanh toán thành công (kiêm biên nhận)
+  license({ locale, type = 'new', licenseKey, expiryDate, orderId, planName, amount }) {
+    const en = locale === 'en';
+    const title = LICENSE_TITLES[locale][type] || LICENSE_TITLES[locale].new;
+    const rows = [
+      [en ? 'License key' : 'Mã kích hoạt', licenseKey],
+      [en ? 'Plan' : 'Gói', planName],
+      [en ? 'Expiry date' : 'Ngày hết hạn', formatDate(expiryDate, locale)],
+      [en ? 'Order code' : 'Mã đơn hàng', orderId],
+      [en ? 'Amount paid' : 'Số tiền', formatAmount(amount, locale)]
+    ];
+    const footer = en
+      ? 'Keep this email. Enter the key in the extension if it was not activated automatically.'
+      : 'Vui lòng lưu lại email này. Nhập mã vào extension nếu Premium chưa tự kích hoạt.';
+
+    return render(title, rows, footer, `${title} - ${en ? 'Order' : 'Đơn'} ${orderId}`);
+  },
+
+  // Nhắc sắp hết hạn
+  expiryReminder({ locale, licenseKey, expiryDate, daysRemaining }) {
+    const en = locale === 'en';
+    const title = en
+      ? `Your license expires in ${daysRemaining} day(s)`
+      : `License sẽ hết hạn sau ${daysRemaining} ngày`;
+    const rows = [
+      [en ? 'License key' : 'Mã kích hoạt', licenseKey],
+      [en ? 'Expiry date' : 'Ngày hết hạn', formatDate(expiryDate, locale)]
+    ];
+    const footer = en
+      ? 'Renew from the extension to keep using Premium without interruption.'
+      : 'Gia hạn ngay trong extension để không bị gián đoạn Premium.';
+
+    return render(title, rows, footer, title);
+  },
+
+  // Đơn mua sỉ đã thanh toán: mã lấy qua API đại lý (export CSV), không gửi qua email
+  batchReady({ locale, batchId, quantity, orderId, planName, amount }) {
+    const en = locale === 'en';
+    const title = en ? 'Your license batch is ready' : 'Lô license của bạn đã sẵn sàng';
+    const rows = [
+      [en ? 'Batch' : 'Mã lô', batchId],
+      [en ? 'Quantity' : 'Số lượng', quantity],
+      [en ? 'Plan' : 'Gói', planName],
+      [en ? 'Order code' : 'Mã đơn hàng', orderId],
+      [en ? 'Amount paid' : 'Số tiền', formatAmount(amount, locale)]
+    ];
+    const footer = en
+      ? 'Download the keys as CSV from the reseller API: GET /api/reseller/batches/<batch>/export.csv'
+      : 'Tải danh sách mã dạng CSV qua API đại lý: GET /api/reseller/batches/<mã lô>/export.csv';
+
+    return render(title, rows, footer, `${title} - ${en ? 'Order' : 'Đơn'} ${orderId}`);
+  },
+
+  // Mã xác nhận chuyển license sang máy mới
+  transferCode({ locale, licenseKey, code, expiresInMinutes }) {
+    const en = locale === 'en';
+    const title = en ? 'Confirm your license transfer' : 'Xác nhận chuyển license sang máy mới';
+    const rows = [
+      [en ? 'License key' : 'Mã kích hoạt', licenseKey],
+      [en ? 'Verification code' : 'Mã xác nhận', code]
+    ];
+    const footer = en
+      ? `The code expires in ${expiresInMinutes} minutes. If you did not request it, you can ignore this email.`
+      : `Mã có hiệu lực trong ${expiresInMinutes} phút. Nếu bạn không yêu cầu, hãy bỏ qua email này.`;
+
+    return render(title, rows, footer, title);
+  },
+
+  // "Gửi lại mã": liệt kê mọi license của email
+  licenseList({ locale, licenses }) {
+    const en = locale === 'en';
+    const title = en ? 'Your license keys' : 'Các mã kích hoạt của bạn';
+    const rows = licenses.map(license => [
+      `${license.key} (${en ? 'order' : 'đơn'} ${license.orderId})`,
+      `${en ? 'expires' : 'hết hạn'} ${formatDate(license.expiryDate, locale)}`
+    ]);
+    const footer = en
+      ? 'If you did not request this email, you can ignore it.'
+      : 'Nếu bạn không yêu cầu email này, hãy bỏ qua.';
+
+    return render(title, rows, footer, title);
+  }
+};
+
+function pickLocale(locale) {
+  return SUPPORTED_LOCALES.includes(locale) ? locale : 'vi';
+}
+
+/**
+ * @param {keyof templates} name
+ * @param {object} data - phải có locale
+ */
+function renderTemplate(name, data) {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Email template không tồn tại: ${name}`);
+  }
+  return template({ ...data, locale: pickLocale(data.locale) });
+}
+
+module.exports = { SUPPORTED_LOCALES, pickLocale, renderTemplate };
@@ -0,0 +1,109 @@
+// ============================================
+// ENTITLEMENTS (tính năng + giới hạn sử dụng theo gói / license)
+// ============================================
+// Mỗi plan khai báo:
+//   entitlements: { features: ['videoRecording', ...], limits: { maxCameras: 1, ... } }
+// Admin ghi đè riêng cho từng license trong license.entitlementOverrides:
+//   { features: { cloudUpload: true }, limits: { maxCameras: 2 } }
+// Extension nhận bản đã gộp: mọi feature trong FEATURES là true/false, mọi limit là số.
+// Bật/tắt tính năng cho toàn bộ người dùng dùng flag trong remote config (lib/remote-config).
+
+// Thêm feature / limit mới ở đây, extension bỏ qua khóa nó chưa biết
+const FEATURES = ['videoRecording', 'multiCamera', 'cloudUpload'];
+const LIMITS = ['maxCameras', 'cloudStorageGb', 'videoRetentionDays'];
+
+// Plan không khai báo entitlements (legacy, dùng thử, catalog cũ): quay video một camera
+const DEFAULT_ENTITLEMENTS = {
+  features: ['videoRecording'],
+  limits: { maxCameras: 1, cloudStorageGb: 0, videoRetentionDays: 30 }
+};
+
+/**
+ * Kiểm tra entitlements khai báo trong catalog plan.
+ * @returns {string[]} lỗi (rỗng nếu hợp lệ)
+ */
+function entitlementErrors(entitlements) {
+  if (typeof entitlements !== 'object' || entitlements === null) {
+    return ['entitlements phải là object { features, limits }'];
+  }
+
+  const errors = [];
+  const { features = [], limits = {} } = entitlements;
+
+  if (!Array.isArray(features)) {
+    errors.push('entitlements.features phải là mảng');
+  } else {
+    const unknown = features.filter(feature => !FEATURES.includes(feature));
+    if (unknown.length) errors.push(`entitlements.features không hợp lệ: ${unknown.join(', ')}`);
+  }
+
+  for (const [name, value] of Object.entries(limits || {})) {
+    if (!LIMITS.includes(name)) {
+      errors.push(`entitlements.limits.${name} không tồn tại`);
+    } else if (!Number.isInteger(value) || value < 0) {
+      errors.push(`entitlements.limits.${name} phải là số nguyên >= 0`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Entitlements hiệu lực của license: theo plan rồi áp phần admin ghi đè.
+ * @param {object|null} plan - plan hiện tại của license (null = mặc định)
+ * @param {object} [overrides] - license.entitlementOverrides
+ * @returns {{ features: Record<string, boolean>, limits: Record<string, number> }}
+ */
+function resolveEntitlements(plan, overrides = {}) {
+  const base = (plan && plan.entitlements) || DEFAULT_ENTITLEMENTS;
+  const baseFeatures = base.features || [];
+  const baseLimits = { ...DEFAULT_ENTITLEMENTS.limits, ...base.limits };
+
+  const features = Object.fromEntries(FEATURES.map(name => [
+    name,
+    overrides.features?.[name] ?? baseFeatures.includes(name)
+  ]));
+  const limits = Object.fromEntries(LIMITS.map(name => [
+    name,
+    overrides.limits?.[name] ?? baseLimits[name]
+  ]));
+
+  return { features, limits };
+}
+
+/**
+ * Gộp thay đổi của admin vào license.entitlementOverrides (sửa trực tiếp license).
+ * Giá trị null xóa phần ghi đè của khóa đó (quay về theo plan).
+ * @param {{ features?: object, limits?: object }} changes
+ * @returns {object} overrides mới
+ */
+function applyOverrides(license, { features = {}, limits = {} }) {
+  const current = license.entitlementOverrides || {};
+  const merge = (existing = {}, updates) => {
+    const result = { ...existing, ...updates };
+    for (const [name, value] of Object.entries(result)) {
+      if (value === null) delete result[name];
+    }
+    return result;
+  };
+
+  const overrides = {
+    features: merge(current.features, features),
+    limits: merge(current.limits, limits)
+  };
+
+  if (Object.keys(overrides.features).length === 0 && Object.keys(overrides.limits).length === 0) {
+    delete license.entitlementOverrides;
+    return {};
+  }
+  license.entitlementOverrides = overrides;
+  return overrides;
+}
+
+module.exports = {
+  FEATURES,
+  LIMITS,
+  DEFAULT_ENTITLEMENTS,
+  entitlementErrors,
+  resolveEntitlements,
+  applyOverrides
+};
@@ -0,0 +1,409 @@
+// ============================================
+// ERRORS (mã lỗi + thông báo vi/en cho mọi API)
+// ============================================
+// Mọi response lỗi có cùng dạng:
+//   { success: false, code: 'LICENSE_EXPIRED', message: '<theo Accept-Language>', ...extra }
+// Extension rẽ nhánh theo `code`, `message` chỉ để hiển thị cho người dùng.
+// Thêm mã mới: thêm vào ERRORS kèm HTTP status và câu vi/en (có thể là hàm nhận params).
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'errors' });
+
+const LOCALES = ['vi', 'en'];
+
+const ERRORS = {
+  // ---------- Chung ----------
+  VALIDATION_ERROR: {
+    status: 400,
+    vi: 'Dữ liệu gửi lên không hợp lệ',
+    en: 'Invalid request data'
+  },
+  INVALID_JSON: {
+    status: 400,
+    vi: 'Body không phải JSON hợp lệ',
+    en: 'Request body is not valid JSON'
+  },
+  ROUTE_NOT_FOUND: {
+    status: 404,
+    vi: 'Không tìm thấy API',
+    en: 'API endpoint not found'
+  },
+  INTERNAL_ERROR: {
+    status: 500,
+    vi: 'Lỗi hệ thống, vui lòng thử lại sau',
+    en: 'Internal error, please try again later'
+  },
+  PAYOS_ERROR: {
+    status: 502,
+    vi: 'Không kết nối được cổng thanh toán, vui lòng thử lại',
+    en: 'Could not reach the payment gateway, please try again'
+  },
+  RATE_LIMITED: {
+    status: 429,
+    vi: 'Quá nhiều yêu cầu, vui lòng thử lại sau',
+    en: 'Too many requests, please try again later'
+  },
+  TOO_MANY_ATTEMPTS: {
+    status: 429,
+    vi: ({ minutes }) => `Nhập sai quá nhiều lần, vui lòng thử lại sau ${minutes} phút`,
+    en: ({ minutes }) => `Too many failed attempts, please try again in ${minutes} minutes`
+  },
+  UNAUTHORIZED: {
+    status: 401,
+    vi: 'Không có quyền truy cập',
+    en: 'Unauthorized'
+  },
+  ADMIN_NOT_CONFIGURED: {
+    status: 503,
+    vi: 'Admin API chưa được cấu hình',
+    en: 'Admin API is not configured'
+  },
+  INVALID_SIGNATURE: {
+    status: 401,
+    vi: 'Chữ ký không hợp lệ',
+    en: 'Invalid signature'
+  },
+
+  // ---------- License ----------
+  LICENSE_NOT_FOUND: {
+    status: 404,
+    vi: 'Mã kích hoạt không tồn tại',
+    en: 'License key not found'
+  },
+  LICENSE_EXPIRED: {
+    status: 403,
+    vi: 'License đã hết hạn',
+    en: 'License has expired'
+  },
+  TRIAL_EXPIRED: {
+    status: 403,
+    vi: 'Đã hết thời gian dùng thử',
+    en: 'Your trial has ended'
+  },
+  LICENSE_SUSPENDED: {
+    status: 403,
+    vi: 'License đang bị tạm khóa, vui lòng liên hệ hỗ trợ',
+    en: 'License is suspended, please contact support'
+  },
+  LICENSE_REVOKED: {
+    status: 403,
+    vi: 'License đã bị thu hồi',
+    en: 'License has been revoked'
+  },
+  LICENSE_REFUNDED: {
+    status: 403,
+    vi: 'License đã bị thu hồi do đơn hàng đã được hoàn tiền',
+    en: 'License was revoked because the order was refunded'
+  },
+  LICENSE_CHARGEBACK: {
+    status: 403,
+    vi: 'License đã bị khóa do giao dịch bị khiếu nại (chargeback), vui lòng liên hệ hỗ trợ',
+    en: 'License is locked because the payment was disputed (chargeback), please contact support'
+  },
+  LICENSE_LIFETIME: {
+    status: 409,
+    vi: 'License trọn đời không cần gia hạn',
+    en: 'Lifetime licenses do not need renewal'
+  },
+  LICENSE_INVALID_STATE: {
+    status: 409,
+    vi: ({ status }) => `Không thực hiện được khi license đang ở trạng thái ${status}`,
+    en: ({ status }) => `Not allowed while the license is ${status}`
+  },
+  SEAT_LIMIT_REACHED: {
+    status: 409,
+    vi: ({ seats }) => (seats > 1
+      ? `Mã đã được sử dụng trên đủ ${seats} thiết bị`
+      : 'Mã đã được sử dụng trên thiết bị khác'),
+    en: ({ seats }) => (seats > 1
+      ? `This key is already in use on ${seats} devices`
+      : 'This key is already in use on another device')
+  },
+  SEATS_BELOW_DEVICES: {
+    status: 409,
+    vi: ({ devices }) => `License đang gắn ${devices} thiết bị, hãy gỡ bớt trước`,
+    en: ({ devices }) => `License has ${devices} devices bound, release some first`
+  },
+  DEVICE_NOT_REGISTERED: {
+    status: 404,
+    vi: 'Không tìm thấy license cho thiết bị này',
+    en: 'No license found for this device'
+  },
+  DEVICE_MISMATCH: {
+    status: 409,
+    vi: 'Thiết bị này không gắn với license',
+    en: 'This device is not bound to the license'
+  },
+  DEVICE_REMOVED: {
+    status: 404,
+    vi: 'Thiết bị này đã bị gỡ khỏi license',
+    en: 'This device has been removed from the license'
+  },
+  NO_DEVICES: {
+    status: 409,
+    vi: 'License chưa gắn thiết bị',
+    en: 'License has no devices bound'
+  },
+
+  // ---------- Dùng thử ----------
+  TRANSFER_PROOF_INVALID: {
+    status: 403,
+    vi: 'Mã đơn hàng / email hoặc mã xác nhận không đúng',
+    en: 'The order code / email or verification code is incorrect'
+  },
+  TRANSFER_LIMIT_REACHED: {
+    status: 429,
+    vi: ({ limit, days }) =>
+      `License đã chuyển máy ${limit} lần trong ${days} ngày, vui lòng thử lại sau hoặc liên hệ hỗ trợ`,
+    en: ({ limit, days }) =>
+      `This license has been transferred ${limit} times in ${days} days, please try again later or contact support`
+  },
+  TRIAL_USED: {
+    status: 409,
+    vi: 'Thiết bị này đã dùng thử Premium',
+    en: 'This device has already used its Premium trial'
+  },
+  HAS_LICENSE: {
+    status: 409,
+    vi: 'Thiết bị này đã có license Premium',
+    en: 'This device already has a Premium license'
+  },
+  TRIAL_NOT_RENEWABLE: {
+    status: 409,
+    vi: 'Bản dùng thử không gia hạn hay nâng cấp được, vui lòng mua gói mới',
+    en: 'Trials cannot be renewed or upgraded, please buy a plan'
+  },
+
+  // ---------- Gói / thanh toán ----------
+  PLAN_NOT_FOUND: {
+    status: 400,
+    vi: 'Gói không tồn tại',
+    en: 'Plan not found'
+  },
+  INVALID_RENEWAL_PLAN: {
+    status: 400,
+    vi: 'Gói gia hạn không hợp lệ, hãy dùng nâng cấp để đổi gói',
+    en: 'Invalid renewal plan, use upgrade to change plans'
+  },
+  NOT_AN_UPGRADE: {
+    status: 400,
+    vi: 'Gói mới phải có nhiều thiết bị hơn hoặc thời hạn dài hơn gói hiện tại',
+    en: 'The new plan must have more devices or a longer term than the current plan'
+  },
+  ORDER_NOT_FOUND: {
+    status: 404,
+    vi: 'Đơn hàng không tồn tại',
+    en: 'Order not found'
+  },
+  ORDER_SECRET_INVALID: {
+    status: 403,
+    vi: 'Thiếu hoặc sai mã bí mật của đơn hàng',
+    en: 'Missing or invalid order secret'
+  },
+  ORDER_NOT_CANCELLABLE: {
+    status: 409,
+    vi: 'Chỉ hủy được thanh toán đang chờ',
+    en: 'Only pending payments can be cancelled'
+  },
+  ORDER_NOT_REFUNDABLE: {
+    status: 409,
+    vi: ({ status }) => `Chỉ hoàn tiền được payment đã thanh toán (hiện tại: ${status})`,
+    en: ({ status }) => `Only paid payments can be refunded (current: ${status})`
+  },
+  REFUND_NOT_REVERSIBLE: {
+    status: 409,
+    vi: 'License đã thay đổi sau đơn gia hạn / nâng cấp này, không tự hoàn lại được; hãy chỉnh license thủ công',
+    en: 'The license changed after this renewal / upgrade, so it cannot be reverted automatically; adjust the license manually'
+  },
+
+  // Trạng thái khi extension polling get-license: không phải lỗi HTTP nên giữ 200
+  PAYMENT_PENDING: {
+    status: 200,
+    vi: 'Đang chờ thanh toán...',
+    en: 'Waiting for payment...'
+  },
+  PAYMENT_CANCELLED: {
+    status: 200,
+    vi: 'Thanh toán đã bị hủy',
+    en: 'Payment was cancelled'
+  },
+  PAYMENT_EXPIRED: {
+    status: 200,
+    vi: 'Link thanh toán đã hết hạn',
+    en: 'Payment link has expired'
+  },
+  PAYMENT_FAILED: {
+    status: 200,
+    vi: 'Thanh toán thất bại',
+    en: 'Payment failed'
+  },
+  PAYMENT_REFUNDED: {
+    status: 200,
+    vi: 'Đơn hàng đã được hoàn tiền, license không còn hiệu lực',
+    en: 'The order was refunded, its license is no longer valid'
+  },
+  PAYMENT_UNKNOWN: {
+    status: 200,
+    vi: 'Trạng thái không xác định',
+    en: 'Unknown payment status'
+  },
+
+  // ---------- Coupon ----------
+  COUPON_INVALID: {
+    status: 400,
+    vi: 'Mã giảm giá không hợp lệ',
+    en: 'Invalid coupon code'
+  },
+  COUPON_NOT_STARTED: {
+    status: 400,
+    vi: 'Mã giảm giá chưa đến thời gian áp dụng',
+    en: 'This coupon is not active yet'
+  },
+  COUPON_EXPIRED: {
+    status: 400,
+    vi: 'Mã giảm giá đã hết hạn',
+    en: 'This coupon has expired'
+  },
+  COUPON_EXHAUSTED: {
+    status: 400,
+    vi: 'Mã giảm giá đã hết lượt sử dụng',
+    en: 'This coupon has been fully redeemed'
+  },
+  COUPON_NOT_APPLICABLE: {
+    status: 400,
+    vi: 'Mã giảm giá không áp dụng cho gói này',
+    en: 'This coupon does not apply to the selected plan'
+  },
+  COUPON_NOT_FOUND: {
+    status: 404,
+    vi: 'Coupon không tồn tại',
+    en: 'Coupon not found'
+  },
+  COUPON_EXISTS: {
+    status: 409,
+    vi: 'Mã coupon đã tồn tại',
+    en: 'Coupon code already exists'
+  },
+  COUPON_IN_USE: {
+    status: 409,
+    vi: 'Coupon đã được sử dụng, hãy tắt thay vì xóa',
+    en: 'Coupon has been redeemed, deactivate it instead of deleting'
+  },
+
+  SIGNING_KEY_PINNED: {
+    status: 409,
+    vi: 'Khóa đang cấu hình qua LICENSE_SIGNING_PRIVATE_KEY, hãy đổi env để xoay khóa',
+    en: 'The signing key is pinned via LICENSE_SIGNING_PRIVATE_KEY, change the env to rotate it'
+  },
+
+  // ---------- Đại lý / review queue ----------
+  RESELLER_NOT_FOUND: {
+    status: 404,
+    vi: 'Đại lý không tồn tại',
+    en: 'Reseller not found'
+  },
+  BATCH_NOT_FOUND: {
+    status: 404,
+    vi: 'Batch không tồn tại',
+    en: 'Batch not found'
+  },
+  WEBHOOK_NOT_FOUND: {
+    status: 404,
+    vi: 'Webhook không tồn tại',
+    en: 'Webhook endpoint not found'
+  },
+  DELIVERY_NOT_FOUND: {
+    status: 404,
+    vi: 'Lần gửi webhook không tồn tại',
+    en: 'Webhook delivery not found'
+  },
+  REVIEW_NOT_FOUND: {
+    status: 404,
+    vi: 'Mục review không tồn tại',
+    en: 'Review item not found'
+  },
+  REVIEW_ALREADY_RESOLVED: {
+    status: 409,
+    vi: 'Mục review đã được xử lý',
+    en: 'Review item has already been resolved'
+  },
+  REVIEW_NO_PAYMENT: {
+    status: 409,
+    vi: 'Order không có payment, hãy cấp license thủ công qua POST /api/admin/licenses',
+    en: 'Order has no payment, issue a license manually via POST /api/admin/licenses'
+  },
+  REVIEW_FULFILL_FAILED: {
+    status: 409,
+    vi: ({ reason }) => `Không thể fulfill: ${reason}`,
+    en: ({ reason }) => `Could not fulfill: ${reason}`
+  },
+  REVIEW_PAYMENT_REFUNDED: {
+    status: 409,
+    vi: 'Payment đã được hoàn tiền, không thể cấp license cho đơn này',
+    en: 'The payment was refunded, no license can be issued for this order'
+  }
+};
+
+// Ngôn ngữ của thông báo lỗi: theo Accept-Language, mặc định tiếng Việt
+function localeOf(req) {
+  return (req && req.acceptsLanguages && req.acceptsLanguages(...LOCALES)) || 'vi';
+}
+
+/**
+ * Thông báo của một mã lỗi theo ngôn ngữ.
+ * @param {string} code - key trong ERRORS
+ * @param {'vi'|'en'} [locale]
+ * @param {object} [params] - tham số cho thông báo dạng hàm
+ */
+function errorMessage(code, locale = 'vi', params = {}) {
+  const definition = ERRORS[code];
+  const message = definition[locale] || definition.vi;
+  return typeof message === 'function' ? message(params) : message;
+}
+
+/**
+ * Trả lỗi theo contract chung.
+ * @param {string} code - key trong ERRORS
+ * @param {object} [options]
+ * @param {object} [options.params] - tham số cho thông báo
+ * @param {number} [options.status] - ghi đè HTTP status mặc định của mã
+ * @param {object} [options.extra] - field thêm vào response (vd: seats, expiryDate, valid)
+ */
+function sendError(req, res, code, { params = {}, status, extra = {} } = {}) {
+  if (!ERRORS[code]) {
+    throw new Error(`Mã lỗi chưa khai báo: ${code}`);
+  }
+  return res.status(status || ERRORS[code].status).json({
+    success: false,
+    code,
+    message: errorMessage(code, localeOf(req), params),
+    ...extra
+  });
+}
+
+// Route không tồn tại dưới /api
+function notFoundHandler(req, res) {
+  sendError(req, res, 'ROUTE_NOT_FOUND');
+}
+
+// Middleware lỗi cuối cùng: JSON hỏng từ express.json(), lỗi chưa bắt trong route
+function errorHandler(error, req, res, next) {
+  if (error.type === 'entity.parse.failed') {
+    return sendError(req, res, 'INVALID_JSON');
+  }
+  if (error.type === 'entity.too.large') {
+    return sendError(req, res, 'VALIDATION_ERROR', { status: 413 });
+  }
+  log.error('unhandled route error', { method: req.method, path: req.originalUrl.split('?')[0], error });
+  if (res.headersSent) return;
+  sendError(req, res, 'INTERNAL_ERROR');
+}
+
+module.exports = {
+  ERRORS,
+  localeOf,
+  errorMessage,
+  sendError,
+  notFoundHandler,
+  errorHandler
+};
@@ -0,0 +1,507 @@
+// ============================================
+// FULFILLMENT (nơi DUY NHẤT biến payment thành license)
+// ============================================
+// - Khóa theo orderId: webhook, PayOS retry, reconciler chạy cùng lúc
+//   cũng chỉ có một lần xử lý cho mỗi order.
+// - Ghi lại mọi webhook event đã nhận, bỏ qua event trùng.
+// - Order lạ / sai số tiền / không áp dụng được -> đưa vào review queue.
+// - Các trạng thái kết thúc khác (cancelled/expired/failed) cũng đi qua cùng khóa.
+// - Hoàn tiền / chargeback (admin) khóa luôn license đã phát hành từ payment.
+// - Đơn mua sỉ (type 'bulk') phát hành N license chưa kích hoạt chung một batch.
+// - Payment có deviceIdHash của thiết bị đang dùng thử thì chuyển thiết bị sang license mới.
+// - Mọi lần payment đổi trạng thái đều báo qua onPaymentChanged (đẩy SSE cho extension).
+//
+// Vòng đời payment:
+//   pending -> paid | cancelled | expired | failed | needs_review
+//   paid    -> refunded
+const crypto = require('crypto');
+const { LEGACY_PLAN, computeExpiry } = require('./plans');
+const { createLicenseRecord, appendHistory, releaseDevice, releaseAllDevices } = require('./licenses');
+const { redeemCoupon } = require('./coupons');
+const { convertTrial } = require('./trials');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'fulfillment' });
+
+/**
+ * @param {object} deps
+ * @param {object} deps.store
+ * @param {object} deps.metrics - metrics của app (lib/metrics createMetrics)
+ * @param {(payment: object, license: object|null, batch?: object) => void} [deps.onFulfilled]
+ *   vd: gửi email; đơn mua sỉ nhận license null và batch
+ * @param {(payment: object) => void} [deps.onPaymentChanged] - sau khi payment đổi trạng thái đã được lưu
+ */
+function createFulfillmentService({ store, metrics, onFulfilled = () => {}, onPaymentChanged = () => {} }) {
+  const licenses = store.collection('licenses');
+  const payments = store.collection('payments');
+  const webhookEvents = store.collection('webhookEvents'); // eventId -> event
+  const reviewQueue = store.collection('reviewQueue');     // reviewId -> review item
+  const batches = store.collection('batches');             // batchId -> batch
+
+  const locks = new Map(); // orderId -> Promise của lần xử lý gần nhất
+
+  // Chạy fn sau khi mọi lần xử lý trước của cùng order đã xong
+  function withOrderLock(orderId, fn) {
+    const previous = locks.get(orderId) || Promise.resolve();
+    const current = previous.then(fn, fn);
+    const tail = current.catch(() => {});
+    locks.set(orderId, tail);
+    tail.then(() => {
+      if (locks.get(orderId) === tail) locks.delete(orderId);
+    });
+    return current;
+  }
+
+  function notifyChanged(payment) {
+    try {
+      onPaymentChanged(payment);
+    } catch (error) {
+      log.error('onPaymentChanged hook error', { orderId: payment.orderId, error });
+    }
+  }
+
+  // ============================================
+  // REVIEW QUEUE
+  // ============================================
+
+  function enqueueReview(orderId, reason, details = {}) {
+    // Cùng order + lý do đang mở thì không tạo thêm mục mới
+    const existing = reviewQueue.values().find(item =>
+      item.status === 'open' && item.orderId === orderId && item.reason === reason
+    );
+    if (existing) return existing;
+
+    const item = {
+      id: crypto.randomUUID(),
+      orderId,
+      reason,
+      status: 'open',
+      createdAt: new Date().toISOString(),
+      ...details
+    };
+    reviewQueue.set(item.id, item);
+    log.warn('order queued for review', { orderId, reason });
+    return item;
+  }
+
+  function resolveReview(id, { actor, resolution, note = null }) {
+    const item = reviewQueue.get(id);
+    if (!item) return null;
+
+    item.status = 'resolved';
+    item.resolution = resolution;
+    item.note = note;
+    item.resolvedBy = actor;
+    item.resolvedAt = new Date().toISOString();
+    reviewQueue.set(id, item);
+    return item;
+  }
+
+  // ============================================
+  // WEBHOOK EVENTS
+  // ============================================
+
+  /**
+   * Lưu webhook event (đã xác thực chữ ký). PayOS retry gửi lại y nguyên payload
+   * nên chữ ký được dùng làm khóa chống trùng.
+   * @returns {{ event: object, duplicate: boolean }}
+   */
+  function recordWebhookEvent(body) {
+    const id = crypto.createHash('sha256').update(body.signature).digest('hex');
+    const existing = webhookEvents.get(id);
+
+    if (existing) {
+      existing.duplicates = (existing.duplicates || 0) + 1;
+      existing.lastReceivedAt = new Date().toISOString();
+      webhookEvents.set(id, existing);
+      return { event: existing, duplicate: true };
+    }
+
+    const event = {
+      id,
+      orderId: body.data.orderCode?.toString(),
+      code: body.code,
+      success: body.success,
+      amount: body.data.amount,
+      reference: body.data.reference || null,
+      receivedAt: new Date().toISOString(),
+      outcome: null,
+      processedAt: null,
+      duplicates: 0
+    };
+    webhookEvents.set(id, event);
+    return { event, duplicate: false };
+  }
+
+  function completeWebhookEvent(id, outcome) {
+    const event = webhookEvents.get(id);
+    if (!event) return;
+    event.outcome = outcome;
+    event.processedAt = new Date().toISOString();
+    webhookEvents.set(id, event);
+  }
+
+  // ============================================
+  // FULFILL
+  // ============================================
+
+  // Phần license mà đơn gia hạn / nâng cấp thay đổi
+  function licenseTerms(license) {
+    return { planId: license.planId, seats: license.seats, expiryDate: license.expiryDate };
+  }
+
+  function sameTerms(a, b) {
+    return a.planId === b.planId && a.seats === b.seats && a.expiryDate === b.expiryDate;
+  }
+
+  // Tạo license mới, gia hạn hoặc nâng cấp license cũ. Trả về null nếu không áp dụng được.
+  function applyPayment(payment, actor) {
+    const orderId = payment.orderId.toString();
+    const plan = payment.plan || LEGACY_PLAN;
+    const type = payment.type || 'new';
+    const now = new Date();
+
+    if (type === 'new') {
+      // Thời hạn và số máy theo gói đã mua
+      return appendHistory(store, createLicenseRecord({
+        orderId,
+        planId: plan.id,
+        expiryDate: computeExpiry(plan, now),
+        seats: plan.seats,
+        email: payment.email || null,
+        locale: payment.locale || 'vi'
+      }), 'issued', { actor, planId: plan.id });
+    }
+
+    const license = licenses.get(payment.targetLicenseKey);
+    if (!license || license.status === 'revoked') {
+      return null;
+    }
+
+    const previousExpiry = license.expiryDate;
+    const before = licenseTerms(license);
+
+    if (payment.email) {
+      license.email = payment.email;
+      license.locale = payment.locale || license.locale;
+    }
+
+    if (type === 'renewal') {
+      // Cộng thêm từ max(hiện tại, ngày hết hạn cũ)
+      const base = license.expiryDate && new Date(license.expiryDate) > now
+        ? new Date(license.expiryDate)
+        : now;
+      const previousPlanId = license.planId;
+      // Chỉ khác gói khi license cũ chưa có gói trong catalog (route chặn đổi gói khi gia hạn)
+      license.planId = plan.id;
+      license.seats = Math.max(plan.seats, license.seats || 0);
+      license.expiryDate = computeExpiry(plan, base);
+      appendHistory(store, license, 'renewed', {
+        actor, orderId, fromPlanId: previousPlanId, planId: plan.id, from: previousExpiry, to: license.expiryDate
+      });
+    } else {
+      const previousPlanId = license.planId;
+      license.planId = plan.id;
+      license.seats = Math.max(plan.seats, license.seats || 0, license.devices.length);
+      // Giá trị còn lại vượt giá gói mới đã được đổi thành ngày lúc báo giá
+      license.expiryDate = computeExpiry(plan, now, payment.carryOverDays || 0);
+      appendHistory(store, license, 'upgraded', {
+        actor, orderId, fromPlanId: previousPlanId, planId: plan.id, from: previousExpiry, to: license.expiryDate
+      });
+    }
+
+    // Hoàn tiền đơn này chỉ trả license về `from` (xem refundPayment)
+    payment.licenseChange = { from: before, to: licenseTerms(license) };
+    return license;
+  }
+
+  // Đơn mua sỉ: payment.quantity license cùng gói, cùng batchId, chưa gắn email
+  function issueBatch(payment, actor) {
+    const orderId = payment.orderId.toString();
+    const plan = payment.plan || LEGACY_PLAN;
+    const now = new Date();
+    const batch = {
+      id: `BATCH-${crypto.randomBytes(5).toString('hex').toUpperCase()}`,
+      orderId,
+      resellerId: payment.resellerId || null,
+      planId: plan.id,
+      quantity: payment.quantity,
+      licenseKeys: [],
+      createdAt: now.toISOString()
+    };
+
+    const issued = [];
+    for (let i = 0; i < payment.quantity; i++) {
+      const license = appendHistory(store, createLicenseRecord({
+        orderId,
+        planId: plan.id,
+        expiryDate: computeExpiry(plan, now),
+        seats: plan.seats,
+        batchId: batch.id,
+        resellerId: batch.resellerId,
+        locale: payment.locale || 'vi'
+      }), 'issued', { actor, planId: plan.id, batchId: batch.id });
+
+      issued.push(license);
+      batch.licenseKeys.push(license.key);
+    }
+
+    return { batch, licenses: issued };
+  }
+
+  /**
+   * Xử lý một order đã được PayOS xác nhận thanh toán.
+   * @param {string|number} orderId
+   * @param {object} options
+   * @param {string} options.source - 'payos-webhook', 'reconciler', 'admin:<name>'...
+   * @param {number} [options.amount] - số tiền PayOS báo, phải khớp payment
+   * @param {boolean} [options.force] - admin xác nhận bỏ qua kiểm tra số tiền / trạng thái
+   *   (trừ payment đã hoàn tiền)
+   * @returns {Promise<{ outcome: string, license?: object, batch?: object, review?: object, payment?: object }>}
+   *   outcome: 'fulfilled' | 'already_fulfilled' | 'queued_for_review' | 'refunded'
+   */
+  function fulfill(orderId, { source, amount, reference = null, force = false }) {
+    const key = orderId.toString();
+
+    return withOrderLock(key, () => {
+      const payment = payments.get(key);
+
+      if (!payment) {
+        return {
+          outcome: 'queued_for_review',
+          review: enqueueReview(key, 'unknown_order', { source, amount, reference })
+        };
+      }
+
+      if (payment.status === 'paid') {
+        return payment.batchId
+          ? { outcome: 'already_fulfilled', batch: batches.get(payment.batchId) }
+          : { outcome: 'already_fulfilled', license: licenses.get(payment.licenseKey) };
+      }
+
+      // Tiền đã trả lại cho khách: admin force cũng không được cấp license
+      if (force && payment.status === 'refunded') {
+        return { outcome: 'refunded', payment };
+      }
+
+      if (!force && amount !== undefined && Number(amount) !== Number(payment.amount)) {
+        log.error('amount mismatch', { orderId: key, expected: payment.amount, received: amount });
+        return {
+          outcome: 'queued_for_review',
+          review: enqueueReview(key, 'amount_mismatch', {
+            source, amount, expectedAmount: payment.amount, reference
+          })
+        };
+      }
+
+      if (!force && payment.status !== 'pending') {
+        return {
+          outcome: 'queued_for_review',
+          review: enqueueReview(key, `unexpected_status_${payment.status}`, { source, amount, reference })
+        };
+      }
+
+      const issued = payment.type === 'bulk' ? issueBatch(payment, source) : null;
+      const license = issued ? null : applyPayment(payment, source);
+
+      if (!issued && !license) {
+        payment.status = 'needs_review';
+        payments.set(key, payment);
+        notifyChanged(payment);
+        return {
+          outcome: 'queued_for_review',
+          review: enqueueReview(key, 'target_license_unavailable', {
+            source, targetLicenseKey: payment.targetLicenseKey
+          })
+        };
+      }
+
+      payment.status = 'paid';
+      payment.licenseKey = license ? license.key : null;
+      payment.batchId = issued ? issued.batch.id : null;
+      payment.paidAt = new Date().toISOString();
+      payment.fulfilledBy = source;
+      payment.reference = reference || payment.reference || null;
+
+      store.transaction(() => {
+        redeemCoupon(store, payment);
+        for (const item of issued ? issued.licenses : [license]) {
+          licenses.set(item.key, item);
+        }
+        if (issued) batches.set(issued.batch.id, issued.batch);
+        // Mua từ thiết bị đang dùng thử: chuyển thiết bị sang license mới luôn
+        if (license && payment.deviceIdHash) {
+          payment.trialConverted = convertTrial(store, payment.deviceIdHash, license, source);
+        }
+        payments.set(key, payment);
+      });
+
+      const labels = { type: payment.type || 'new', plan: payment.planId || LEGACY_PLAN.id };
+      metrics.paymentsCompleted.inc(labels);
+      metrics.revenue.inc(labels, Number(payment.amount) || 0);
+
+      log.info('order fulfilled', {
+        orderId: key,
+        type: payment.type || 'new',
+        source,
+        ...(issued
+          ? { batchId: issued.batch.id, quantity: issued.licenses.length }
+          : { licenseKey: license.key })
+      });
+
+      notifyChanged(payment);
+
+      try {
+        onFulfilled(payment, license, issued ? issued.batch : undefined);
+      } catch (error) {
+        log.error('onFulfilled hook error', { orderId: key, error });
+      }
+
+      return issued
+        ? { outcome: 'fulfilled', batch: issued.batch }
+        : { outcome: 'fulfilled', license };
+    });
+  }
+
+  /**
+   * Đóng payment chưa thanh toán (hủy, hết hạn, lỗi). Không làm gì nếu payment
+   * đã rời trạng thái pending (vd: webhook thanh toán tới trước).
+   * @param {'cancelled'|'expired'|'failed'} status
+   * @returns {Promise<object|null>} payment sau khi cập nhật, null nếu không đổi
+   */
+  function closePayment(orderId, status, { source, reason = null }) {
+    const key = orderId.toString();
+
+    return withOrderLock(key, () => {
+      const payment = payments.get(key);
+      if (!payment || payment.status !== 'pending') return null;
+
+      payment.status = status;
+      payment[`${status}At`] = new Date().toISOString();
+      payment.closedBy = source;
+      payment.closeReason = reason;
+      payments.set(key, payment);
+
+      metrics.paymentsCancelled.inc({ status });
+      log.info('payment closed', { orderId: key, status, source, reason });
+      notifyChanged(payment);
+      return payment;
+    });
+  }
+
+  function markRefunded(payment, { actor, kind, reason }) {
+    payment.status = 'refunded';
+    payment.refundedAt = new Date().toISOString();
+    payment.refundedBy = actor;
+    payment.refundKind = kind;
+    payment.refundReason = reason;
+  }
+
+  // Hoàn tiền đơn gia hạn / nâng cấp: license (đã trả tiền ở đơn trước) không bị khóa mà
+  // quay về hạn / gói / số máy trước đơn này. License đã đổi tiếp sau đơn (gia hạn nữa,
+  // admin sửa...) thì không đoán được phần cần trả lại -> not_reversible, admin xử lý tay.
+  function refundLicenseChange(key, payment, { actor, kind, reason }) {
+    const license = licenses.get(payment.licenseKey);
+    const change = payment.licenseChange;
+
+    if (!license || !change || license.status === 'revoked' || !sameTerms(licenseTerms(license), change.to)) {
+      return { outcome: 'not_reversible', payment };
+    }
+
+    markRefunded(payment, { actor, kind, reason });
+    let devicesReleased = 0;
+
+    store.transaction(() => {
+      Object.assign(license, change.from);
+      appendHistory(store, license, 'change_refunded', {
+        actor, orderId: key, kind, reason, type: payment.type, from: change.to, to: change.from
+      });
+      // Số máy giảm lại: gỡ các thiết bị gắn sau cùng vượt quá số máy cũ
+      for (const device of license.devices.slice(change.from.seats ?? license.devices.length)) {
+        if (releaseDevice(store, license, device.deviceIdHash, actor, kind)) devicesReleased += 1;
+      }
+      licenses.set(license.key, license);
+      payments.set(key, payment);
+    });
+
+    metrics.paymentsRefunded.inc({ kind });
+    log.info('payment refunded', { orderId: key, kind, type: payment.type, actor, licenseKey: license.key });
+    notifyChanged(payment);
+    return { outcome: 'refunded', payment, licenses: [license], devicesReleased };
+  }
+
+  /**
+   * Hoàn tiền hoặc ghi nhận chargeback cho payment đã thanh toán.
+   * License gắn với payment bị thu hồi (hoặc tạm khóa) và gỡ hết thiết bị; với đơn mua sỉ
+   * là toàn bộ license trong batch. Payment gia hạn / nâng cấp chỉ trả license về trạng
+   * thái trước đơn đó (không dùng `action`).
+   * @param {object} options
+   * @param {string} options.actor - 'admin:<name>'
+   * @param {'refund'|'chargeback'} [options.kind]
+   * @param {'revoke'|'suspend'} [options.action]
+   * @param {string} [options.reason]
+   * @returns {Promise<{ outcome: string, payment?: object, licenses?: object[], devicesReleased?: number }>}
+   *   outcome: 'refunded' | 'not_found' | 'not_refundable' | 'not_reversible'
+   */
+  function refundPayment(orderId, { actor, kind = 'refund', action = 'revoke', reason = null }) {
+    const key = orderId.toString();
+
+    return withOrderLock(key, () => {
+      const payment = payments.get(key);
+      if (!payment) return { outcome: 'not_found' };
+      if (payment.status !== 'paid') return { outcome: 'not_refundable', payment };
+
+      if (payment.type === 'renewal' || payment.type === 'upgrade') {
+        return refundLicenseChange(key, payment, { actor, kind, reason });
+      }
+
+      const now = new Date().toISOString();
+      markRefunded(payment, { actor, kind, reason });
+
+      const batch = payment.batchId ? batches.get(payment.batchId) : null;
+      const licenseKeys = batch ? batch.licenseKeys : [payment.licenseKey].filter(Boolean);
+      const affected = licenseKeys
+        .map(licenseKey => licenses.get(licenseKey))
+        .filter(license => license && license.status !== 'revoked');
+      let devicesReleased = 0;
+
+      store.transaction(() => {
+        for (const license of affected) {
+          devicesReleased += releaseAllDevices(store, license, actor, kind);
+
+          if (action === 'suspend') {
+            if (license.status !== 'suspended') license.statusBeforeSuspend = license.status;
+            license.status = 'suspended';
+          } else {
+            license.status = 'revoked';
+            license.revokedAt = now;
+          }
+          license.blockedReason = kind;
+          appendHistory(store, license, action === 'suspend' ? 'suspended' : 'revoked', {
+            actor, orderId: key, kind, reason
+          });
+          licenses.set(license.key, license);
+        }
+        payments.set(key, payment);
+      });
+
+      metrics.paymentsRefunded.inc({ kind });
+      log.info('payment refunded', { orderId: key, kind, action, actor, licenses: affected.length });
+      notifyChanged(payment);
+      return { outcome: 'refunded', payment, licenses: affected, devicesReleased };
+    });
+  }
+
+  return {
+    fulfill,
+    closePayment,
+    refundPayment,
+    withOrderLock,
+    recordWebhookEvent,
+    completeWebhookEvent,
+    enqueueReview,
+    resolveReview
+  };
+}
+
+module.exports = { createFulfillmentService };
@@ -0,0 +1,202 @@
+// ============================================
+// OFFLINE LICENSE TOKENS (JWS ký bằng Ed25519)
+// ============================================
+// Extension lưu token và tự kiểm tra khi không gọi được server:
+//   1. Chữ ký hợp lệ với một key trong GET /api/license-keys (theo kid)
+//   2. dev == sha256(deviceId) của máy đang chạy
+//   3. now < exp + grace   (exp không vượt quá ngày hết hạn license)
+// Token hết exp thì gọi POST /api/refresh-license-token để lấy token mới.
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'license-tokens' });
+
+const DAY_SECONDS = 24 * 60 * 60;
+const ISSUER = 'packing-backend';
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function generateKeyRecord() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const jwk = publicKey.export({ format: 'jwk' });
+  // kid = thumbprint ngắn của public key
+  const kid = crypto.createHash('sha256').update(jwk.x).digest('base64url').slice(0, 16);
+
+  return {
+    kid,
+    status: 'active',
+    createdAt: new Date().toISOString(),
+    retiredAt: null,
+    publicKeyPem: publicKey.export({ type: 'spki', format: 'pem' }),
+    privateKeyPem: privateKey.export({ type: 'pkcs8', format: 'pem' })
+  };
+}
+
+function keyRecordFromPem(privateKeyPem) {
+  const privateKey = crypto.createPrivateKey(privateKeyPem);
+  if (privateKey.asymmetricKeyType !== 'ed25519') {
+    throw new Error('LICENSE_SIGNING_PRIVATE_KEY phải là khóa Ed25519 (PEM pkcs8)');
+  }
+  const publicKey = crypto.createPublicKey(privateKey);
+  const jwk = publicKey.export({ format: 'jwk' });
+
+  return {
+    kid: crypto.createHash('sha256').update(jwk.x).digest('base64url').slice(0, 16),
+    status: 'active',
+    createdAt: new Date().toISOString(),
+    retiredAt: null,
+    publicKeyPem: publicKey.export({ type: 'spki', format: 'pem' }),
+    privateKeyPem: privateKey.export({ type: 'pkcs8', format: 'pem' })
+  };
+}
+
+/**
+ * @param {object} deps
+ * @param {object} deps.store
+ * @param {number} deps.ttlDays - token có hiệu lực bao lâu trước khi cần refresh
+ * @param {number} deps.graceDays - cho phép dùng tiếp sau exp khi offline
+ * @param {string} [deps.privateKeyPem] - khóa cố định từ env (tùy chọn)
+ */
+function createTokenService({ store, ttlDays, graceDays, privateKeyPem }) {
+  const signingKeys = store.collection('signingKeys'); // kid -> key record
+
+  function activeKey() {
+    return signingKeys.values().find(key => key.status === 'active') || null;
+  }
+
+  function activate(record, actor) {
+    store.transaction(() => {
+      for (const key of signingKeys.values()) {
+        if (key.status === 'active' && key.kid !== record.kid) {
+          key.status = 'retired';
+          key.retiredAt = new Date().toISOString();
+          key.retiredBy = actor;
+          signingKeys.set(key.kid, key);
+        }
+      }
+      signingKeys.set(record.kid, { ...record, status: 'active', retiredAt: null });
+    });
+    log.info('license signing key active', { kid: record.kid });
+    return record;
+  }
+
+  // Khóa từ env luôn được ưu tiên; không có thì tự sinh lần đầu chạy
+  if (privateKeyPem) {
+    const record = keyRecordFromPem(privateKeyPem);
+    if (activeKey()?.kid !== record.kid) {
+      activate(signingKeys.get(record.kid) || record, 'env');
+    }
+  } else if (!activeKey()) {
+    activate(generateKeyRecord(), 'system');
+  }
+
+  // Key đã thôi dùng vẫn được công bố đến khi mọi token nó ký đã hết hạn
+  function isPublished(key, now = Date.now()) {
+    if (key.status === 'active') return true;
+    const retiredMs = new Date(key.retiredAt).getTime();
+    return now < retiredMs + (ttlDays + graceDays) * DAY_SECONDS * 1000;
+  }
+
+  /**
+   * Ký token cho một license trên một thiết bị.
+   * @param {object} [claims] - claim thêm (vd: entitlements để extension dùng khi offline)
+   * @returns {{ token: string, expiresAt: string, kid: string }}
+   */
+  function issue(license, deviceIdHash, claims = {}) {
+    const key = activeKey();
+    const nowSeconds = Math.floor(Date.now() / 1000);
+    let exp = nowSeconds + ttlDays * DAY_SECONDS;
+
+    if (license.expiryDate) {
+      exp = Math.min(exp, Math.floor(new Date(license.expiryDate).getTime() / 1000));
+    }
+
+    const header = { alg: 'EdDSA', typ: 'JWT', kid: key.kid };
+    const payload = {
+      iss: ISSUER,
+      sub: license.key,
+      dev: deviceIdHash,
+      plan: license.planId || null,
+      seats: license.seats,
+      licenseExpiresAt: license.expiryDate,
+      ...claims,
+      grace: graceDays * DAY_SECONDS,
+      iat: nowSeconds,
+      exp
+    };
+
+    const signingInput = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+    const signature = crypto.sign(null, Buffer.from(signingInput), key.privateKeyPem);
+
+    return {
+      token: `${signingInput}.${signature.toString('base64url')}`,
+      expiresAt: new Date(exp * 1000).toISOString(),
+      kid: key.kid
+    };
+  }
+
+  /**
+   * Kiểm tra chữ ký và hạn (kể cả grace), giống cách extension làm.
+   * @returns {object|null} payload nếu hợp lệ
+   */
+  function verify(token, now = Date.now()) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) return null;
+
+    try {
+      const header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+      const key = signingKeys.get(header.kid);
+      if (!key || header.alg !== 'EdDSA' || !isPublished(key, now)) return null;
+
+      const valid = crypto.verify(
+        null,
+        Buffer.from(`${parts[0]}.${parts[1]}`),
+        key.publicKeyPem,
+        Buffer.from(parts[2], 'base64url')
+      );
+      if (!valid) return null;
+
+      const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+      if (now >= (payload.exp + payload.grace) * 1000) return null;
+      return payload;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // JWKS công khai cho extension
+  function publicJwks() {
+    return {
+      keys: signingKeys.values()
+        .filter(key => isPublished(key))
+        .map(key => ({
+          ...crypto.createPublicKey(key.publicKeyPem).export({ format: 'jwk' }),
+          kid: key.kid,
+          alg: 'EdDSA',
+          use: 'sig'
+        }))
+    };
+  }
+
+  function listKeys() {
+    return signingKeys.values().map(({ privateKeyPem, ...key }) => ({
+      ...key,
+      published: isPublished(key)
+    }));
+  }
+
+  // Khi khóa được ghim qua env thì phải xoay bằng cách đổi env
+  function rotate(actor) {
+    if (privateKeyPem) {
+      throw new Error('Signing key đang được cấu hình qua LICENSE_SIGNING_PRIVATE_KEY');
+    }
+    activate(generateKeyRecord(), actor);
+    return listKeys().find(key => key.status === 'active');
+  }
+
+  return { pinned: Boolean(privateKeyPem), issue, verify, publicJwks, listKeys, rotate };
+}
+
+module.exports = { createTokenService };
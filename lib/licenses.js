@@ -0,0 +1,258 @@
+// ============================================
+// LICENSE HELPERS (dùng chung cho route public và admin)
+// ============================================
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const auditLog = logger.child({ module: 'audit' });
+
+// Trạng thái license:
+//   active    - đã phát hành, chưa kích hoạt
+//   used      - đã kích hoạt
+//   suspended - tạm khóa (admin có thể mở lại)
+//   revoked   - thu hồi vĩnh viễn
+const BLOCKED_STATUSES = ['suspended', 'revoked'];
+
+// Mã lỗi (lib/errors.js) trả cho license bị khóa
+const BLOCKED_CODES = {
+  suspended: 'LICENSE_SUSPENDED',
+  revoked: 'LICENSE_REVOKED'
+};
+
+// Mã riêng khi license bị khóa vì payment bị hoàn tiền / chargeback
+const REFUND_CODES = {
+  refund: 'LICENSE_REFUNDED',
+  chargeback: 'LICENSE_CHARGEBACK'
+};
+
+// Số thiết bị khi caller không truyền seats (admin tạo tay dùng LICENSE_DEFAULT_SEATS trong config)
+const DEFAULT_SEATS = 1;
+
+// Chỉ ghi lastSeenAt xuống storage nếu lần trước đã cách ít nhất khoảng này
+const LAST_SEEN_RESOLUTION_MS = 5 * 60 * 1000;
+
+function generateLicenseKey() {
+  const prefix = 'PACK';
+  const random = crypto.randomBytes(16).toString('hex').toUpperCase();
+  return `${prefix}-${random.slice(0, 4)}-${random.slice(4, 8)}-${random.slice(8, 12)}-${random.slice(12, 16)}`;
+}
+
+function hashDeviceId(deviceId) {
+  return crypto.createHash('sha256').update(deviceId).digest('hex');
+}
+
+// expiryDate null = license trọn đời
+function isExpired(license, now = new Date()) {
+  return license.expiryDate !== null && new Date(license.expiryDate) < now;
+}
+
+function isBlocked(license) {
+  return BLOCKED_STATUSES.includes(license.status);
+}
+
+function blockedCode(license) {
+  return REFUND_CODES[license.blockedReason] || BLOCKED_CODES[license.status];
+}
+
+// Bản dùng thử hết hạn báo riêng để extension mời mua thay vì gợi ý gia hạn
+function expiredCode(license) {
+  return license.trial ? 'TRIAL_EXPIRED' : 'LICENSE_EXPIRED';
+}
+
+/**
+ * Ghi lại một thay đổi vào lịch sử của license (sửa trực tiếp object).
+ * history của các license chính là audit log (GET /api/admin/audit-log),
+ * mỗi mục cũng được ghi ra log để tra trên Render và phát event 'licenseHistory'
+ * trên store.events (createApp gắn outbound webhook vào).
+ * @param {object} store
+ * @param {object} license
+ * @param {string} action - vd: 'issued', 'activated', 'revoked'
+ * @param {object} [details] - actor, reason, ... tùy action
+ */
+function appendHistory(store, license, action, details = {}) {
+  const entry = {
+    at: new Date().toISOString(),
+    action,
+    ...details
+  };
+  license.history = license.history || [];
+  license.history.push(entry);
+  auditLog.info('license changed', { licenseKey: license.key, ...entry });
+
+  try {
+    store.events.emit('licenseHistory', license, entry);
+  } catch (error) {
+    auditLog.error('history listener error', { licenseKey: license.key, action, error });
+  }
+  return license;
+}
+
+/**
+ * Tạo record license mới (chưa lưu).
+ * @param {object} fields - key, orderId, planId, expiryDate, seats, ... (ghi đè mặc định)
+ */
+function createLicenseRecord(fields) {
+  return {
+    key: generateLicenseKey(),
+    orderId: null,
+    planId: null,
+    status: 'active',
+    createdAt: new Date().toISOString(),
+    expiryDate: null,
+    seats: DEFAULT_SEATS,
+    devices: [],
+    ...fields
+  };
+}
+
+function findDevice(license, deviceIdHash) {
+  return (license.devices || []).find(device => device.deviceIdHash === deviceIdHash);
+}
+
+function seatsRemaining(license) {
+  return Math.max(license.seats - (license.devices || []).length, 0);
+}
+
+/**
+ * Gắn thiết bị vào license, giữ deviceLicenses đồng bộ.
+ * Nếu thiết bị đang gắn với license khác thì nhả chỗ ở license cũ.
+ * @returns {{ ok: boolean, alreadyBound?: boolean, error?: 'SEAT_LIMIT' }}
+ */
+function bindDevice(store, license, deviceIdHash, actor) {
+  const licenses = store.collection('licenses');
+  const deviceLicenses = store.collection('deviceLicenses');
+  const now = new Date().toISOString();
+
+  license.devices = license.devices || [];
+  const existing = findDevice(license, deviceIdHash);
+
+  if (existing) {
+    existing.lastSeenAt = now;
+    store.transaction(() => {
+      licenses.set(license.key, license);
+      deviceLicenses.set(deviceIdHash, license.key);
+    });
+    return { ok: true, alreadyBound: true };
+  }
+
+  if (seatsRemaining(license) === 0) {
+    return { ok: false, error: 'SEAT_LIMIT' };
+  }
+
+  license.devices.push({ deviceIdHash, boundAt: now, lastSeenAt: now });
+  appendHistory(store, license, 'device_bound', { actor, deviceIdHash });
+
+  store.transaction(() => {
+    store.collection('revokedDevices').delete(deviceIdHash);
+
+    const previousKey = deviceLicenses.get(deviceIdHash);
+    if (previousKey && previousKey !== license.key) {
+      const previous = licenses.get(previousKey);
+      if (previous && findDevice(previous, deviceIdHash)) {
+        previous.devices = previous.devices.filter(device => device.deviceIdHash !== deviceIdHash);
+        appendHistory(store, previous, 'device_unbound', { actor, deviceIdHash, reason: `moved to ${license.key}` });
+
+        // Thiết bị đang dùng thử chuyển sang license trả phí = chuyển đổi bản dùng thử
+        if (previous.trial && !license.trial && !previous.convertedTo) {
+          previous.convertedTo = license.key;
+          previous.convertedAt = now;
+          appendHistory(store, previous, 'trial_converted', { actor, licenseKey: license.key });
+        }
+        licenses.set(previous.key, previous);
+      }
+    }
+
+    licenses.set(license.key, license);
+    deviceLicenses.set(deviceIdHash, license.key);
+  });
+
+  return { ok: true, alreadyBound: false };
+}
+
+/**
+ * Gỡ thiết bị khỏi license và xóa mapping deviceLicenses nếu còn trỏ về license này.
+ * @returns {boolean} false nếu thiết bị không gắn với license
+ */
+function releaseDevice(store, license, deviceIdHash, actor, reason = null) {
+  const licenses = store.collection('licenses');
+  const deviceLicenses = store.collection('deviceLicenses');
+
+  if (!findDevice(license, deviceIdHash)) {
+    return false;
+  }
+
+  license.devices = license.devices.filter(device => device.deviceIdHash !== deviceIdHash);
+  appendHistory(store, license, 'device_unbound', { actor, deviceIdHash, reason });
+
+  store.transaction(() => {
+    if (deviceLicenses.get(deviceIdHash) === license.key) {
+      deviceLicenses.delete(deviceIdHash);
+    }
+    licenses.set(license.key, license);
+  });
+
+  return true;
+}
+
+/**
+ * Gỡ toàn bộ thiết bị khi license bị khóa (vd: hoàn tiền). Mỗi thiết bị được ghi
+ * vào revokedDevices để lần check sau vẫn biết vì sao license không còn dùng được.
+ * @returns {number} số thiết bị đã gỡ
+ */
+function releaseAllDevices(store, license, actor, reason = null) {
+  const revokedDevices = store.collection('revokedDevices');
+  const hashes = (license.devices || []).map(device => device.deviceIdHash);
+  const now = new Date().toISOString();
+
+  store.transaction(() => {
+    for (const hash of hashes) {
+      releaseDevice(store, license, hash, actor, reason);
+      revokedDevices.set(hash, { licenseKey: license.key, reason, releasedAt: now });
+    }
+  });
+
+  return hashes.length;
+}
+
+/**
+ * License mà thiết bị từng gắn trước khi bị gỡ bởi releaseAllDevices (nếu có).
+ */
+function findRevokedLicense(store, deviceIdHash) {
+  const entry = store.collection('revokedDevices').get(deviceIdHash);
+  return entry ? store.collection('licenses').get(entry.licenseKey) : null;
+}
+
+/**
+ * Cập nhật lastSeenAt khi thiết bị check license (có giới hạn tần suất ghi).
+ */
+function touchDevice(store, license, deviceIdHash) {
+  const device = findDevice(license, deviceIdHash);
+  if (!device) return;
+
+  const lastSeen = device.lastSeenAt ? new Date(device.lastSeenAt).getTime() : 0;
+  if (Date.now() - lastSeen < LAST_SEEN_RESOLUTION_MS) return;
+
+  device.lastSeenAt = new Date().toISOString();
+  store.collection('licenses').set(license.key, license);
+}
+
+module.exports = {
+  BLOCKED_STATUSES,
+  BLOCKED_CODES,
+  REFUND_CODES,
+  generateLicenseKey,
+  hashDeviceId,
+  isExpired,
+  isBlocked,
+  blockedCode,
+  expiredCode,
+  appendHistory,
+  createLicenseRecord,
+  findDevice,
+  seatsRemaining,
+  bindDevice,
+  releaseDevice,
+  releaseAllDevices,
+  findRevokedLicense,
+  touchDevice
+};
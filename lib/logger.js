@@ -0,0 +1,174 @@
+// ============================================
+// LOGGER (JSON mỗi dòng, có level, request ID, che dữ liệu nhạy cảm)
+// ============================================
+// LOG_LEVEL: debug | info | warn | error | silent (mặc định info)
+// Mọi log ghi trong lúc xử lý một request tự mang requestId của request đó
+// (AsyncLocalStorage), kể cả log từ lib/* không nhận req.
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const requestContext = new AsyncLocalStorage();
+
+// ============================================
+// REDACTION
+// ============================================
+
+// Che hoàn toàn
+const SECRET_KEYS = new Set([
+  'apikey', 'clientsecret', 'secret', 'signature', 'token', 'licensetoken', 'password',
+  'authorization', 'x-admin-key', 'x-reseller-key', 'x-order-secret', 'checksumkey',
+  'privatekey', 'privatekeypem', 'deviceid', 'pass', 'otp'
+]);
+
+// Che một phần (vẫn đủ để đối chiếu khi hỗ trợ khách)
+const LICENSE_KEY_FIELDS = new Set(['licensekey', 'key', 'targetlicensekey', 'triallicensekey']);
+const DEVICE_HASH_FIELDS = new Set(['deviceidhash']);
+const EMAIL_FIELDS = new Set(['email', 'to']);
+
+const LICENSE_KEY_PATTERN = /PACK(-[0-9A-F]{4}){4}/g;
+
+function maskLicenseKey(value) {
+  return String(value).replace(LICENSE_KEY_PATTERN, match => `PACK-****-****-****-${match.slice(-4)}`);
+}
+
+function maskEmail(value) {
+  const [name, domain] = String(value).split('@');
+  return domain ? `${name.slice(0, 1)}***@${domain}` : '[REDACTED]';
+}
+
+function redact(value, key = '', depth = 0) {
+  if (value === null || value === undefined) return value;
+  if (depth > 6) return '[Truncated]';
+
+  const field = key.toLowerCase();
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: maskLicenseKey(value.message),
+      ...(value.code ? { code: value.code } : {}),
+      ...(value.payosCode ? { payosCode: value.payosCode } : {}),
+      stack: value.stack
+    };
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, key, depth + 1));
+  }
+
+  if (typeof value === 'object') {
+    const result = {};
+    for (const [childKey, childValue] of Object.entries(value)) {
+      result[childKey] = redact(childValue, childKey, depth + 1);
+    }
+    return result;
+  }
+
+  if (SECRET_KEYS.has(field)) return '[REDACTED]';
+  if (DEVICE_HASH_FIELDS.has(field)) return `${String(value).slice(0, 12)}…`;
+  if (EMAIL_FIELDS.has(field)) return maskEmail(value);
+  if (LICENSE_KEY_FIELDS.has(field)) return maskLicenseKey(value);
+  if (typeof value === 'string') return maskLicenseKey(value);
+  return value;
+}
+
+// ============================================
+// LOGGER
+// ============================================
+
+function resolveLevel(level) {
+  return LEVELS[level] !== undefined ? level : 'info';
+}
+
+/**
+ * @param {object} [bindings] - field gắn vào mọi dòng log (vd: { module: 'fulfillment' })
+ * @param {object} [options]
+ * @param {string} [options.level] - mặc định env LOG_LEVEL
+ * @param {{ write: (line: string) => void }} [options.stream] - mặc định stdout/stderr
+ */
+function createLogger(bindings = {}, options = {}) {
+  const level = resolveLevel(options.level || process.env.LOG_LEVEL || 'info');
+  const threshold = LEVELS[level];
+
+  function write(entryLevel, msg, fields) {
+    if (LEVELS[entryLevel] < threshold) return;
+
+    const context = requestContext.getStore();
+    const entry = redact({
+      time: new Date().toISOString(),
+      level: entryLevel,
+      msg,
+      ...(context ? { requestId: context.requestId } : {}),
+      ...bindings,
+      ...fields
+    });
+
+    const line = JSON.stringify(entry) + '\n';
+    if (options.stream) {
+      options.stream.write(line);
+    } else if (LEVELS[entryLevel] >= LEVELS.warn) {
+      process.stderr.write(line);
+    } else {
+      process.stdout.write(line);
+    }
+  }
+
+  return {
+    level,
+    debug: (msg, fields = {}) => write('debug', msg, fields),
+    info: (msg, fields = {}) => write('info', msg, fields),
+    warn: (msg, fields = {}) => write('warn', msg, fields),
+    error: (msg, fields = {}) => write('error', msg, fields),
+    child: extra => createLogger({ ...bindings, ...extra }, options)
+  };
+}
+
+const logger = createLogger();
+
+// ============================================
+// REQUEST ID MIDDLEWARE
+// ============================================
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{8,64}$/;
+
+/**
+ * Gắn req.id (lấy từ X-Request-Id nếu hợp lệ, không thì tự sinh), trả lại qua
+ * header X-Request-Id và ghi một dòng log khi request kết thúc.
+ * Đặt sau express.json(): callback của body parser không giữ được async context.
+ */
+function requestLogger(log = logger) {
+  return (req, res, next) => {
+    const incoming = req.get('x-request-id');
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    const startedAt = process.hrtime.bigint();
+
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+
+    res.on('finish', () => {
+      requestContext.run({ requestId }, () => {
+        const entryLevel = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+        log[entryLevel]('request completed', {
+          method: req.method,
+          path: req.originalUrl.split('?')[0],
+          status: res.statusCode,
+          durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6,
+          ip: req.ip
+        });
+      });
+    });
+
+    requestContext.run({ requestId }, next);
+  };
+}
+
+module.exports = {
+  LEVELS,
+  logger,
+  createLogger,
+  requestLogger,
+  requestContext,
+  redact
+};
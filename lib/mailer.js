@@ -0,0 +1,54 @@
+// ============================================
+// MAILER (nodemailer, cấu hình SMTP từ lib/config)
+// ============================================
+const nodemailer = require('nodemailer');
+const { renderTemplate } = require('./email-templates');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'mailer' });
+
+function createTransport(smtp) {
+  if (!smtp.host) {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+  return nodemailer.createTransport({
+    host: smtp.host,
+    port: smtp.port,
+    secure: smtp.secure,
+    ignoreTLS: smtp.ignoreTLS,
+    auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined
+  });
+}
+
+/**
+ * Không có smtp.host thì chỉ log email, không gửi.
+ * @param {object} smtp - config.smtp: host, port, secure, ignoreTLS, user, pass, from
+ */
+function createMailer(smtp) {
+  const transport = createTransport(smtp);
+  const enabled = Boolean(smtp.host);
+
+  if (!enabled) {
+    log.warn('SMTP_HOST chưa cấu hình, email sẽ chỉ được ghi log');
+  }
+
+  /**
+   * Gửi email theo template. Không throw: lỗi gửi mail không được làm hỏng luồng thanh toán.
+   * @returns {Promise<boolean>} true nếu gửi thành công
+   */
+  async function send(templateName, to, data) {
+    try {
+      const { subject, text, html } = renderTemplate(templateName, data);
+      await transport.sendMail({ from: smtp.from, to, subject, text, html });
+      log.info(enabled ? 'email sent' : 'email logged (SMTP disabled)', { template: templateName, to });
+      return true;
+    } catch (error) {
+      log.error('email failed', { template: templateName, to, error });
+      return false;
+    }
+  }
+
+  return { enabled, send };
+}
+
+module.exports = { createMailer };
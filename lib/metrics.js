@@ -0,0 +1,287 @@
+// ============================================
+// METRICS (định dạng text của Prometheus, giữ trong RAM)
+// ============================================
+// Counter reset khi restart, Prometheus tự xử lý qua rate()/increase().
+// Số liệu đọc từ storage (license theo trạng thái, payment pending...) là
+// gauge có hàm collect, chỉ tính lúc /metrics được gọi.
+
+const PREFIX = 'packing_';
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// Chỉ giữ các label đã khai báo, thiếu thì để rỗng: cùng bộ label -> cùng series
+function pickLabels(labelNames, labels = {}) {
+  const picked = {};
+  for (const name of labelNames) {
+    picked[name] = labels[name] ?? '';
+  }
+  return picked;
+}
+
+function seriesKey(labels) {
+  return JSON.stringify(labels);
+}
+
+function createRegistry() {
+  const metrics = [];
+
+  function register(metric) {
+    if (metrics.some(existing => existing.name === metric.name)) {
+      throw new Error(`Metric đã tồn tại: ${metric.name}`);
+    }
+    metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * @param {object} options
+   * @param {string} options.name - không có tiền tố packing_
+   * @param {string} options.help
+   * @param {string[]} [options.labelNames]
+   */
+  function counter({ name, help, labelNames = [] }) {
+    const series = new Map(); // seriesKey -> { labels, value }
+
+    return register({
+      name: PREFIX + name,
+      help,
+      type: 'counter',
+      inc(labels, amount = 1) {
+        if (!(amount >= 0)) return;
+        const picked = pickLabels(labelNames, labels);
+        const key = seriesKey(picked);
+        const entry = series.get(key) || { labels: picked, value: 0 };
+        entry.value += amount;
+        series.set(key, entry);
+      },
+      samples() {
+        return [...series.values()].map(({ labels, value }) => ({ suffix: '', labels, value }));
+      }
+    });
+  }
+
+  /**
+   * @param {object} options
+   * @param {string} options.name
+   * @param {string} options.help
+   * @param {() => Array<{ labels?: object, value: number }>} options.collect
+   */
+  function gauge({ name, help, collect }) {
+    return register({
+      name: PREFIX + name,
+      help,
+      type: 'gauge',
+      samples() {
+        return collect().map(({ labels = {}, value }) => ({ suffix: '', labels, value }));
+      }
+    });
+  }
+
+  /**
+   * @param {object} options
+   * @param {string} options.name
+   * @param {string} options.help
+   * @param {string[]} [options.labelNames]
+   * @param {number[]} [options.buckets] - cận trên (giây), tăng dần
+   */
+  function histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    const series = new Map(); // seriesKey -> { labels, counts, sum, count }
+
+    function observe(labels, value) {
+      const picked = pickLabels(labelNames, labels);
+      const key = seriesKey(picked);
+      const entry = series.get(key) || { labels: picked, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+      series.set(key, entry);
+    }
+
+    return register({
+      name: PREFIX + name,
+      help,
+      type: 'histogram',
+      observe,
+      // Đo thời gian chạy fn (async), gắn outcome ok/error
+      async time(labels, fn) {
+        const startedAt = process.hrtime.bigint();
+        let outcome = 'ok';
+        try {
+          return await fn();
+        } catch (error) {
+          outcome = 'error';
+          throw error;
+        } finally {
+          observe({ ...labels, outcome }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+        }
+      },
+      samples() {
+        const result = [];
+        for (const { labels, counts, sum, count } of series.values()) {
+          buckets.forEach((bound, i) => {
+            result.push({ suffix: '_bucket', labels: { ...labels, le: bound }, value: counts[i] });
+          });
+          result.push({ suffix: '_bucket', labels: { ...labels, le: '+Inf' }, value: count });
+          result.push({ suffix: '_sum', labels, value: sum });
+          result.push({ suffix: '_count', labels, value: count });
+        }
+        return result;
+      }
+    });
+  }
+
+  // Text exposition format 0.0.4
+  function render() {
+    const lines = [];
+    for (const metric of metrics) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      for (const { suffix, labels, value } of metric.samples()) {
+        lines.push(`${metric.name}${suffix}${formatLabels(labels)} ${value}`);
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  return {
+    contentType: 'text/plain; version=0.0.4; charset=utf-8',
+    counter,
+    gauge,
+    histogram,
+    render
+  };
+}
+
+// ============================================
+// METRICS CỦA ỨNG DỤNG
+// ============================================
+
+function countBy(items, keyFn) {
+  const counts = new Map();
+  for (const item of items) {
+    const key = keyFn(item);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return [...counts];
+}
+
+/**
+ * Registry + metric của một app. createApp tạo (hoặc nhận qua deps) rồi gắn store
+ * bằng watchStore, nên chạy nhiều app trong một process thì mỗi app có số liệu riêng.
+ * @returns {object} các counter/histogram (paymentsCreated, ...), registry và watchStore(store)
+ */
+function createMetrics() {
+  const registry = createRegistry();
+  let watchedStore = null;
+
+  const metrics = {
+    registry,
+
+    paymentsCreated: registry.counter({
+      name: 'payments_created_total',
+      help: 'Số link thanh toán đã tạo',
+      labelNames: ['type', 'plan']
+    }),
+    paymentsCompleted: registry.counter({
+      name: 'payments_completed_total',
+      help: 'Số payment đã thanh toán và phát hành license',
+      labelNames: ['type', 'plan']
+    }),
+    paymentsCancelled: registry.counter({
+      name: 'payments_cancelled_total',
+      help: 'Số payment không thành công (status: cancelled, expired, failed)',
+      labelNames: ['status']
+    }),
+    paymentsRefunded: registry.counter({
+      name: 'payments_refunded_total',
+      help: 'Số payment bị hoàn tiền / chargeback',
+      labelNames: ['kind']
+    }),
+    revenue: registry.counter({
+      name: 'revenue_vnd_total',
+      help: 'Doanh thu (VND) từ payment đã thanh toán',
+      labelNames: ['type', 'plan']
+    }),
+    licensesIssued: registry.counter({
+      name: 'licenses_issued_total',
+      help: 'Số license đã phát hành (kể cả dùng thử)',
+      labelNames: ['plan']
+    }),
+    licensesActivated: registry.counter({
+      name: 'licenses_activated_total',
+      help: 'Số license được kích hoạt lần đầu',
+      labelNames: ['plan']
+    }),
+    webhookFailures: registry.counter({
+      name: 'webhook_failures_total',
+      help: 'Webhook PayOS không xử lý được (reason: invalid_signature, review, error)',
+      labelNames: ['reason']
+    }),
+    outboundWebhooks: registry.counter({
+      name: 'outbound_webhook_attempts_total',
+      help: 'Lần gửi outbound webhook tới endpoint của admin (outcome: success, retry, failed)',
+      labelNames: ['type', 'outcome']
+    }),
+    payosLatency: registry.histogram({
+      name: 'payos_request_duration_seconds',
+      help: 'Thời gian gọi API PayOS',
+      labelNames: ['operation', 'outcome']
+    }),
+
+    /**
+     * Gắn store của app: gauge đọc từ store này, license phát hành / kích hoạt
+     * đếm qua event 'licenseHistory' của store (mọi nơi đều ghi history).
+     */
+    watchStore(store) {
+      watchedStore = store;
+      store.events.on('licenseHistory', (license, entry) => {
+        const labels = { plan: license.planId || 'legacy' };
+        if (entry.action === 'issued') metrics.licensesIssued.inc(labels);
+        if (entry.action === 'activated') metrics.licensesActivated.inc(labels);
+      });
+    }
+  };
+
+  // ---------- Gauge đọc từ storage ----------
+
+  function fromStore(read) {
+    return () => (watchedStore ? read(watchedStore) : []);
+  }
+
+  registry.gauge({
+    name: 'licenses',
+    help: 'Số license hiện có theo trạng thái',
+    collect: fromStore(store => countBy(store.collection('licenses').values(), license => license.status)
+      .map(([status, value]) => ({ labels: { status }, value })))
+  });
+
+  registry.gauge({
+    name: 'payments_pending',
+    help: 'Số payment đang chờ thanh toán',
+    collect: fromStore(store => [{
+      value: store.collection('payments').values().filter(payment => payment.status === 'pending').length
+    }])
+  });
+
+  registry.gauge({
+    name: 'review_queue_open',
+    help: 'Số mục review đang mở',
+    collect: fromStore(store => [{
+      value: store.collection('reviewQueue').values().filter(item => item.status === 'open').length
+    }])
+  });
+
+  return metrics;
+}
+
+module.exports = { createRegistry, createMetrics };
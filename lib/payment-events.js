@@ -0,0 +1,110 @@
+// ============================================
+// PAYMENT EVENTS (đẩy trạng thái order qua Server-Sent Events)
+// ============================================
+// Fulfillment báo mỗi lần payment đổi trạng thái (webhook, return page,
+// reconciler, admin...), route SSE của từng order nghe và đẩy xuống extension.
+// Chỉ trong RAM của một process, giống rate limit: chạy nhiều instance thì
+// extension vẫn còn GET /api/get-license/:orderId để polling dự phòng.
+const { EventEmitter } = require('events');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'payment-events' });
+
+// Proxy (Render...) cắt kết nối im lặng quá lâu -> gửi comment giữ kết nối
+const HEARTBEAT_MS = 25 * 1000;
+
+// Đóng stream sau khoảng này, EventSource tự kết nối lại
+const MAX_STREAM_MS = 10 * 60 * 1000;
+
+// Thời gian chờ trước khi EventSource kết nối lại (gửi kèm dòng retry:)
+const RETRY_MS = 3000;
+
+// Trạng thái không còn đổi nữa (trừ hoàn tiền) -> gửi xong thì đóng stream
+const FINAL_STATUSES = ['paid', 'cancelled', 'expired', 'failed', 'refunded'];
+
+function createPaymentEvents() {
+  const emitter = new EventEmitter();
+  // Mỗi stream là một listener, không giới hạn số extension mở cùng order
+  emitter.setMaxListeners(0);
+
+  const streams = new Set();
+
+  /**
+   * Báo payment vừa đổi trạng thái (fulfillment gọi sau khi đã lưu).
+   */
+  function publish(payment) {
+    emitter.emit(`order:${payment.orderId}`, payment);
+  }
+
+  /**
+   * Mở stream SSE cho một order trên response đã kiểm tra quyền truy cập.
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {object} payment - payment hiện tại
+   * @param {(payment: object) => object} render - payment -> data của event status
+   */
+  function openStream(req, res, payment, render) {
+    const eventName = `order:${payment.orderId}`;
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    let eventId = 0;
+    let closed = false;
+
+    function close() {
+      if (closed) return;
+      closed = true;
+      emitter.off(eventName, onChange);
+      clearInterval(heartbeat);
+      clearTimeout(maxAge);
+      streams.delete(close);
+      res.end();
+    }
+
+    function send(current) {
+      eventId++;
+      res.write(`id: ${eventId}\nevent: status\ndata: ${JSON.stringify(render(current))}\n\n`);
+      if (FINAL_STATUSES.includes(current.status)) close();
+    }
+
+    function onChange(changed) {
+      try {
+        send(changed);
+      } catch (error) {
+        log.error('payment event send failed', { orderId: changed.orderId, error });
+        close();
+      }
+    }
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    const maxAge = setTimeout(close, MAX_STREAM_MS);
+
+    streams.add(close);
+    emitter.on(eventName, onChange);
+    req.on('close', close);
+
+    // Trạng thái hiện tại ngay khi kết nối, kể cả khi webhook đã tới trước
+    send(payment);
+  }
+
+  return {
+    publish,
+    openStream,
+    get streamCount() {
+      return streams.size;
+    },
+    // Đóng mọi stream đang mở (tắt server, kết thúc test)
+    closeAll() {
+      for (const close of [...streams]) close();
+    }
+  };
+}
+
+module.exports = { createPaymentEvents, FINAL_STATUSES };
@@ -0,0 +1,140 @@
+// ============================================
+// PAYOS CLIENT (ký request, gọi API, xác thực webhook)
+// ============================================
+const crypto = require('crypto');
+const axios = require('axios');
+
+const PAYOS_API_URL = 'https://api-merchant.payos.vn';
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * @param {object} config
+ * @param {string} config.clientId
+ * @param {string} config.apiKey
+ * @param {string} config.checksumKey
+ * @param {string} [config.baseUrl] - đổi sang mock server khi test
+ * @param {object} metrics - metrics của app (lib/metrics createMetrics)
+ */
+function createPayosClient(config, metrics) {
+  const baseUrl = (config.baseUrl || PAYOS_API_URL).replace(/\/+$/, '');
+  const http = axios.create({
+    baseURL: baseUrl,
+    timeout: REQUEST_TIMEOUT_MS,
+    headers: {
+      'x-client-id': config.clientId,
+      'x-api-key': config.apiKey,
+      'Content-Type': 'application/json'
+    }
+  });
+
+  function generateSignature(data) {
+    const sortedKeys = Object.keys(data).sort();
+    const signaturePayload = sortedKeys
+      .map(key => `${key}=${data[key]}`)
+      .join('&');
+    
+    return crypto
+      .createHmac('sha256', config.checksumKey)
+      .update(signaturePayload)
+      .digest('hex');
+  }
+
+  // PayOS ký webhook giống generateSignature nhưng null/undefined -> '' và mảng -> JSON
+  function normalizeWebhookData(data) {
+    const normalized = {};
+    for (const [key, value] of Object.entries(data)) {
+      if (value === undefined) continue;
+      if (Array.isArray(value)) {
+        normalized[key] = JSON.stringify(value);
+      } else if ([null, 'null', 'undefined'].includes(value)) {
+        normalized[key] = '';
+      } else {
+        normalized[key] = value;
+      }
+    }
+    return normalized;
+  }
+
+  function verifyWebhookSignature(data, signature) {
+    if (!data || typeof data !== 'object' || typeof signature !== 'string' || !config.checksumKey) {
+      return false;
+    }
+    
+    const expected = Buffer.from(generateSignature(normalizeWebhookData(data)), 'utf8');
+    const received = Buffer.from(signature.toLowerCase(), 'utf8');
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  // Đo thời gian mỗi lần gọi, lỗi mạng hay lỗi PayOS đều tính outcome error.
+  // Lỗi được đánh dấu isPayosError để route trả PAYOS_ERROR thay vì INTERNAL_ERROR.
+  function call(operation, request) {
+    return metrics.payosLatency.time({ operation }, async () => unwrap(await request()))
+      .catch(error => {
+        error.isPayosError = true;
+        throw error;
+      });
+  }
+
+  // PayOS trả HTTP 200 kể cả khi lỗi, phải xem field code
+  function unwrap(response) {
+    const body = response.data;
+    if (body.code !== '00') {
+      const error = new Error(body.desc || `PayOS error ${body.code}`);
+      error.payosCode = body.code;
+      throw error;
+    }
+    return body.data;
+  }
+
+  /**
+   * Tạo link thanh toán.
+   * @returns {Promise<{ checkoutUrl: string }>}
+   */
+  async function createPaymentLink({ orderCode, amount, description, returnUrl, cancelUrl, expiredAt }) {
+    const paymentData = {
+      orderCode,
+      amount,
+      description: description.substring(0, 25), // PayOS giới hạn 25 ký tự
+      returnUrl,
+      cancelUrl,
+      expiredAt // unix timestamp (giây), PayOS tự hủy link sau thời điểm này
+    };
+    
+    paymentData.signature = generateSignature({
+      amount: paymentData.amount,
+      cancelUrl: paymentData.cancelUrl,
+      description: paymentData.description,
+      orderCode: paymentData.orderCode,
+      returnUrl: paymentData.returnUrl
+    });
+    
+    return call('create_payment_link', () => http.post('/v2/payment-requests', paymentData));
+  }
+
+  /**
+   * Trạng thái payment request trên PayOS.
+   * @returns {Promise<{ status: 'PENDING'|'PROCESSING'|'PAID'|'CANCELLED'|'EXPIRED'|'UNDERPAID'|'FAILED',
+   *   amount: number, amountPaid: number }>}
+   */
+  async function getPaymentRequest(orderCode) {
+    return call('get_payment_request', () => http.get(`/v2/payment-requests/${encodeURIComponent(orderCode)}`));
+  }
+
+  async function cancelPaymentLink(orderCode, cancellationReason) {
+    return call('cancel_payment_link', () => http.post(
+      `/v2/payment-requests/${encodeURIComponent(orderCode)}/cancel`,
+      cancellationReason ? { cancellationReason } : {}
+    ));
+  }
+
+  return {
+    baseUrl,
+    generateSignature,
+    verifyWebhookSignature,
+    createPaymentLink,
+    getPaymentRequest,
+    cancelPaymentLink
+  };
+}
+
+module.exports = { createPayosClient, PAYOS_API_URL };
@@ -0,0 +1,192 @@
+// ============================================
+// PLAN CATALOG (giá do server quyết định, client chỉ gửi planId)
+// ============================================
+// Có thể thay catalog mặc định bằng file JSON qua PLANS_FILE (mảng plan cùng cấu trúc);
+// lib/config đọc + kiểm tra file lúc khởi động, createApp dựng catalog từ config.
+const fs = require('fs');
+const { entitlementErrors } = require('./entitlements');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Gói Premium: quay video đóng hàng với một camera
+const PREMIUM_ENTITLEMENTS = {
+  features: ['videoRecording'],
+  limits: { maxCameras: 1, cloudStorageGb: 0, videoRetentionDays: 90 }
+};
+
+// Gói trạm: nhiều camera + tải video lên cloud
+const STATION_ENTITLEMENTS = {
+  features: ['videoRecording', 'multiCamera', 'cloudUpload'],
+  limits: { maxCameras: 4, cloudStorageGb: 100, videoRetentionDays: 365 }
+};
+
+// durationDays: null = trọn đời
+// entitlements: tính năng + giới hạn của gói (lib/entitlements), bỏ trống = mặc định
+const DEFAULT_PLANS = [
+  { id: 'premium-1m', name: 'Premium 1 tháng', price: 49000, durationDays: 30, seats: 1,
+    entitlements: PREMIUM_ENTITLEMENTS },
+  { id: 'premium-1y', name: 'Premium 1 năm', price: 399000, durationDays: 365, seats: 1,
+    entitlements: PREMIUM_ENTITLEMENTS },
+  { id: 'premium-lifetime', name: 'Premium trọn đời', price: 999000, durationDays: null, seats: 1,
+    entitlements: PREMIUM_ENTITLEMENTS },
+  { id: 'station-1y', name: 'Trạm đóng hàng 1 năm', price: 1490000, durationDays: 365, seats: 5,
+    entitlements: STATION_ENTITLEMENTS }
+];
+
+// Số tiền tối thiểu cho một lần nâng cấp sau khi trừ phần còn lại của gói cũ
+const MIN_UPGRADE_AMOUNT = 10000;
+
+// Payment tạo trước khi có catalog không có plan: giữ nguyên hành vi cũ (1 năm, 1 máy)
+const LEGACY_PLAN = { id: 'legacy', name: 'Premium', durationDays: 365, seats: 1 };
+
+// Bản dùng thử: không bán, mỗi thiết bị được một lần (xem lib/trials).
+// durationDays là mặc định, catalog dùng TRIAL_DAYS trong config.
+const TRIAL_PLAN = { id: 'trial', name: 'Dùng thử', durationDays: 7, seats: 1 };
+
+function validatePlans(plans) {
+  if (!Array.isArray(plans) || plans.length === 0) {
+    throw new Error('Plan catalog phải là mảng không rỗng');
+  }
+
+  const ids = new Set();
+  for (const plan of plans) {
+    if (!plan.id || typeof plan.id !== 'string') {
+      throw new Error('Plan thiếu id');
+    }
+    if (ids.has(plan.id)) {
+      throw new Error(`Plan trùng id: ${plan.id}`);
+    }
+    ids.add(plan.id);
+
+    if (!plan.name) {
+      throw new Error(`Plan ${plan.id} thiếu name`);
+    }
+    if (!Number.isInteger(plan.price) || plan.price <= 0) {
+      throw new Error(`Plan ${plan.id}: price phải là số nguyên VND dương`);
+    }
+    if (plan.durationDays !== null && !(Number.isInteger(plan.durationDays) && plan.durationDays > 0)) {
+      throw new Error(`Plan ${plan.id}: durationDays phải là số nguyên dương hoặc null (trọn đời)`);
+    }
+    if (!Number.isInteger(plan.seats) || plan.seats <= 0) {
+      throw new Error(`Plan ${plan.id}: seats phải là số nguyên dương`);
+    }
+    if (plan.entitlements !== undefined) {
+      const errors = entitlementErrors(plan.entitlements);
+      if (errors.length) {
+        throw new Error(`Plan ${plan.id}: ${errors.join('; ')}`);
+      }
+    }
+  }
+  return plans;
+}
+
+/**
+ * Đọc catalog từ file JSON (PLANS_FILE). Không có file thì dùng catalog mặc định.
+ * @throws {Error} file không đọc được hoặc plan sai cấu trúc
+ */
+function loadPlans(filePath) {
+  if (!filePath) {
+    return validatePlans(DEFAULT_PLANS);
+  }
+  return validatePlans(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+}
+
+/**
+ * Catalog của một app (plan đã validate + bản dùng thử theo cấu hình).
+ * @param {object} [options]
+ * @param {object[]} [options.plans] - kết quả loadPlans
+ * @param {number} [options.trialDays]
+ */
+function createPlanCatalog({ plans = DEFAULT_PLANS, trialDays = TRIAL_PLAN.durationDays } = {}) {
+  validatePlans(plans);
+
+  return {
+    trialPlan: { ...TRIAL_PLAN, durationDays: trialDays },
+
+    listPlans() {
+      return plans.filter(plan => !plan.hidden);
+    },
+
+    getPlan(planId) {
+      return plans.find(plan => plan.id === planId) || null;
+    }
+  };
+}
+
+// Bản chụp plan lưu kèm payment, để đổi catalog không ảnh hưởng đơn đang chờ
+function snapshotPlan(plan) {
+  return {
+    id: plan.id,
+    name: plan.name,
+    price: plan.price,
+    durationDays: plan.durationDays,
+    seats: plan.seats
+  };
+}
+
+/**
+ * Ngày hết hạn khi mua plan, tính từ `from`. Trả về null nếu trọn đời.
+ * @param {number} [extraDays] - ngày cộng thêm (phần còn lại chuyển sang khi nâng cấp)
+ */
+function computeExpiry(plan, from = new Date(), extraDays = 0) {
+  if (plan.durationDays === null) {
+    return null;
+  }
+  return new Date(from.getTime() + (plan.durationDays + extraDays) * DAY_MS).toISOString();
+}
+
+// Trọn đời được coi là thời hạn dài nhất
+function termDays(plan) {
+  return plan.durationDays === null ? Infinity : plan.durationDays;
+}
+
+/**
+ * Gói mới có phải nâng cấp không: nhiều máy hơn hoặc thời hạn dài hơn,
+ * và không kém hơn ở tiêu chí còn lại.
+ */
+function isUpgrade(currentPlan, newPlan) {
+  if (currentPlan.id === newPlan.id) return false;
+  if (newPlan.seats < currentPlan.seats) return false;
+  if (termDays(newPlan) < termDays(currentPlan)) return false;
+  return newPlan.seats > currentPlan.seats || termDays(newPlan) > termDays(currentPlan);
+}
+
+/**
+ * Giá nâng cấp = giá gói mới - giá trị còn lại của gói hiện tại (theo ngày),
+ * làm tròn lên nghìn đồng và không thấp hơn MIN_UPGRADE_AMOUNT.
+ * Giá trị còn lại vượt giá gói mới không bị bỏ mà đổi thành carryOverDays:
+ * số ngày của gói mới cộng thêm vào hạn sau khi nâng cấp.
+ * @returns {{ amount: number, credit: number, carryOverDays: number }}
+ */
+function quoteUpgrade(license, currentPlan, newPlan, now = new Date()) {
+  let credit = 0;
+
+  if (currentPlan.price) {
+    if (currentPlan.durationDays === null) {
+      credit = currentPlan.price;
+    } else if (license.expiryDate) {
+      // Đã gia hạn trước nhiều kỳ thì phần còn lại có thể lớn hơn một kỳ
+      const remainingMs = Math.max(new Date(license.expiryDate) - now, 0);
+      credit = Math.floor(currentPlan.price * remainingMs / (currentPlan.durationDays * DAY_MS));
+    }
+  }
+
+  const amount = Math.max(Math.ceil((newPlan.price - credit) / 1000) * 1000, MIN_UPGRADE_AMOUNT);
+  const excess = Math.max(credit - newPlan.price, 0);
+  const carryOverDays = newPlan.durationDays === null
+    ? 0
+    : Math.floor(excess * newPlan.durationDays / newPlan.price);
+  return { amount, credit, carryOverDays };
+}
+
+module.exports = {
+  LEGACY_PLAN,
+  TRIAL_PLAN,
+  loadPlans,
+  createPlanCatalog,
+  snapshotPlan,
+  computeExpiry,
+  isUpgrade,
+  quoteUpgrade,
+  validatePlans
+};
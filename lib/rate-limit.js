@@ -0,0 +1,130 @@
+// ============================================
+// RATE LIMIT + LOCKOUT (chống dò key / dò order, lưu trong RAM)
+// ============================================
+// Chỉ giữ trong bộ nhớ của một process: restart là reset. Đủ để chặn
+// script dò key; nếu chạy nhiều instance thì mỗi instance đếm riêng.
+const { logger } = require('./logger');
+const { sendError } = require('./errors');
+
+const log = logger.child({ module: 'rate-limit' });
+
+/**
+ * Ghi lại hành vi đáng ngờ (vượt giới hạn, nhập sai key nhiều lần...).
+ * @param {string} type - vd: 'rate_limited', 'invalid_license_key', 'lockout'
+ * @param {import('express').Request} req
+ * @param {object} [details]
+ */
+function logAbuse(type, req, details = {}) {
+  log.warn('abuse detected', {
+    type,
+    ip: req.ip,
+    method: req.method,
+    path: req.path,
+    ...details
+  });
+}
+
+// Map key -> { count, resetAt }, tự dọn các mục đã hết cửa sổ
+function createCounter(windowMs) {
+  const entries = new Map();
+  let nextSweep = Date.now() + windowMs;
+
+  function sweep(now) {
+    if (now < nextSweep) return;
+    for (const [key, entry] of entries) {
+      if (entry.resetAt <= now) entries.delete(key);
+    }
+    nextSweep = now + windowMs;
+  }
+
+  return {
+    hit(key, now = Date.now()) {
+      sweep(now);
+      let entry = entries.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        entries.set(key, entry);
+      }
+      entry.count++;
+      return entry;
+    },
+    reset(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+/**
+ * Middleware giới hạn số request trong một cửa sổ thời gian cố định.
+ * @param {object} options
+ * @param {string} options.name - tên hiển thị trong log
+ * @param {number} options.windowMs
+ * @param {number} options.max - số request tối đa mỗi cửa sổ
+ * @param {(req) => string|null} [options.keyFn] - mặc định theo IP; null = không giới hạn
+ */
+function createRateLimiter({ name, windowMs, max, keyFn = req => req.ip }) {
+  const counter = createCounter(windowMs);
+
+  return (req, res, next) => {
+    const key = keyFn(req);
+    if (!key) return next();
+
+    const entry = counter.hit(key);
+    if (entry.count <= max) return next();
+
+    const retryAfter = Math.ceil((entry.resetAt - Date.now()) / 1000);
+
+    // Chỉ log lần vượt đầu tiên của mỗi cửa sổ để không ngập log
+    if (entry.count === max + 1) {
+      logAbuse('rate_limited', req, { limiter: name, max, windowMs });
+    }
+
+    res.set('Retry-After', String(retryAfter));
+    sendError(req, res, 'RATE_LIMITED', { extra: { valid: false, retryAfter } });
+  };
+}
+
+/**
+ * Khóa tạm sau nhiều lần thất bại liên tiếp (vd: nhập sai license key).
+ * @param {object} options
+ * @param {number} options.maxFailures - số lần sai tối đa trong windowMs
+ * @param {number} options.windowMs
+ * @param {number} options.lockMs - thời gian khóa
+ */
+function createLockout({ maxFailures, windowMs, lockMs }) {
+  const failures = createCounter(windowMs);
+  const lockedUntil = new Map();
+
+  return {
+    // Số ms còn bị khóa, 0 nếu không bị khóa
+    remaining(key, now = Date.now()) {
+      const until = lockedUntil.get(key);
+      if (!until) return 0;
+      if (until <= now) {
+        lockedUntil.delete(key);
+        return 0;
+      }
+      return until - now;
+    },
+
+    // Ghi nhận một lần sai; trả về true nếu lần này làm key bị khóa
+    fail(key, now = Date.now()) {
+      const entry = failures.hit(key, now);
+      if (entry.count < maxFailures) return false;
+      failures.reset(key);
+      lockedUntil.set(key, now + lockMs);
+      return true;
+    },
+
+    reset(key) {
+      failures.reset(key);
+      lockedUntil.delete(key);
+    }
+  };
+}
+
+module.exports = {
+  logAbuse,
+  createRateLimiter,
+  createLockout
+};
@@ -0,0 +1,129 @@
+// ============================================
+// RECONCILER (đối soát payment pending với PayOS)
+// ============================================
+// Webhook có thể không tới (server ngủ, lỗi mạng...). Reconciler hỏi PayOS
+// trạng thái các order pending quá lâu rồi fulfill hoặc đóng chúng.
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'reconciler' });
+
+/**
+ * @param {object} deps
+ * @param {object} deps.store
+ * @param {object} deps.payos - PayOS client (lib/payos)
+ * @param {object} deps.fulfillment - fulfillment service (lib/fulfillment)
+ * @param {number} deps.staleAfterMs - order pending lâu hơn mức này mới đối soát
+ * @param {number} deps.expireAfterMs - quá mức này mà PayOS vẫn chưa xong thì coi là hết hạn
+ */
+function createReconciler({ store, payos, fulfillment, staleAfterMs, expireAfterMs }) {
+  const payments = store.collection('payments');
+  let running = false;
+
+  /**
+   * Đối soát một order.
+   * @returns {Promise<string>} kết quả: 'fulfilled', 'cancelled', 'expired', 'failed', 'pending', 'skipped', ...
+   */
+  async function reconcileOrder(orderId, source = 'reconciler') {
+    const key = orderId.toString();
+    const payment = payments.get(key);
+
+    if (!payment || payment.status !== 'pending') {
+      return 'skipped';
+    }
+
+    const age = Date.now() - new Date(payment.createdAt).getTime();
+    let remote;
+
+    try {
+      remote = await payos.getPaymentRequest(key);
+    } catch (error) {
+      // PayOS không biết order này (tạo link lỗi giữa chừng...)
+      if (error.payosCode && age > expireAfterMs) {
+        await fulfillment.closePayment(key, 'failed', { source, reason: error.message });
+        return 'failed';
+      }
+      throw error;
+    }
+
+    switch (remote.status) {
+      case 'PAID': {
+        const result = await fulfillment.fulfill(key, {
+          source,
+          amount: remote.amountPaid ?? remote.amount
+        });
+        return result.outcome;
+      }
+      case 'CANCELLED':
+        await fulfillment.closePayment(key, 'cancelled', { source, reason: remote.cancellationReason || null });
+        return 'cancelled';
+      case 'EXPIRED':
+        await fulfillment.closePayment(key, 'expired', { source });
+        return 'expired';
+      case 'FAILED':
+        await fulfillment.closePayment(key, 'failed', { source });
+        return 'failed';
+      default:
+        // PENDING / PROCESSING / UNDERPAID: chờ tiếp, trừ khi đã quá hạn
+        if (age > expireAfterMs && remote.status === 'PENDING') {
+          try {
+            await payos.cancelPaymentLink(key, 'Expired');
+          } catch (error) {
+            log.warn('cannot cancel expired payment link', { orderId: key, error: error.message });
+          }
+          await fulfillment.closePayment(key, 'expired', { source });
+          return 'expired';
+        }
+        return 'pending';
+    }
+  }
+
+  /**
+   * Đối soát mọi order pending cũ hơn staleAfterMs (tuần tự để không dồn request lên PayOS).
+   * @returns {Promise<Record<string, string>>} orderId -> kết quả
+   */
+  async function runOnce() {
+    if (running) return {};
+    running = true;
+
+    const results = {};
+    try {
+      const cutoff = Date.now() - staleAfterMs;
+      const stale = payments.values().filter(payment =>
+        payment.status === 'pending' && new Date(payment.createdAt).getTime() < cutoff
+      );
+
+      for (const payment of stale) {
+        const key = payment.orderId.toString();
+        try {
+          results[key] = await reconcileOrder(key);
+        } catch (error) {
+          log.error('reconcile failed', { orderId: key, error: error.message });
+          results[key] = 'error';
+        }
+      }
+    } finally {
+      running = false;
+    }
+
+    const changed = Object.values(results).filter(outcome => outcome !== 'pending').length;
+    if (changed > 0) {
+      log.info('reconciled stale payments', { changed, checked: Object.keys(results).length });
+    }
+    return results;
+  }
+
+  /**
+   * @returns {() => void} hàm dừng
+   */
+  function start(intervalMs) {
+    const timer = setInterval(() => {
+      runOnce().catch(error => log.error('reconciler error', { error }));
+    }, intervalMs);
+    timer.unref();
+    return () => clearInterval(timer);
+  }
+
+  return { reconcileOrder, runOnce, start };
+}
+
+module.exports = { createReconciler };
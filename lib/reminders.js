@@ -0,0 +1,85 @@
+// ============================================
+// EXPIRY REMINDERS (gửi email nhắc gia hạn)
+// ============================================
+const { isBlocked } = require('./licenses');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'reminders' });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Quét license sắp hết hạn và gửi email nhắc một lần cho mỗi mốc ngày.
+ * Mốc đã gửi lưu trong license.remindersSent dạng "<expiryDate>:<days>",
+ * nên sau khi gia hạn (expiryDate đổi) các mốc sẽ được nhắc lại.
+ * onExpiring (outbound webhook license.expiring) được gọi một lần mỗi mốc,
+ * kể cả license không có email; mốc đã báo lưu riêng trong license.expiringNotified.
+ * @param {(license: object, daysRemaining: number) => void} [options.onExpiring]
+ * @returns {Promise<number>} số email đã gửi
+ */
+async function sendExpiryReminders({ store, mailer, reminderDays, onExpiring, now = new Date() }) {
+  const licenses = store.collection('licenses');
+  const thresholds = [...reminderDays].sort((a, b) => a - b);
+  let sent = 0;
+
+  for (const license of licenses.values()) {
+    if (!license.expiryDate || isBlocked(license)) continue;
+
+    const msLeft = new Date(license.expiryDate) - now;
+    if (msLeft <= 0) continue;
+
+    const daysRemaining = Math.ceil(msLeft / DAY_MS);
+    // Chỉ gửi mốc nhỏ nhất đã chạm tới, tránh gửi dồn nhiều email cùng lúc
+    const threshold = thresholds.find(days => daysRemaining <= days);
+    if (threshold === undefined) continue;
+
+    const marker = `${license.expiryDate}:${threshold}`;
+
+    if (onExpiring && !(license.expiringNotified || []).includes(marker)) {
+      const latest = licenses.get(license.key);
+      latest.expiringNotified = [...(latest.expiringNotified || []), marker];
+      licenses.set(latest.key, latest);
+      onExpiring(latest, daysRemaining);
+    }
+
+    if (!license.email || (license.remindersSent || []).includes(marker)) continue;
+
+    const ok = await mailer.send('expiryReminder', license.email, {
+      locale: license.locale,
+      licenseKey: license.key,
+      expiryDate: license.expiryDate,
+      daysRemaining
+    });
+    if (!ok) continue;
+
+    // Đọc lại vì license có thể đã đổi trong lúc chờ gửi mail
+    const latest = licenses.get(license.key);
+    latest.remindersSent = [...(latest.remindersSent || []), marker];
+    licenses.set(latest.key, latest);
+    sent++;
+  }
+
+  return sent;
+}
+
+/**
+ * Chạy sendExpiryReminders định kỳ.
+ * @returns {() => void} hàm dừng
+ */
+function startExpiryReminders({ store, mailer, reminderDays, intervalMs, onExpiring }) {
+  const run = () => {
+    sendExpiryReminders({ store, mailer, reminderDays, onExpiring })
+      .then(sent => {
+        if (sent > 0) log.info('expiry reminders sent', { sent });
+      })
+      .catch(error => log.error('expiry reminder error', { error }));
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  run();
+
+  return () => clearInterval(timer);
+}
+
+module.exports = { sendExpiryReminders, startExpiryReminders };
@@ -0,0 +1,81 @@
+// ============================================
+// REMOTE CONFIG (feature flag + phiên bản extension tối thiểu)
+// ============================================
+// Extension gọi GET /api/remote-config lúc khởi động và định kỳ. Admin sửa qua
+// /api/admin/remote-config, lưu trong collection settings (key 'remoteConfig').
+// Flag áp cho mọi người dùng (vd: tắt cloudUpload khi dịch vụ lưu trữ gặp sự cố);
+// extension chỉ bật tính năng khi cả entitlement của license lẫn flag đều cho phép.
+const VERSION_PATTERN = /^\d+(\.\d+){0,2}$/;
+
+const SETTINGS_KEY = 'remoteConfig';
+
+// Tên flag: chữ cái đầu, sau đó chữ / số / . _ -
+const FLAG_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9._-]{0,63}$/;
+
+/**
+ * So sánh phiên bản dạng 1.2.3 (thiếu phần nào coi là 0).
+ * @returns {number} < 0 nếu a cũ hơn b, 0 nếu bằng, > 0 nếu mới hơn
+ */
+function compareVersions(a, b) {
+  const left = a.split('.').map(Number);
+  const right = b.split('.').map(Number);
+  for (let i = 0; i < 3; i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * @param {object} deps
+ * @param {object} deps.store
+ * @param {{ minExtensionVersion: string }} deps.defaults - từ env (lib/config), dùng khi admin chưa sửa
+ */
+function createRemoteConfig({ store, defaults }) {
+  const settings = store.collection('settings');
+
+  /**
+   * Cấu hình hiện tại: mặc định từ env gộp với phần admin đã lưu lúc đọc,
+   * nên đổi MIN_EXTENSION_VERSION vẫn có hiệu lực khi admin chưa ghi đè field đó.
+   * @returns {{ minExtensionVersion: string, latestExtensionVersion: string|null,
+   *   flags: Record<string, boolean>, message: string|null, updatedAt: string|null, updatedBy: string|null }}
+   */
+  function get() {
+    return {
+      minExtensionVersion: defaults.minExtensionVersion,
+      latestExtensionVersion: null,
+      flags: {},
+      message: null,
+      updatedAt: null,
+      updatedBy: null,
+      ...settings.get(SETTINGS_KEY)
+    };
+  }
+
+  /**
+   * Lưu thay đổi của admin, chỉ các field admin đã đặt (không chép mặc định vào storage).
+   * flags được gộp vào flag hiện có; giá trị null xóa flag / xóa field (quay về mặc định).
+   * @param {object} changes - minExtensionVersion, latestExtensionVersion, flags, message
+   * @param {string} actor
+   */
+  function update({ flags = {}, ...fields }, actor) {
+    const saved = settings.get(SETTINGS_KEY) || {};
+
+    const next = { ...saved, ...fields, flags: { ...saved.flags, ...flags } };
+    for (const [name, value] of Object.entries(fields)) {
+      if (value === null) delete next[name];
+    }
+    for (const [name, value] of Object.entries(next.flags)) {
+      if (value === null) delete next.flags[name];
+    }
+    next.updatedAt = new Date().toISOString();
+    next.updatedBy = actor;
+
+    settings.set(SETTINGS_KEY, next);
+    return get();
+  }
+
+  return { get, update };
+}
+
+module.exports = { VERSION_PATTERN, FLAG_NAME_PATTERN, compareVersions, createRemoteConfig };
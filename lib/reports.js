@@ -0,0 +1,392 @@
+// ============================================
+// REPORTS (doanh thu, chuyển đổi, kích hoạt... cho admin)
+// ============================================
+// Tính trực tiếp từ collection payments và licenses mỗi lần gọi, không lưu số liệu riêng.
+// Mỗi report trả về { columns, rows, summary }: rows dùng cho cả JSON và CSV (lib/csv).
+// Kỳ (ngày / tuần / tháng) tính theo giờ Việt Nam; tuần bắt đầu từ thứ Hai,
+// nhãn của tuần là ngày thứ Hai đó.
+const { LEGACY_PLAN, TRIAL_PLAN } = require('./plans');
+const { isExpired, isBlocked } = require('./licenses');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Asia/Ho_Chi_Minh, không có giờ mùa hè
+const REPORT_TZ_OFFSET_MS = 7 * 60 * 60 * 1000;
+
+const GROUP_BY = ['day', 'week', 'month'];
+
+// Report theo kỳ không truyền khoảng thời gian thì lấy 30 ngày gần nhất
+const DEFAULT_RANGE_DAYS = 30;
+
+// Giới hạn số kỳ để report theo ngày không sinh ra hàng chục nghìn dòng
+const MAX_RANGE_DAYS = 3 * 366;
+
+// ============================================
+// HELPERS
+// ============================================
+
+function periodOf(time, groupBy) {
+  const local = new Date(new Date(time).getTime() + REPORT_TZ_OFFSET_MS);
+  const day = local.toISOString().slice(0, 10);
+
+  if (groupBy === 'month') return day.slice(0, 7);
+  if (groupBy === 'week') {
+    const weekday = (local.getUTCDay() + 6) % 7; // thứ Hai = 0
+    return new Date(local.getTime() - weekday * DAY_MS).toISOString().slice(0, 10);
+  }
+  return day;
+}
+
+// Mọi kỳ từ since tới until, kỳ không có dữ liệu vẫn có một dòng 0
+function periodsBetween(since, until, groupBy) {
+  const periods = [];
+  for (let time = since.getTime(); time < until.getTime(); time += DAY_MS) {
+    const period = periodOf(time, groupBy);
+    if (periods[periods.length - 1] !== period) periods.push(period);
+  }
+  const last = periodOf(until.getTime() - 1, groupBy);
+  if (until > since && periods[periods.length - 1] !== last) periods.push(last);
+  return periods;
+}
+
+function inRange(iso, { since, until }) {
+  if (!iso) return false;
+  const time = new Date(iso).getTime();
+  return (!since || time >= since.getTime()) && (!until || time < until.getTime());
+}
+
+// Phần trăm, làm tròn 1 chữ số; null khi không có mẫu
+function percent(part, total) {
+  return total > 0 ? Math.round((part / total) * 1000) / 10 : null;
+}
+
+function planName(getPlan, planId) {
+  if (planId === TRIAL_PLAN.id) return TRIAL_PLAN.name;
+  const plan = getPlan(planId);
+  return plan ? plan.name : LEGACY_PLAN.name;
+}
+
+function byPlan(planId) {
+  return item => !planId || (item.planId || LEGACY_PLAN.id) === planId;
+}
+
+function isActivated(license) {
+  return Boolean(license.activatedAt) || (license.devices || []).length > 0;
+}
+
+// Gom items vào các kỳ rồi tính mỗi dòng bằng summarize(items của kỳ)
+function groupByPeriod(options, sources, summarize) {
+  const { since, until, groupBy } = options;
+  const buckets = new Map(periodsBetween(since, until, groupBy).map(period => [period, {}]));
+
+  for (const [name, { items, at }] of Object.entries(sources)) {
+    for (const item of items) {
+      const time = at(item);
+      if (!inRange(time, options)) continue;
+      const bucket = buckets.get(periodOf(time, groupBy));
+      (bucket[name] = bucket[name] || []).push(item);
+    }
+  }
+
+  const rows = [...buckets].map(([period, bucket]) => ({ period, ...summarize(bucket) }));
+  const all = Object.fromEntries(Object.entries(sources).map(([name, { items, at }]) => [
+    name, items.filter(item => inRange(at(item), options))
+  ]));
+  return { rows, summary: summarize(all) };
+}
+
+// ============================================
+// REPORTS
+// ============================================
+
+// Doanh thu theo ngày thanh toán, hoàn tiền theo ngày hoàn
+function revenueReport(store, options) {
+  const payments = store.collection('payments').values().filter(byPlan(options.planId));
+
+  return groupByPeriod(options, {
+    paid: { items: payments, at: payment => payment.paidAt },
+    refunded: { items: payments, at: payment => payment.refundedAt }
+  }, ({ paid = [], refunded = [] }) => {
+    const grossRevenue = paid.reduce((sum, payment) => sum + payment.amount, 0);
+    const refundedAmount = refunded.reduce((sum, payment) => sum + payment.amount, 0);
+    return {
+      paidOrders: paid.length,
+      grossRevenue,
+      discounts: paid.reduce((sum, payment) => sum + (payment.discount || 0), 0),
+      refunds: refunded.length,
+      refundedAmount,
+      netRevenue: grossRevenue - refundedAmount
+    };
+  });
+}
+
+// Payment tạo trong kỳ đã được thanh toán bao nhiêu (kể cả đã hoàn tiền sau đó)
+function conversionReport(store, options) {
+  const payments = store.collection('payments').values().filter(byPlan(options.planId));
+
+  return groupByPeriod(options, {
+    created: { items: payments, at: payment => payment.createdAt }
+  }, ({ created = [] }) => {
+    const count = status => created.filter(payment => payment.status === status).length;
+    const paid = created.filter(payment => payment.paidAt).length;
+    return {
+      created: created.length,
+      paid,
+      cancelled: count('cancelled'),
+      expired: count('expired'),
+      pending: count('pending'),
+      conversionRate: percent(paid, created.length)
+    };
+  });
+}
+
+// License phát hành trong kỳ đã được kích hoạt bao nhiêu (không tính dùng thử)
+function activationReport(store, options) {
+  const licenses = store.collection('licenses').values()
+    .filter(license => !license.trial)
+    .filter(byPlan(options.planId));
+
+  return groupByPeriod(options, {
+    issued: { items: licenses, at: license => license.createdAt }
+  }, ({ issued = [] }) => {
+    const activated = issued.filter(isActivated).length;
+    return {
+      issued: issued.length,
+      activated,
+      activationRate: percent(activated, issued.length)
+    };
+  });
+}
+
+// Trạng thái hiện tại của license theo gói; since/until (nếu có) lọc theo ngày phát hành
+function licenseStatusReport(store, options) {
+  const licenses = store.collection('licenses').values()
+    .filter(byPlan(options.planId))
+    .filter(license => (!options.since && !options.until) || inRange(license.createdAt, options));
+
+  const count = items => ({
+    total: items.length,
+    active: items.filter(license => !isBlocked(license) && !isExpired(license)).length,
+    expired: items.filter(license => !isBlocked(license) && isExpired(license)).length,
+    suspended: items.filter(license => license.status === 'suspended').length,
+    revoked: items.filter(license => license.status === 'revoked').length,
+    activated: items.filter(isActivated).length
+  });
+
+  const planIds = [...new Set(licenses.map(license => license.planId || LEGACY_PLAN.id))].sort();
+  const rows = planIds.map(planId => ({
+    planId,
+    planName: planName(options.getPlan, planId),
+    ...count(licenses.filter(byPlan(planId)))
+  }));
+
+  return { rows, summary: count(licenses) };
+}
+
+// License còn hiệu lực sẽ hết hạn trong `days` ngày tới, sớm nhất trước
+function expiringReport(store, options) {
+  const now = options.now || new Date();
+  const horizon = new Date(now.getTime() + options.days * DAY_MS);
+
+  const rows = store.collection('licenses').values()
+    .filter(byPlan(options.planId))
+    .filter(license => license.expiryDate && !isBlocked(license))
+    .filter(license => inRange(license.expiryDate, { since: now, until: horizon }))
+    .sort((a, b) => new Date(a.expiryDate) - new Date(b.expiryDate))
+    .map(license => ({
+      licenseKey: license.key,
+      planId: license.planId || LEGACY_PLAN.id,
+      trial: Boolean(license.trial),
+      expiryDate: license.expiryDate,
+      daysRemaining: Math.ceil((new Date(license.expiryDate) - now) / DAY_MS),
+      email: license.email || null,
+      devicesUsed: (license.devices || []).length,
+      resellerId: license.resellerId || null
+    }));
+
+  return {
+    rows,
+    summary: {
+      days: options.days,
+      total: rows.length,
+      trial: rows.filter(row => row.trial).length,
+      withEmail: rows.filter(row => row.email).length
+    }
+  };
+}
+
+// Doanh thu + license theo từng gói trong khoảng thời gian
+function planReport(store, options) {
+  const payments = store.collection('payments').values().filter(byPlan(options.planId));
+  const licenses = store.collection('licenses').values().filter(byPlan(options.planId));
+
+  const paid = payments.filter(payment => inRange(payment.paidAt, options));
+  const refunded = payments.filter(payment => inRange(payment.refundedAt, options));
+  const issued = licenses.filter(license => inRange(license.createdAt, options));
+
+  const planIds = [...new Set([...paid, ...refunded, ...issued].map(item => item.planId || LEGACY_PLAN.id))].sort();
+
+  const summarize = planId => {
+    const of = items => items.filter(byPlan(planId));
+    const grossRevenue = of(paid).reduce((sum, payment) => sum + payment.amount, 0);
+    const refundedAmount = of(refunded).reduce((sum, payment) => sum + payment.amount, 0);
+    const planIssued = of(issued);
+    const activated = planIssued.filter(isActivated).length;
+    return {
+      paidOrders: of(paid).length,
+      grossRevenue,
+      refundedAmount,
+      netRevenue: grossRevenue - refundedAmount,
+      licensesIssued: planIssued.length,
+      licensesActivated: activated,
+      activationRate: percent(activated, planIssued.length)
+    };
+  };
+
+  return {
+    rows: planIds.map(planId => ({ planId, planName: planName(options.getPlan, planId), ...summarize(planId) })),
+    summary: summarize(null)
+  };
+}
+
+// ============================================
+// DANH MỤC REPORT
+// ============================================
+// grouped: chia dòng theo kỳ (groupBy)
+// ranged: luôn lọc theo khoảng thời gian, mặc định 30 ngày gần nhất
+
+const PERIOD_COLUMN = { key: 'period', header: 'Period' };
+const PLAN_COLUMNS = [{ key: 'planId', header: 'Plan' }, { key: 'planName', header: 'Plan name' }];
+
+const REPORTS = {
+  revenue: {
+    grouped: true,
+    ranged: true,
+    build: revenueReport,
+    columns: [
+      PERIOD_COLUMN,
+      { key: 'paidOrders', header: 'Paid orders' },
+      { key: 'grossRevenue', header: 'Gross revenue (VND)' },
+      { key: 'discounts', header: 'Discounts (VND)' },
+      { key: 'refunds', header: 'Refunds' },
+      { key: 'refundedAmount', header: 'Refunded (VND)' },
+      { key: 'netRevenue', header: 'Net revenue (VND)' }
+    ]
+  },
+  conversion: {
+    grouped: true,
+    ranged: true,
+    build: conversionReport,
+    columns: [
+      PERIOD_COLUMN,
+      { key: 'created', header: 'Created' },
+      { key: 'paid', header: 'Paid' },
+      { key: 'cancelled', header: 'Cancelled' },
+      { key: 'expired', header: 'Expired' },
+      { key: 'pending', header: 'Pending' },
+      { key: 'conversionRate', header: 'Conversion (%)' }
+    ]
+  },
+  activation: {
+    grouped: true,
+    ranged: true,
+    build: activationReport,
+    columns: [
+      PERIOD_COLUMN,
+      { key: 'issued', header: 'Issued' },
+      { key: 'activated', header: 'Activated' },
+      { key: 'activationRate', header: 'Activation (%)' }
+    ]
+  },
+  licenses: {
+    build: licenseStatusReport,
+    columns: [
+      ...PLAN_COLUMNS,
+      { key: 'total', header: 'Total' },
+      { key: 'active', header: 'Active' },
+      { key: 'expired', header: 'Expired' },
+      { key: 'suspended', header: 'Suspended' },
+      { key: 'revoked', header: 'Revoked' },
+      { key: 'activated', header: 'Activated' }
+    ]
+  },
+  expiring: {
+    build: expiringReport,
+    columns: [
+      { key: 'licenseKey', header: 'License key' },
+      { key: 'planId', header: 'Plan' },
+      { key: 'trial', header: 'Trial' },
+      { key: 'expiryDate', header: 'Expiry date' },
+      { key: 'daysRemaining', header: 'Days remaining' },
+      { key: 'email', header: 'Email' },
+      { key: 'devicesUsed', header: 'Devices used' },
+      { key: 'resellerId', header: 'Reseller' }
+    ]
+  },
+  plans: {
+    ranged: true,
+    build: planReport,
+    columns: [
+      ...PLAN_COLUMNS,
+      { key: 'paidOrders', header: 'Paid orders' },
+      { key: 'grossRevenue', header: 'Gross revenue (VND)' },
+      { key: 'refundedAmount', header: 'Refunded (VND)' },
+      { key: 'netRevenue', header: 'Net revenue (VND)' },
+      { key: 'licensesIssued', header: 'Licenses issued' },
+      { key: 'licensesActivated', header: 'Licenses activated' },
+      { key: 'activationRate', header: 'Activation (%)' }
+    ]
+  }
+};
+
+/**
+ * Chạy một report.
+ * @param {object} store
+ * @param {keyof REPORTS} name
+ * @param {object} query - since, until (ISO), groupBy, planId, days (đã validate)
+ * @param {object} context
+ * @param {(planId: string) => object|null} context.getPlan - catalog của app, để lấy tên gói
+ * @param {Date} [context.now]
+ * @returns {{ ok: true, report: object } | { ok: false, error: 'range' }}
+ *   report: { name, since, until, groupBy, columns, rows, summary }
+ */
+function runReport(store, name, { since, until, groupBy = 'day', planId, days = 30 }, { getPlan, now = new Date() }) {
+  const definition = REPORTS[name];
+
+  let range = {
+    since: since ? new Date(since) : null,
+    until: until ? new Date(until) : null
+  };
+  if (definition.ranged) {
+    const end = range.until || now;
+    range = { since: range.since || new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS), until: end };
+  }
+  if (range.since && range.until &&
+    (range.since >= range.until || range.until - range.since > MAX_RANGE_DAYS * DAY_MS)) {
+    return { ok: false, error: 'range' };
+  }
+
+  const { rows, summary } = definition.build(store, { ...range, groupBy, planId, days, now, getPlan });
+
+  return {
+    ok: true,
+    report: {
+      name,
+      since: range.since ? range.since.toISOString() : null,
+      until: range.until ? range.until.toISOString() : null,
+      groupBy: definition.grouped ? groupBy : null,
+      planId: planId || null,
+      columns: definition.columns,
+      rows,
+      summary
+    }
+  };
+}
+
+module.exports = {
+  REPORTS,
+  GROUP_BY,
+  MAX_RANGE_DAYS,
+  periodOf,
+  runReport
+};
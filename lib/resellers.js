@@ -0,0 +1,138 @@
+// ============================================
+// RESELLERS (đại lý mua sỉ license theo batch)
+// ============================================
+// Mỗi đại lý có một API key riêng, chỉ thấy batch và license của chính mình.
+// Server chỉ lưu hash của key; key gốc trả về một lần khi tạo / đổi key.
+const crypto = require('crypto');
+const { isExpired } = require('./licenses');
+const { logger } = require('./logger');
+const { sendError } = require('./errors');
+
+const log = logger.child({ module: 'resellers' });
+
+function generateResellerKey() {
+  return `rsk_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function hashResellerKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Tạo record đại lý mới (chưa lưu).
+ * @returns {{ reseller: object, apiKey: string }}
+ */
+function createResellerRecord({ name, email }, actor) {
+  const apiKey = generateResellerKey();
+  return {
+    apiKey,
+    reseller: {
+      id: `RS-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+      name,
+      email,
+      keyHash: hashResellerKey(apiKey),
+      active: true,
+      createdAt: new Date().toISOString(),
+      createdBy: actor
+    }
+  };
+}
+
+function extractResellerKey(req) {
+  const authorization = req.get('authorization') || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  return req.get('x-reseller-key') || '';
+}
+
+/**
+ * Middleware: chỉ cho qua đại lý đang hoạt động, gắn req.reseller = record đại lý.
+ */
+function requireReseller(store) {
+  const resellers = store.collection('resellers');
+
+  return (req, res, next) => {
+    const provided = extractResellerKey(req);
+    const keyHash = provided ? hashResellerKey(provided) : null;
+    const reseller = keyHash && resellers.values().find(item => item.keyHash === keyHash);
+
+    if (!reseller || !reseller.active) {
+      log.warn('reseller auth failed', { ip: req.ip, path: req.originalUrl.split('?')[0] });
+      return sendError(req, res, 'UNAUTHORIZED');
+    }
+
+    req.reseller = reseller;
+    next();
+  };
+}
+
+// Bỏ keyHash khi trả record đại lý ra ngoài
+function publicReseller({ keyHash, ...reseller }) {
+  return reseller;
+}
+
+// ============================================
+// BATCH (thống kê + export)
+// ============================================
+
+function batchLicenses(store, batch) {
+  const licenses = store.collection('licenses');
+  return batch.licenseKeys.map(key => licenses.get(key)).filter(Boolean);
+}
+
+function summarizeBatch(store, batch) {
+  const items = batchLicenses(store, batch);
+  const { licenseKeys, ...rest } = batch;
+  return {
+    ...rest,
+    total: items.length,
+    activated: items.filter(license => license.activatedAt || license.devices.length > 0).length,
+    assigned: items.filter(license => license.assignedTo).length,
+    revoked: items.filter(license => license.status === 'revoked').length
+  };
+}
+
+const BATCH_CSV_COLUMNS = [
+  { key: 'licenseKey', header: 'License key' },
+  { key: 'batchId', header: 'Batch' },
+  { key: 'planId', header: 'Plan' },
+  { key: 'status', header: 'Status' },
+  { key: 'expiryDate', header: 'Expiry date' },
+  { key: 'seats', header: 'Seats' },
+  { key: 'devicesUsed', header: 'Devices used' },
+  { key: 'activatedAt', header: 'Activated at' },
+  { key: 'assignedTo', header: 'Assigned to' },
+  { key: 'assignedNote', header: 'Note' },
+  { key: 'assignedAt', header: 'Assigned at' }
+];
+
+// Một dòng cho mỗi license trong batch (dùng cho cả JSON và CSV)
+function batchRows(store, batch) {
+  return batchLicenses(store, batch).map(license => ({
+    licenseKey: license.key,
+    batchId: batch.id,
+    planId: license.planId,
+    status: license.status,
+    expired: isExpired(license),
+    expiryDate: license.expiryDate,
+    seats: license.seats,
+    devicesUsed: license.devices.length,
+    activatedAt: license.activatedAt || null,
+    assignedTo: license.assignedTo ? license.assignedTo.email : null,
+    assignedNote: license.assignedTo ? license.assignedTo.note : null,
+    assignedAt: license.assignedTo ? license.assignedTo.at : null
+  }));
+}
+
+module.exports = {
+  generateResellerKey,
+  hashResellerKey,
+  createResellerRecord,
+  requireReseller,
+  publicReseller,
+  batchLicenses,
+  summarizeBatch,
+  batchRows,
+  BATCH_CSV_COLUMNS
+};
@@ -0,0 +1,56 @@
+// ============================================
+// COLLECTION (API giống Map, dùng chung cho mọi driver)
+// ============================================
+
+// Luôn trả về bản sao để route phải gọi set() khi thay đổi dữ liệu,
+// nếu không thì driver file sẽ không biết để ghi xuống đĩa.
+function clone(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
+
+/**
+ * Bọc một Map thô thành collection có API giống Map.
+ * @param {Map<string, any>} rows - dữ liệu thô của collection
+ * @param {() => void} onChange - gọi sau mỗi lần ghi
+ */
+function createCollection(rows, onChange) {
+  return {
+    get(key) {
+      return clone(rows.get(String(key)));
+    },
+
+    has(key) {
+      return rows.has(String(key));
+    },
+
+    set(key, value) {
+      rows.set(String(key), clone(value));
+      onChange();
+      return this;
+    },
+
+    delete(key) {
+      const deleted = rows.delete(String(key));
+      if (deleted) onChange();
+      return deleted;
+    },
+
+    keys() {
+      return Array.from(rows.keys());
+    },
+
+    values() {
+      return Array.from(rows.values(), clone);
+    },
+
+    entries() {
+      return Array.from(rows.entries(), ([key, value]) => [key, clone(value)]);
+    },
+
+    get size() {
+      return rows.size;
+    }
+  };
+}
+
+module.exports = { createCollection };
@@ -0,0 +1,101 @@
+// ============================================
+// FILE STORE (JSON trên đĩa, có schema migration)
+// ============================================
+const fs = require('fs');
+const path = require('path');
+const { createCollection } = require('./collection');
+const { migrate, LATEST_VERSION } = require('./migrations');
+
+function readDocument(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return { schemaVersion: 0, collections: {} };
+  }
+  const doc = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return {
+    schemaVersion: doc.schemaVersion || 0,
+    collections: doc.collections || {}
+  };
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.filePath - đường dẫn file JSON
+ */
+function createFileStore({ filePath }) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const doc = readDocument(filePath);
+  const startVersion = doc.schemaVersion;
+  doc.schemaVersion = migrate(doc.collections, startVersion);
+
+  const tables = new Map();      // name -> Map thô
+  const collections = new Map(); // name -> collection API
+  for (const [name, rows] of Object.entries(doc.collections)) {
+    tables.set(name, new Map(Object.entries(rows)));
+  }
+
+  let batchDepth = 0;
+  let dirty = false;
+
+  // Ghi ra file tạm rồi rename để không bao giờ để lại file hỏng giữa chừng
+  function flush() {
+    const data = {};
+    for (const [name, rows] of tables) {
+      data[name] = Object.fromEntries(rows);
+    }
+
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({
+      schemaVersion: doc.schemaVersion,
+      updatedAt: new Date().toISOString(),
+      collections: data
+    }));
+    fs.renameSync(tmpPath, filePath);
+    dirty = false;
+  }
+
+  function onChange() {
+    dirty = true;
+    if (batchDepth === 0) flush();
+  }
+
+  function collection(name) {
+    if (!collections.has(name)) {
+      if (!tables.has(name)) tables.set(name, new Map());
+      collections.set(name, createCollection(tables.get(name), onChange));
+    }
+    return collections.get(name);
+  }
+
+  // Gom nhiều lần ghi thành một lần flush
+  function transaction(fn) {
+    batchDepth++;
+    try {
+      return fn();
+    } finally {
+      batchDepth--;
+      if (batchDepth === 0 && dirty) flush();
+    }
+  }
+
+  if (startVersion !== LATEST_VERSION) flush();
+
+  return {
+    driver: 'file',
+    filePath,
+    collection,
+    transaction,
+    // Readiness: thư mục và file dữ liệu còn đọc/ghi được (ném lỗi nếu không)
+    ping() {
+      fs.accessSync(path.dirname(filePath), fs.constants.R_OK | fs.constants.W_OK);
+      if (fs.existsSync(filePath)) {
+        fs.accessSync(filePath, fs.constants.R_OK | fs.constants.W_OK);
+      }
+    },
+    close() {
+      if (dirty) flush();
+    }
+  };
+}
+
+module.exports = { createFileStore };
@@ -0,0 +1,39 @@
+// ============================================
+// STORAGE (chọn driver theo cấu hình)
+// ============================================
+// Mọi route đều đọc/ghi qua store.collection(name), không giữ Map riêng.
+// Driver:
+//   - file:   JSON trên đĩa (mặc định), dữ liệu còn sau khi restart/redeploy
+//   - memory: chỉ trong RAM, dùng cho test
+const path = require('path');
+const { EventEmitter } = require('events');
+const { createMemoryStore } = require('./memory');
+const { createFileStore } = require('./file');
+
+const DEFAULT_DATA_FILE = path.join(__dirname, '..', '..', 'data', 'db.json');
+
+function openDriver(driver, filePath) {
+  switch (driver) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      return createFileStore({ filePath });
+    default:
+      throw new Error(`STORAGE_DRIVER không hợp lệ: ${driver}`);
+  }
+}
+
+/**
+ * @param {object} [options]
+ * @param {'file'|'memory'} [options.driver]
+ * @param {string} [options.filePath]
+ * @returns {object} store; store.events là EventEmitter riêng của store (vd: 'licenseHistory'
+ *   từ lib/licenses), mỗi app một store nên listener của app này không nhận event của app khác
+ */
+function createStore({ driver = 'file', filePath = DEFAULT_DATA_FILE } = {}) {
+  const store = openDriver(driver, filePath);
+  store.events = new EventEmitter();
+  return store;
+}
+
+module.exports = { createStore };
@@ -0,0 +1,27 @@
+// ============================================
+// IN-MEMORY STORE (dùng cho test / chạy thử)
+// ============================================
+const { createCollection } = require('./collection');
+
+function createMemoryStore() {
+  const tables = new Map();
+
+  function collection(name) {
+    if (!tables.has(name)) {
+      tables.set(name, createCollection(new Map(), () => {}));
+    }
+    return tables.get(name);
+  }
+
+  return {
+    driver: 'memory',
+    collection,
+    transaction(fn) {
+      return fn();
+    },
+    ping() {},
+    close() {}
+  };
+}
+
+module.exports = { createMemoryStore };
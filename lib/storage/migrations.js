@@ -0,0 +1,78 @@
+// ============================================
+// SCHEMA MIGRATIONS (cho driver lưu trữ bền vững)
+// ============================================
+// Mỗi migration nhận object { tênCollection: { key: value } } và sửa trực tiếp.
+// Chỉ được THÊM migration mới vào cuối danh sách, không sửa migration cũ.
+const { logger } = require('../logger');
+
+const log = logger.child({ module: 'storage' });
+
+const migrations = [
+  {
+    version: 1,
+    description: 'Khởi tạo licenses, payments, deviceLicenses',
+    up(collections) {
+      collections.licenses = collections.licenses || {};
+      collections.payments = collections.payments || {};
+      collections.deviceLicenses = collections.deviceLicenses || {};
+    }
+  },
+  {
+    version: 2,
+    description: 'License nhiều thiết bị: deviceId -> seats + devices[]',
+    up(collections) {
+      for (const license of Object.values(collections.licenses)) {
+        license.seats = license.seats || 1;
+        license.devices = license.devices || [];
+        if (license.deviceId) {
+          license.devices.push({
+            deviceIdHash: license.deviceId,
+            boundAt: license.activatedAt || license.createdAt,
+            lastSeenAt: null
+          });
+        }
+        delete license.deviceId;
+      }
+    }
+  },
+  {
+    version: 3,
+    description: "Trạng thái payment: 'completed' -> 'paid', completedAt -> paidAt",
+    up(collections) {
+      for (const payment of Object.values(collections.payments)) {
+        if (payment.status === 'completed') {
+          payment.status = 'paid';
+        }
+        if (payment.completedAt) {
+          payment.paidAt = payment.completedAt;
+          delete payment.completedAt;
+        }
+      }
+    }
+  }
+];
+
+const LATEST_VERSION = migrations[migrations.length - 1].version;
+
+/**
+ * Chạy các migration còn thiếu.
+ * @returns {number} schemaVersion sau khi migrate
+ */
+function migrate(collections, fromVersion) {
+  if (fromVersion > LATEST_VERSION) {
+    throw new Error(
+      `Dữ liệu có schemaVersion ${fromVersion} mới hơn code hiện tại (${LATEST_VERSION})`
+    );
+  }
+
+  let version = fromVersion;
+  for (const migration of migrations) {
+    if (migration.version <= version) continue;
+    migration.up(collections);
+    version = migration.version;
+    log.info('migrated storage', { version, description: migration.description });
+  }
+  return version;
+}
+
+module.exports = { migrate, LATEST_VERSION };
@@ -0,0 +1,146 @@
+// ============================================
+// TRANSFERS (khách tự chuyển license sang máy mới)
+// ============================================
+// Thay máy đóng gói thì activate-license báo hết chỗ. Khách chứng minh sở hữu
+// license bằng mã đơn hàng + email lúc mua, hoặc mã xác nhận một lần gửi về email,
+// rồi máy cũ được gỡ khỏi license (và deviceLicenses) để gắn máy mới.
+// Mỗi lần chuyển ghi history action 'transferred'; số lần chuyển trong một
+// khoảng thời gian bị giới hạn (TRANSFER_LIMIT / TRANSFER_PERIOD_DAYS).
+const crypto = require('crypto');
+const { appendHistory, bindDevice, releaseDevice, findDevice, seatsRemaining } = require('./licenses');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Mã xác nhận 6 số, dùng được 15 phút, nhập sai 5 lần thì hủy
+const TRANSFER_CODE_TTL_MS = 15 * 60 * 1000;
+const TRANSFER_CODE_MAX_ATTEMPTS = 5;
+
+// Không gửi mã mới nếu mã trước vừa gửi chưa tới 1 phút
+const TRANSFER_CODE_RESEND_MS = 60 * 1000;
+
+function hashTransferCode(licenseKey, code) {
+  return crypto.createHash('sha256').update(`${licenseKey}:${code}`).digest('hex');
+}
+
+/**
+ * Tạo mã xác nhận mới cho license (sửa trực tiếp object, chỉ lưu hash).
+ * @returns {string|null} mã gốc để gửi email, null nếu mã trước vừa được gửi
+ */
+function issueTransferCode(license, now = new Date()) {
+  const current = license.transferCode;
+  if (current && now - new Date(current.issuedAt) < TRANSFER_CODE_RESEND_MS) {
+    return null;
+  }
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  license.transferCode = {
+    hash: hashTransferCode(license.key, code),
+    issuedAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + TRANSFER_CODE_TTL_MS).toISOString(),
+    attempts: 0
+  };
+  return code;
+}
+
+function checkTransferCode(license, code, now) {
+  const current = license.transferCode;
+  if (!current || new Date(current.expiresAt) <= now) return false;
+
+  const expected = Buffer.from(current.hash, 'hex');
+  const provided = Buffer.from(hashTransferCode(license.key, code), 'hex');
+  if (crypto.timingSafeEqual(expected, provided)) return true;
+
+  current.attempts++;
+  if (current.attempts >= TRANSFER_CODE_MAX_ATTEMPTS) {
+    delete license.transferCode;
+  }
+  return false;
+}
+
+/**
+ * Kiểm tra khách có sở hữu license không: { code } hoặc { orderId, email }.
+ * Nhập sai mã sẽ tăng số lần thử trên license (caller tự lưu).
+ * @returns {'code'|'order'|null} cách xác minh, null nếu sai
+ */
+function verifyOwnership(license, { orderId, email, code }, now = new Date()) {
+  if (code) {
+    return checkTransferCode(license, code, now) ? 'code' : null;
+  }
+
+  const orderMatches = Boolean(license.orderId) && String(license.orderId) === orderId;
+  const emailMatches = Boolean(license.email) && license.email.toLowerCase() === email.toLowerCase();
+  return orderMatches && emailMatches ? 'order' : null;
+}
+
+// Các lần chuyển máy còn tính vào giới hạn (trong periodDays gần nhất)
+function recentTransfers(license, periodDays, now = new Date()) {
+  const since = now.getTime() - periodDays * DAY_MS;
+  return (license.history || []).filter(entry =>
+    entry.action === 'transferred' && new Date(entry.at).getTime() > since
+  );
+}
+
+/**
+ * Chuyển license sang thiết bị mới. Còn chỗ trống thì chỉ gắn thêm (không tính là
+ * một lần chuyển); hết chỗ thì gỡ fromDeviceIdHash, mặc định là máy lâu không thấy nhất.
+ * @param {object} options
+ * @param {number} options.limit - số lần chuyển tối đa trong periodDays
+ * @param {number} options.periodDays
+ * @param {string} options.method - cách xác minh ('code' | 'order')
+ * @param {string} [options.fromDeviceIdHash]
+ * @returns {{ ok: true, transferred: boolean, fromDeviceIdHash: string|null }
+ *   | { ok: false, error: 'TRANSFER_LIMIT_REACHED', nextTransferAt: string }
+ *   | { ok: false, error: 'DEVICE_MISMATCH' }}
+ */
+function transferLicense(store, license, deviceIdHash, { limit, periodDays, method, fromDeviceIdHash, now = new Date() }) {
+  const licenses = store.collection('licenses');
+
+  if (findDevice(license, deviceIdHash) || (!fromDeviceIdHash && seatsRemaining(license) > 0)) {
+    bindDevice(store, license, deviceIdHash, 'user');
+    delete license.transferCode;
+    licenses.set(license.key, license);
+    return { ok: true, transferred: false, fromDeviceIdHash: null };
+  }
+
+  const recent = recentTransfers(license, periodDays, now);
+  if (recent.length >= limit) {
+    const oldest = recent.reduce((a, b) => (new Date(a.at) < new Date(b.at) ? a : b));
+    return {
+      ok: false,
+      error: 'TRANSFER_LIMIT_REACHED',
+      nextTransferAt: new Date(new Date(oldest.at).getTime() + periodDays * DAY_MS).toISOString()
+    };
+  }
+
+  const from = fromDeviceIdHash
+    ? findDevice(license, fromDeviceIdHash)
+    : [...license.devices].sort((a, b) =>
+      new Date(a.lastSeenAt || a.boundAt) - new Date(b.lastSeenAt || b.boundAt)
+    )[0];
+  if (!from) {
+    return { ok: false, error: 'DEVICE_MISMATCH' };
+  }
+
+  store.transaction(() => {
+    releaseDevice(store, license, from.deviceIdHash, 'user', 'transferred');
+    bindDevice(store, license, deviceIdHash, 'user');
+    delete license.transferCode;
+    appendHistory(store, license, 'transferred', {
+      actor: 'user',
+      method,
+      fromDeviceIdHash: from.deviceIdHash,
+      toDeviceIdHash: deviceIdHash
+    });
+    licenses.set(license.key, license);
+  });
+
+  return { ok: true, transferred: true, fromDeviceIdHash: from.deviceIdHash };
+}
+
+module.exports = {
+  TRANSFER_CODE_TTL_MS,
+  issueTransferCode,
+  verifyOwnership,
+  recentTransfers,
+  transferLicense
+};
@@ -0,0 +1,82 @@
+// ============================================
+// TRIALS (dùng thử Premium, mỗi thiết bị một lần)
+// ============================================
+// License dùng thử là license bình thường có trial: true, planId 'trial',
+// gắn sẵn vào thiết bị qua bindDevice. Collection trials (deviceIdHash ->
+// lần dùng thử) giữ lại vĩnh viễn để gỡ thiết bị / cài lại không xin thêm được.
+const { computeExpiry } = require('./plans');
+const {
+  createLicenseRecord,
+  appendHistory,
+  findDevice,
+  bindDevice,
+  isBlocked,
+  isExpired
+} = require('./licenses');
+
+/**
+ * Cấp license dùng thử cho thiết bị.
+ * @param {object} trialPlan - catalog.trialPlan (thời hạn theo TRIAL_DAYS)
+ * @returns {{ ok: true, license: object } | { ok: false, error: 'TRIAL_USED'|'HAS_LICENSE' }}
+ */
+function startTrial(store, deviceIdHash, trialPlan, actor = 'user') {
+  const licenses = store.collection('licenses');
+  const deviceLicenses = store.collection('deviceLicenses');
+  const trials = store.collection('trials');
+
+  if (trials.has(deviceIdHash)) {
+    return { ok: false, error: 'TRIAL_USED' };
+  }
+
+  const currentKey = deviceLicenses.get(deviceIdHash);
+  const current = currentKey ? licenses.get(currentKey) : null;
+  if (current && findDevice(current, deviceIdHash) && !isBlocked(current) && !isExpired(current)) {
+    return { ok: false, error: 'HAS_LICENSE' };
+  }
+
+  const now = new Date();
+  const license = appendHistory(store, createLicenseRecord({
+    planId: trialPlan.id,
+    trial: true,
+    expiryDate: computeExpiry(trialPlan, now),
+    seats: trialPlan.seats,
+    status: 'used',
+    activatedAt: now.toISOString()
+  }), 'issued', { actor, planId: trialPlan.id, trial: true });
+
+  store.transaction(() => {
+    licenses.set(license.key, license);
+    bindDevice(store, license, deviceIdHash, actor);
+    trials.set(deviceIdHash, { licenseKey: license.key, startedAt: now.toISOString() });
+  });
+
+  return { ok: true, license: licenses.get(license.key) };
+}
+
+/**
+ * Nếu thiết bị đang dùng thử thì chuyển sang license vừa mua (tự kích hoạt,
+ * khách không cần nhập key). Không đụng tới thiết bị đang gắn license trả phí.
+ * @returns {boolean} true nếu đã chuyển
+ */
+function convertTrial(store, deviceIdHash, license, actor) {
+  const licenses = store.collection('licenses');
+  const currentKey = store.collection('deviceLicenses').get(deviceIdHash);
+  const current = currentKey ? licenses.get(currentKey) : null;
+
+  if (!current || !current.trial || !findDevice(current, deviceIdHash)) {
+    return false;
+  }
+
+  const result = bindDevice(store, license, deviceIdHash, actor);
+  if (!result.ok) return false;
+
+  if (license.status === 'active') {
+    license.status = 'used';
+    license.activatedAt = new Date().toISOString();
+    appendHistory(store, license, 'activated', { actor, trialLicenseKey: current.key });
+    licenses.set(license.key, license);
+  }
+  return true;
+}
+
+module.exports = { startTrial, convertTrial };
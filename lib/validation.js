@@ -0,0 +1,282 @@
+// ============================================
+// VALIDATION (schema cho body / params / query của route)
+// ============================================
+// Khai báo schema ngay trên route:
+//   app.post('/api/x', validate({ body: { licenseKey: v.licenseKey({ required: true }) } }), handler)
+// Sai schema -> 400 VALIDATION_ERROR, details liệt kê từng field sai.
+// Giá trị đã chuẩn hóa (trim, viết hoa key, ép số...) được ghi đè lại vào req.
+const { sendError, localeOf } = require('./errors');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const RULE_MESSAGES = {
+  required: { vi: () => 'là bắt buộc', en: () => 'is required' },
+  object: { vi: () => 'phải là object JSON', en: () => 'must be a JSON object' },
+  string: { vi: () => 'phải là chuỗi', en: () => 'must be a string' },
+  min_length: { vi: ({ min }) => `phải có ít nhất ${min} ký tự`, en: ({ min }) => `must be at least ${min} characters` },
+  max_length: { vi: ({ max }) => `tối đa ${max} ký tự`, en: ({ max }) => `must be at most ${max} characters` },
+  format: { vi: () => 'sai định dạng', en: () => 'has an invalid format' },
+  email: { vi: () => 'không phải email hợp lệ', en: () => 'must be a valid email' },
+  url: { vi: () => 'phải là URL http(s) hợp lệ', en: () => 'must be a valid http(s) URL' },
+  integer: { vi: () => 'phải là số nguyên', en: () => 'must be an integer' },
+  min: { vi: ({ min }) => `phải >= ${min}`, en: ({ min }) => `must be >= ${min}` },
+  max: { vi: ({ max }) => `phải <= ${max}`, en: ({ max }) => `must be <= ${max}` },
+  boolean: { vi: () => 'phải là true/false', en: () => 'must be true or false' },
+  one_of: { vi: ({ values }) => `phải là một trong: ${values.join(', ')}`, en: ({ values }) => `must be one of: ${values.join(', ')}` },
+  date: { vi: () => 'phải là ngày giờ ISO 8601', en: () => 'must be an ISO 8601 date' },
+  future: { vi: () => 'phải là thời điểm trong tương lai', en: () => 'must be in the future' },
+  array: { vi: () => 'phải là mảng', en: () => 'must be an array' },
+  max_items: { vi: ({ max }) => `tối đa ${max} phần tử`, en: ({ max }) => `must have at most ${max} items` },
+  unknown_key: { vi: ({ key }) => `có khóa không hợp lệ: ${key}`, en: ({ key }) => `has an unknown key: ${key}` },
+  range: {
+    vi: ({ max }) => `phải sau since và cách since tối đa ${max} ngày`,
+    en: ({ max }) => `must be after since and at most ${max} days later`
+  }
+};
+
+// ============================================
+// RULES
+// ============================================
+// Mỗi rule: { required, parse(value) -> { value } | { error, params } }
+
+function rule(parse, { required = false } = {}) {
+  return { required, parse };
+}
+
+function fail(error, params = {}) {
+  return { error, params };
+}
+
+const v = {
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.required]
+   * @param {number} [options.min] - độ dài tối thiểu sau trim
+   * @param {number} [options.max] - độ dài tối đa
+   * @param {RegExp} [options.pattern]
+   * @param {boolean} [options.trim] - mặc định true
+   * @param {boolean} [options.upper] - viết hoa (license key, coupon code)
+   */
+  string({ required, min = 1, max = 200, pattern, trim = true, upper = false } = {}) {
+    return rule(value => {
+      if (typeof value !== 'string') return fail('string');
+      let result = trim ? value.trim() : value;
+      if (upper) result = result.toUpperCase();
+      if (result.length < min) return fail(min === 1 ? 'required' : 'min_length', { min });
+      if (result.length > max) return fail('max_length', { max });
+      if (pattern && !pattern.test(result)) return fail('format');
+      return { value: result };
+    }, { required });
+  },
+
+  // Chấp nhận số hoặc chuỗi số (query string, form cũ)
+  integer({ required, min = -Infinity, max = Infinity } = {}) {
+    return rule(value => {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isInteger(number)) return fail('integer');
+      if (number < min) return fail('min', { min });
+      if (number > max) return fail('max', { max });
+      return { value: number };
+    }, { required });
+  },
+
+  boolean({ required } = {}) {
+    return rule(value => {
+      if (value === true || value === 'true') return { value: true };
+      if (value === false || value === 'false') return { value: false };
+      return fail('boolean');
+    }, { required });
+  },
+
+  oneOf(values, { required } = {}) {
+    return rule(value => (values.includes(value) ? { value } : fail('one_of', { values })), { required });
+  },
+
+  email({ required } = {}) {
+    return rule(value => {
+      if (typeof value !== 'string') return fail('string');
+      const result = value.trim();
+      if (result.length > 254 || !EMAIL_PATTERN.test(result)) return fail('email');
+      return { value: result };
+    }, { required });
+  },
+
+  // URL http/https tuyệt đối (outbound webhook)
+  url({ required } = {}) {
+    return rule(value => {
+      if (typeof value !== 'string') return fail('string');
+      const result = value.trim();
+      if (result.length > 2000) return fail('max_length', { max: 2000 });
+      let parsed;
+      try {
+        parsed = new URL(result);
+      } catch (error) {
+        return fail('url');
+      }
+      if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return fail('url');
+      return { value: result };
+    }, { required });
+  },
+
+  // ISO 8601 -> chuỗi ISO chuẩn
+  date({ required } = {}) {
+    return rule(value => {
+      const date = typeof value === 'string' || typeof value === 'number' ? new Date(value) : null;
+      if (!date || Number.isNaN(date.getTime())) return fail('date');
+      return { value: date.toISOString() };
+    }, { required });
+  },
+
+  array(item, { required, max = 100 } = {}) {
+    return rule(value => {
+      if (!Array.isArray(value)) return fail('array');
+      if (value.length > max) return fail('max_items', { max });
+      const result = [];
+      for (const element of value) {
+        const parsed = item.parse(element);
+        if (parsed.error) return parsed;
+        result.push(parsed.value);
+      }
+      return { value: result };
+    }, { required });
+  },
+
+  /**
+   * Object dạng { khóa: giá trị }, vd: { multiCamera: true }. Giá trị null được giữ nguyên
+   * (thường nghĩa là xóa khóa đó).
+   * @param {object} value - rule cho từng giá trị
+   * @param {object} [options]
+   * @param {string[]|RegExp} [options.keys] - danh sách khóa hợp lệ hoặc pattern
+   * @param {number} [options.max] - số khóa tối đa
+   */
+  record(value, { required, keys, max = 50 } = {}) {
+    return rule(input => {
+      if (typeof input !== 'object' || input === null || Array.isArray(input)) return fail('object');
+      const entries = Object.entries(input);
+      if (entries.length > max) return fail('max_items', { max });
+
+      const result = {};
+      for (const [key, element] of entries) {
+        const known = Array.isArray(keys) ? keys.includes(key) : !keys || keys.test(key);
+        if (!known) return fail('unknown_key', { key });
+        if (element === null) {
+          result[key] = null;
+          continue;
+        }
+        const parsed = value.parse(element);
+        if (parsed.error) return parsed;
+        result[key] = parsed.value;
+      }
+      return { value: result };
+    }, { required });
+  },
+
+  // ---------- Field dùng lại nhiều nơi ----------
+
+  // Key cũ có thể không theo định dạng PACK-XXXX-..., nên chỉ giới hạn độ dài
+  licenseKey(options = {}) {
+    return v.string({ ...options, max: 64, upper: true });
+  },
+
+  // Không trim: deviceId được hash nguyên văn, trim sẽ ra thiết bị khác
+  deviceId(options = {}) {
+    return v.string({ ...options, max: 256, trim: false });
+  },
+
+  planId(options = {}) {
+    return v.string({ ...options, max: 64 });
+  },
+
+  // orderCode PayOS: nhận cả số lẫn chuỗi số, trả về chuỗi (key trong storage)
+  orderId({ required } = {}) {
+    const digits = v.string({ max: 16, pattern: /^\d+$/ });
+    return rule(value => digits.parse(typeof value === 'number' ? String(value) : value), { required });
+  },
+
+  locale(options = {}) {
+    return v.oneOf(['vi', 'en'], options);
+  }
+};
+
+// ============================================
+// MIDDLEWARE
+// ============================================
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * @param {Record<string, object>} fields - tên field -> rule
+ * @param {object} source - req.body / req.params / req.query
+ * @param {string} part - 'body' | 'params' | 'query' (để ghi vào details)
+ * @returns {{ values: object, errors: object[] }}
+ */
+function checkFields(fields, source, part) {
+  const values = {};
+  const errors = [];
+
+  for (const [name, fieldRule] of Object.entries(fields)) {
+    const raw = source[name];
+    if (isEmpty(raw)) {
+      if (fieldRule.required) errors.push({ field: `${part}.${name}`, rule: 'required', params: {} });
+      continue;
+    }
+    const parsed = fieldRule.parse(raw);
+    if (parsed.error) {
+      errors.push({ field: `${part}.${name}`, rule: parsed.error, params: parsed.params || {} });
+    } else {
+      values[name] = parsed.value;
+    }
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Trả 400 VALIDATION_ERROR. Dùng trực tiếp cho lỗi không khai báo được bằng schema
+ * (phụ thuộc dữ liệu đã lưu, nhiều field liên quan nhau...).
+ * @param {Array<{ field: string, rule: string, params?: object, message?: string }>} errors
+ *   message bỏ trống thì lấy theo rule và Accept-Language
+ */
+function sendValidationError(req, res, errors) {
+  const locale = localeOf(req);
+  return sendError(req, res, 'VALIDATION_ERROR', {
+    extra: {
+      details: errors.map(({ field, rule: failed, params = {}, message }) => ({
+        field,
+        rule: failed,
+        message: message || `${field.split('.').pop()} ${RULE_MESSAGES[failed][locale](params)}`
+      }))
+    }
+  });
+}
+
+/**
+ * Middleware kiểm tra request theo schema.
+ * @param {{ body?: object, params?: object, query?: object }} schema
+ */
+function validate(schema) {
+  return (req, res, next) => {
+    const errors = [];
+
+    for (const part of ['params', 'query', 'body']) {
+      if (!schema[part]) continue;
+
+      if (part === 'body' && req.body !== undefined && (typeof req.body !== 'object' || Array.isArray(req.body))) {
+        errors.push({ field: 'body', rule: 'object', params: {} });
+        continue;
+      }
+
+      const source = req[part] || {};
+      const result = checkFields(schema[part], source, part);
+      errors.push(...result.errors);
+      req[part] = { ...source, ...result.values };
+    }
+
+    if (errors.length === 0) return next();
+    sendValidationError(req, res, errors);
+  };
+}
+
+module.exports = { v, validate, sendValidationError, EMAIL_PATTERN };
@@ -0,0 +1,383 @@
+// ============================================
+// OUTBOUND WEBHOOKS (báo sự kiện license / payment ra hệ thống ngoài)
+// ============================================
+// Admin đăng ký endpoint (Telegram bot, CRM, Google Sheet...) kèm danh sách event.
+// Mỗi event tạo một delivery cho từng endpoint đăng ký, gửi POST JSON:
+//   { id, type, createdAt, data }
+// Header:
+//   X-Packing-Event: <type>
+//   X-Packing-Delivery: <deliveryId>
+//   X-Packing-Signature: t=<unix giây>,v1=<hex HMAC-SHA256(secret, "<t>.<body>")>
+// Bên nhận tính lại HMAC trên body gốc và từ chối t quá cũ để chống replay.
+// Trả 2xx = thành công; lỗi / timeout thì thử lại theo RETRY_DELAYS_MS rồi đánh dấu failed.
+// Delivery lưu trong collection webhookDeliveries (delivery log), admin gửi lại được.
+const crypto = require('crypto');
+const axios = require('axios');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'webhooks' });
+
+const WEBHOOK_EVENTS = [
+  'payment.completed',
+  'payment.refunded',
+  'license.issued',
+  'license.activated',
+  'license.renewed',
+  'license.upgraded',
+  'license.suspended',
+  'license.reinstated',
+  'license.revoked',
+  'license.expiring',
+  'license.transferred',
+  'device.bound',
+  'device.unbound'
+];
+
+// action trong license.history -> event
+const HISTORY_EVENTS = {
+  issued: 'license.issued',
+  activated: 'license.activated',
+  renewed: 'license.renewed',
+  upgraded: 'license.upgraded',
+  suspended: 'license.suspended',
+  reinstated: 'license.reinstated',
+  revoked: 'license.revoked',
+  transferred: 'license.transferred',
+  device_bound: 'device.bound',
+  device_unbound: 'device.unbound'
+};
+
+// Lần thử thứ 2..6 cách lần trước: 1 phút, 5 phút, 30 phút, 2 giờ, 12 giờ
+const RETRY_DELAYS_MS = [1, 5, 30, 120, 720].map(minutes => minutes * 60 * 1000);
+const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// Giữ delivery log 30 ngày
+const DELIVERY_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Chữ ký gửi kèm mỗi delivery.
+ * @param {string} secret
+ * @param {string} body - JSON đúng như gửi đi
+ * @param {number} [timestamp] - unix giây
+ */
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+// Bỏ secret khi trả endpoint ra ngoài, chỉ để lại vài ký tự cuối để nhận diện
+function publicEndpoint({ secret, ...endpoint }) {
+  return { ...endpoint, secretHint: `…${secret.slice(-4)}` };
+}
+
+function summarizeLicense(license) {
+  return {
+    key: license.key,
+    orderId: license.orderId || null,
+    planId: license.planId || null,
+    status: license.status,
+    trial: Boolean(license.trial),
+    expiryDate: license.expiryDate,
+    seats: license.seats,
+    devicesUsed: (license.devices || []).length,
+    email: license.email || null,
+    batchId: license.batchId || null,
+    resellerId: license.resellerId || null
+  };
+}
+
+function summarizePayment(payment) {
+  return {
+    orderId: payment.orderId,
+    status: payment.status,
+    type: payment.type || 'new',
+    planId: payment.planId || null,
+    amount: payment.amount,
+    discount: payment.discount || 0,
+    couponCode: payment.couponCode || null,
+    quantity: payment.quantity || 1,
+    email: payment.email || null,
+    licenseKey: payment.licenseKey || null,
+    batchId: payment.batchId || null,
+    resellerId: payment.resellerId || null,
+    targetLicenseKey: payment.targetLicenseKey || null,
+    paidAt: payment.paidAt || null,
+    refundedAt: payment.refundedAt || null,
+    refundKind: payment.refundKind || null
+  };
+}
+
+/**
+ * @param {object} deps
+ * @param {object} deps.store
+ * @param {object} deps.metrics - metrics của app (lib/metrics createMetrics)
+ * @param {object} [deps.http] - axios instance (test có thể thay)
+ */
+function createWebhookService({ store, metrics, http = axios.create({ timeout: REQUEST_TIMEOUT_MS }) }) {
+  const endpoints = store.collection('webhookEndpoints');   // endpointId -> endpoint
+  const deliveries = store.collection('webhookDeliveries'); // deliveryId -> delivery
+
+  const inFlight = new Set();
+  let timer = null;
+
+  // ============================================
+  // ENDPOINTS
+  // ============================================
+
+  /**
+   * Tạo endpoint mới. Secret chỉ trả về một lần ở đây.
+   * @returns {{ endpoint: object, secret: string }}
+   */
+  function createEndpoint({ url, events, description = null }, actor) {
+    const secret = generateWebhookSecret();
+    const endpoint = {
+      id: `WH-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+      url,
+      events,
+      description,
+      secret,
+      active: true,
+      createdAt: new Date().toISOString(),
+      createdBy: actor
+    };
+    endpoints.set(endpoint.id, endpoint);
+    return { endpoint, secret };
+  }
+
+  function rotateSecret(endpoint) {
+    const secret = generateWebhookSecret();
+    endpoint.secret = secret;
+    endpoint.secretRotatedAt = new Date().toISOString();
+    endpoints.set(endpoint.id, endpoint);
+    return secret;
+  }
+
+  // ============================================
+  // EVENTS -> DELIVERIES
+  // ============================================
+
+  function createDelivery(endpoint, event, redeliveryOf = null) {
+    const delivery = {
+      id: crypto.randomUUID(),
+      endpointId: endpoint.id,
+      url: endpoint.url,
+      eventId: event.id,
+      type: event.type,
+      payload: event,
+      status: 'pending',
+      attempts: [],
+      nextAttemptAt: new Date().toISOString(),
+      createdAt: new Date().toISOString(),
+      deliveredAt: null,
+      redeliveryOf
+    };
+    deliveries.set(delivery.id, delivery);
+    // Gửi ngay sau khi caller lưu xong dữ liệu, lỗi thì để worker thử lại
+    setImmediate(() => attempt(delivery.id));
+    return delivery;
+  }
+
+  /**
+   * Phát một event tới mọi endpoint đang bật có đăng ký event này.
+   * @param {string} type - một trong WEBHOOK_EVENTS (hoặc 'ping')
+   * @param {object} data
+   * @param {object} [only] - chỉ gửi cho endpoint này (ping)
+   * @returns {object[]} các delivery đã tạo
+   */
+  function emit(type, data, only = null) {
+    const targets = only
+      ? [only]
+      : endpoints.values().filter(endpoint =>
+        endpoint.active && (endpoint.events.includes(type) || endpoint.events.includes('*'))
+      );
+    if (targets.length === 0) return [];
+
+    const event = {
+      id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+      type,
+      createdAt: new Date().toISOString(),
+      data
+    };
+    return targets.map(endpoint => createDelivery(endpoint, event));
+  }
+
+  // Mục history mới của license (event 'licenseHistory' trên store.events, xem lib/licenses)
+  function onLicenseHistory(license, entry) {
+    const type = HISTORY_EVENTS[entry.action];
+    if (!type) return;
+
+    const { at, action, ...details } = entry;
+    emit(type, { license: summarizeLicense(license), at, ...details });
+  }
+
+  // Payment đổi trạng thái (onPaymentChanged của fulfillment)
+  function onPaymentChanged(payment) {
+    if (payment.status === 'paid') emit('payment.completed', { payment: summarizePayment(payment) });
+    if (payment.status === 'refunded') emit('payment.refunded', { payment: summarizePayment(payment) });
+  }
+
+  // License sắp hết hạn (lib/reminders)
+  function onLicenseExpiring(license, daysRemaining) {
+    emit('license.expiring', { license: summarizeLicense(license), daysRemaining });
+  }
+
+  // ============================================
+  // GỬI + THỬ LẠI
+  // ============================================
+
+  async function send(delivery, endpoint) {
+    const body = JSON.stringify(delivery.payload);
+    const startedAt = Date.now();
+
+    try {
+      const response = await http.post(endpoint.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'packing-backend-webhooks',
+          'X-Packing-Event': delivery.type,
+          'X-Packing-Delivery': delivery.id,
+          'X-Packing-Signature': signPayload(endpoint.secret, body)
+        },
+        maxRedirects: 0,
+        responseType: 'text',
+        transformResponse: data => data,
+        validateStatus: () => true
+      });
+      const ok = response.status >= 200 && response.status < 300;
+      return {
+        ok,
+        responseStatus: response.status,
+        responseBody: String(response.data || '').substring(0, 500),
+        error: ok ? null : `HTTP ${response.status}`,
+        durationMs: Date.now() - startedAt
+      };
+    } catch (error) {
+      return {
+        ok: false,
+        responseStatus: null,
+        responseBody: null,
+        error: error.code || error.message,
+        durationMs: Date.now() - startedAt
+      };
+    }
+  }
+
+  /**
+   * Gửi một delivery đang pending (bỏ qua nếu chưa tới giờ thử lại hoặc đang gửi).
+   * @returns {Promise<object|null>} delivery sau khi cập nhật
+   */
+  async function attempt(deliveryId, now = Date.now()) {
+    if (inFlight.has(deliveryId)) return null;
+    const delivery = deliveries.get(deliveryId);
+    if (!delivery || delivery.status !== 'pending' || new Date(delivery.nextAttemptAt) > now) return null;
+
+    inFlight.add(deliveryId);
+    try {
+      const endpoint = endpoints.get(delivery.endpointId);
+      const result = endpoint && endpoint.active
+        ? await send(delivery, endpoint)
+        : { ok: false, responseStatus: null, responseBody: null, error: 'endpoint_inactive', durationMs: 0 };
+
+      // Đọc lại vì delivery có thể đã đổi trong lúc chờ
+      const latest = deliveries.get(deliveryId);
+      latest.attempts.push({ at: new Date().toISOString(), ...result });
+
+      if (result.ok) {
+        latest.status = 'succeeded';
+        latest.deliveredAt = new Date().toISOString();
+        latest.nextAttemptAt = null;
+      } else if (latest.attempts.length >= MAX_ATTEMPTS || result.error === 'endpoint_inactive') {
+        latest.status = 'failed';
+        latest.nextAttemptAt = null;
+        log.warn('webhook delivery failed', {
+          deliveryId, endpointId: latest.endpointId, type: latest.type, error: result.error
+        });
+      } else {
+        latest.nextAttemptAt = new Date(Date.now() + RETRY_DELAYS_MS[latest.attempts.length - 1]).toISOString();
+      }
+
+      deliveries.set(deliveryId, latest);
+      metrics.outboundWebhooks.inc({
+        type: latest.type,
+        outcome: result.ok ? 'success' : (latest.status === 'failed' ? 'failed' : 'retry')
+      });
+      return latest;
+    } catch (error) {
+      log.error('webhook attempt error', { deliveryId, error });
+      return null;
+    } finally {
+      inFlight.delete(deliveryId);
+    }
+  }
+
+  /**
+   * Gửi lại (tạo delivery mới cùng nội dung event, giữ delivery cũ trong log).
+   * @returns {object|null} delivery mới, null nếu endpoint không còn
+   */
+  function redeliver(delivery) {
+    const endpoint = endpoints.get(delivery.endpointId);
+    if (!endpoint) return null;
+    return createDelivery(endpoint, delivery.payload, delivery.id);
+  }
+
+  /**
+   * Thử lại các delivery tới hạn và dọn log cũ.
+   * @returns {Promise<number>} số delivery đã thử
+   */
+  async function runOnce(now = Date.now()) {
+    const due = deliveries.values().filter(delivery =>
+      delivery.status === 'pending' && new Date(delivery.nextAttemptAt) <= now
+    );
+    for (const delivery of due) {
+      await attempt(delivery.id, now);
+    }
+
+    for (const delivery of deliveries.values()) {
+      if (delivery.status !== 'pending' && now - new Date(delivery.createdAt) > DELIVERY_RETENTION_MS) {
+        deliveries.delete(delivery.id);
+      }
+    }
+    return due.length;
+  }
+
+  function start(intervalMs) {
+    if (timer) return;
+    timer = setInterval(() => {
+      runOnce().catch(error => log.error('webhook worker error', { error }));
+    }, intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    createEndpoint,
+    rotateSecret,
+    emit,
+    onLicenseHistory,
+    onPaymentChanged,
+    onLicenseExpiring,
+    attempt,
+    redeliver,
+    runOnce,
+    start,
+    stop
+  };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_ATTEMPTS,
+  createWebhookService,
+  signPayload,
+  publicEndpoint
+};
@@ -0,0 +1,1195 @@
+// ============================================
+// ADMIN API (quản lý license và payment)
+// ============================================
+const express = require('express');
+const { requireAdmin } = require('../lib/admin-auth');
+const {
+  isExpired,
+  appendHistory,
+  createLicenseRecord,
+  releaseDevice,
+  releaseAllDevices
+} = require('../lib/licenses');
+const { computeExpiry } = require('../lib/plans');
+const {
+  COUPON_TYPES,
+  COUPON_CODE_PATTERN,
+  normalizeCouponCode,
+  applyCouponChanges,
+  couponErrors,
+  createCouponRecord
+} = require('../lib/coupons');
+const {
+  createResellerRecord,
+  generateResellerKey,
+  hashResellerKey,
+  publicReseller,
+  summarizeBatch,
+  batchRows,
+  BATCH_CSV_COLUMNS
+} = require('../lib/resellers');
+const { WEBHOOK_EVENTS, publicEndpoint } = require('../lib/webhooks');
+const { REPORTS, GROUP_BY, MAX_RANGE_DAYS, runReport } = require('../lib/reports');
+const { FEATURES, LIMITS, resolveEntitlements, applyOverrides } = require('../lib/entitlements');
+const { VERSION_PATTERN, FLAG_NAME_PATTERN } = require('../lib/remote-config');
+const { sendCsv } = require('../lib/csv');
+const { logger } = require('../lib/logger');
+const { sendError } = require('../lib/errors');
+const { v, validate, sendValidationError } = require('../lib/validation');
+
+const log = logger.child({ module: 'admin' });
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function paginate(items, query) {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const pageSize = Math.min(
+    Math.max(parseInt(query.pageSize, 10) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE
+  );
+  const start = (page - 1) * pageSize;
+
+  return {
+    items: items.slice(start, start + pageSize),
+    page,
+    pageSize,
+    total: items.length,
+    totalPages: Math.ceil(items.length / pageSize)
+  };
+}
+
+function newestFirst(a, b) {
+  return new Date(b.createdAt) - new Date(a.createdAt);
+}
+
+// Schema dùng chung cho route /licenses/:licenseKey/...
+function licenseRoute(body) {
+  return validate({ params: { licenseKey: v.licenseKey({ required: true }) }, body });
+}
+
+const reasonField = v.string({ max: 500 });
+
+function summarizeLicense(license) {
+  return {
+    key: license.key,
+    orderId: license.orderId,
+    planId: license.planId || null,
+    status: license.status,
+    trial: Boolean(license.trial),
+    expired: isExpired(license),
+    expiryDate: license.expiryDate,
+    seats: license.seats,
+    devicesUsed: license.devices.length,
+    createdAt: license.createdAt,
+    activatedAt: license.activatedAt
+  };
+}
+
+/**
+ * @param {object} deps
+ * @param {object} deps.store - storage (lib/storage)
+ * @param {object} deps.tokens - token service (lib/license-tokens)
+ * @param {object} deps.fulfillment - fulfillment service (lib/fulfillment)
+ * @param {object} deps.reconciler - reconciler (lib/reconciler)
+ * @param {object} deps.webhooks - outbound webhook service (lib/webhooks)
+ * @param {object} deps.remoteConfig - remote config (lib/remote-config)
+ * @param {object} deps.plans - plan catalog (createPlanCatalog trong lib/plans)
+ * @param {number} deps.defaultSeats - số máy của license tạo tay không chọn gói
+ * @param {Array<{name: string, key: string}>} deps.adminKeys
+ */
+function createAdminRouter({
+  store,
+  tokens,
+  fulfillment,
+  reconciler,
+  webhooks,
+  remoteConfig,
+  plans,
+  defaultSeats,
+  adminKeys
+}) {
+  const { getPlan } = plans;
+  const router = express.Router();
+  const licenses = store.collection('licenses');
+  const payments = store.collection('payments');
+  const deviceLicenses = store.collection('deviceLicenses');
+  const reviewQueue = store.collection('reviewQueue');
+  const webhookEvents = store.collection('webhookEvents');
+  const coupons = store.collection('coupons');
+  const resellers = store.collection('resellers');
+  const batches = store.collection('batches');
+  const webhookEndpoints = store.collection('webhookEndpoints');
+  const webhookDeliveries = store.collection('webhookDeliveries');
+
+  router.use(requireAdmin(adminKeys));
+
+  // Lấy license theo key trong URL (đã chuẩn hóa qua licenseRoute), trả 404 nếu không có
+  function loadLicense(req, res) {
+    const license = licenses.get(req.params.licenseKey);
+
+    if (!license) {
+      sendError(req, res, 'LICENSE_NOT_FOUND');
+      return null;
+    }
+    return license;
+  }
+
+  function saveLicense(license, action, details) {
+    appendHistory(store, license, action, details);
+    licenses.set(license.key, license);
+  }
+
+  function entitlementsOf(license) {
+    return resolveEntitlements(getPlan(license.planId), license.entitlementOverrides);
+  }
+
+  // ============================================
+  // LICENSES
+  // ============================================
+
+  // Danh sách license: ?q=&status=&page=&pageSize=
+  router.get('/licenses', (req, res) => {
+    const q = (req.query.q || '').toString().trim().toUpperCase();
+    const status = (req.query.status || '').toString();
+
+    let items = licenses.values();
+
+    if (q) {
+      items = items.filter(license =>
+        license.key.includes(q) || String(license.orderId || '').toUpperCase().includes(q)
+      );
+    }
+    if (status === 'expired') {
+      items = items.filter(license => isExpired(license));
+    } else if (status) {
+      items = items.filter(license => license.status === status);
+    }
+
+    const result = paginate(items.sort(newestFirst), req.query);
+    res.json({ success: true, ...result, items: result.items.map(summarizeLicense) });
+  });
+
+  // Chi tiết license kèm thiết bị, payment và lịch sử
+  router.get('/licenses/:licenseKey', licenseRoute(), (req, res) => {
+    const license = loadLicense(req, res);
+    if (!license) return;
+
+    // Không trả hash mã xác nhận chuyển máy
+    const { history = [], transferCode, ...rest } = license;
+
+    res.json({
+      success: true,
+      license: { ...rest, expired: isExpired(license) },
+      entitlements: entitlementsOf(license),
+      devices: license.devices.map(device => ({
+        ...device,
+        mapped: deviceLicenses.get(device.deviceIdHash) === license.key
+      })),
+      payment: license.orderId ? payments.get(license.orderId) || null : null,
+      history
+    });
+  });
+
+  // Cấp license thủ công (hoàn tiền, hỗ trợ khách...)
+  // Body: { planId } lấy thời hạn/số máy theo gói; days, expiryDate, seats ghi đè nếu có.
+  router.post('/licenses', validate({
+    body: {
+      planId: v.planId(),
+      days: v.integer({ min: 1 }),
+      expiryDate: v.date(),
+      orderId: v.orderId(),
+      seats: v.integer({ min: 1 }),
+      reason: reasonField
+    }
+  }), (req, res) => {
+    const { planId, days, expiryDate, orderId, seats, reason } = req.body;
+
+    let plan = null;
+    if (planId) {
+      plan = getPlan(planId);
+      if (!plan) {
+        return sendError(req, res, 'PLAN_NOT_FOUND');
+      }
+    }
+
+    let expiry;
+    if (expiryDate) {
+      expiry = new Date(expiryDate);
+    } else if (days !== undefined || !plan) {
+      expiry = new Date(Date.now() + (days || 365) * DAY_MS);
+    } else {
+      const planExpiry = computeExpiry(plan);
+      expiry = planExpiry ? new Date(planExpiry) : null;
+    }
+
+    if (expiry && expiry <= new Date()) {
+      return sendValidationError(req, res, [{ field: 'body.expiryDate', rule: 'future' }]);
+    }
+
+    if (orderId && !payments.has(orderId)) {
+      return sendError(req, res, 'ORDER_NOT_FOUND');
+    }
+
+    const license = createLicenseRecord({
+      orderId: orderId || null,
+      planId: plan ? plan.id : null,
+      expiryDate: expiry ? expiry.toISOString() : null,
+      seats: seats || (plan ? plan.seats : defaultSeats),
+      issuedBy: req.admin.name
+    });
+
+    saveLicense(license, 'issued', {
+      actor: req.admin.name,
+      manual: true,
+      planId: license.planId,
+      reason: reason || null
+    });
+
+    res.status(201).json({ success: true, license });
+  });
+
+  // Thu hồi vĩnh viễn, gỡ hết thiết bị (lần check sau báo LICENSE_REVOKED)
+  router.post('/licenses/:licenseKey/revoke', licenseRoute({ reason: reasonField }), (req, res) => {
+    const license = loadLicense(req, res);
+    if (!license) return;
+
+    if (license.status === 'revoked') {
+      return sendError(req, res, 'LICENSE_INVALID_STATE', { params: { status: license.status } });
+    }
+
+    const reason = req.body.reason || null;
+    let devicesReleased = 0;
+
+    store.transaction(() => {
+      devicesReleased = releaseAllDevices(store, license, req.admin.name, reason);
+      license.status = 'revoked';
+      license.revokedAt = new Date().toISOString();
+      saveLicense(license, 'revoked', { actor: req.admin.name, reason, devicesReleased });
+    });
+
+    res.json({ success: true, license: summarizeLicense(license), devicesReleased });
+  });
+
+  // Tạm khóa, có thể mở lại bằng /reinstate
+  router.post('/licenses/:licenseKey/suspend', licenseRoute({ reason: reasonField }), (req, res) => {
+    const license = loadLicense(req, res);
+    if (!license) return;
+
+    if (license.status === 'revoked' || license.status === 'suspended') {
+      return sendError(req, res, 'LICENSE_INVALID_STATE', { params: { status: license.status } });
+    }
+
+    license.statusBeforeSuspend = license.status;
+    license.status = 'suspended';
+    saveLicense(license, 'suspended', { actor: req.admin.name, reason: req.body.reason || null });
+
+    res.json({ success: true, license: summarizeLicense(license) });
+  });
+
+  router.post('/licenses/:licenseKey/reinstate', licenseRoute({ reason: reasonField }), (req, res) => {
+    const license = loadLicense(req, res);
+    if (!license) return;
+
+    if (license.status !== 'suspended') {
+      return sendError(req, res, 'LICENSE_INVALID_STATE', { params: { status: license.status } });
+    }
+
+    license.status = license.statusBeforeSuspend || 'active';
+    delete license.statusBeforeSuspend;
+    delete license.blockedReason;
+    saveLicense(license, 'reinstated', { actor: req.admin.name, reason: req.body.reason || null });
+
+    res.json({ success: true, license: summarizeLicense(license) });
+  });
+
+  // Gia hạn: { days } cộng thêm từ max(hiện tại, ngày hết hạn) hoặc { expiryDate } đặt thẳng
+  router.post('/licenses/:licenseKey/extend', licenseRoute({
+    days: v.integer({ min: 1 }),
+    expiryDate: v.date(),
+    reason: reasonField
+  }), (req, res) => {
+    const license = loadLicense(req, res);
+    if (!license) return;
+
+    const { days, expiryDate, reason } = req.body;
+    let newExpiry;
+
+    if (license.expiryDate === null && !expiryDate) {
+      return sendError(req, res, 'LICENSE_LIFETIME');
+    }
+
+    if (expiryDate) {
+      newExpiry = new Date(expiryDate);
+    } else if (days) {
+      const base = Math.max(Date.now(), new Date(license.expiryDate).getTime());
+      newExpiry = new Date(base + days * DAY_MS);
+    } else {
+      return sendValidationError(req, res, [{ field: 'body.days', rule: 'required' }]);
+    }
+
+    const previousExpiry = license.expiryDate;
+    license.expiryDate = newExpiry.toISOString();
+    saveLicense(license, 'extended', {
+      actor: req.admin.name,
+      from: previousExpiry,
+      to: license.expiryDate,
+      reason: reason || null
+    });
+
+    res.json({ success: true, license: summarizeLicense(license) });
+  });
+
+  // Đổi số thiết bị tối đa; không gỡ thiết bị đang dùng nếu giảm xuống thấp hơn
+  router.post('/licenses/:licenseKey/seats', licenseRoute({
+    seats: v.integer({ required: true, min: 1 }),
+    reason: reasonField
+  }), (req, res) => {
+    const license = loadLicense(req, res);
+    if (!license) return;
+
+    const { seats, reason } = req.body;
+
+    if (seats < license.devices.length) {
+      return sendError(req, res, 'SEATS_BELOW_DEVICES', { params: { devices: license.devices.length } });
+    }
+
+    const previousSeats = license.seats;
+    license.seats = seats;
+    saveLicense(license, 'seats_changed', {
+      actor: req.admin.name,
+      from: previousSeats,
+      to: seats,
+      reason: reason || null
+    });
+
+    res.json({ success: true, license: summarizeLicense(license) });
+  });
+
+  // Ghi đè tính năng / giới hạn riêng cho license, vd:
+  //   { features: { cloudUpload: true }, limits: { maxCameras: 2 }, reason }
+  // Giá trị null bỏ phần ghi đè của khóa đó; { reset: true } bỏ hết, quay về theo gói.
+  router.post('/licenses/:licenseKey/entitlements', licenseRoute({
+    features: v.record(v.boolean(), { keys: FEATURES }),
+    limits: v.record(v.integer({ min: 0, max: 1000000 }), { keys: LIMITS }),
+    reset: v.boolean(),
+    reason: reasonField
+  }), (req, res) => {
+    const license = loadLicense(req, res);
+    if (!license) return;
+
+    const { features, limits, reset, reason } = req.body;
+
+    if (!features && !limits && !reset) {
+      return sendValidationError(req, res, [{ field: 'body.features', rule: 'required' }]);
+    }
+
+    if (reset) delete license.entitlementOverrides;
+    const overrides = applyOverrides(license, { features, limits });
+    saveLicense(license, 'entitlements_changed', {
+      actor: req.admin.name,
+      reset: Boolean(reset),
+      features: features || null,
+      limits: limits || null,
+      reason: reason || null
+    });
+
+    res.json({
+      success: true,
+      license: summarizeLicense(license),
+      overrides,
+      entitlements: entitlementsOf(license)
+    });
+  });
+
+  // Gỡ thiết bị để khách kích hoạt lại trên máy khác.
+  // Body { deviceIdHash } để gỡ một máy, bỏ trống để gỡ tất cả.
+  router.post('/licenses/:licenseKey/unbind-device', licenseRoute({
+    deviceIdHash: v.string({ max: 64 }),
+    reason: reasonField
+  }), (req, res) => {
+    const license = loadLicense(req, res);
+    if (!license) return;
+
+    const { deviceIdHash, reason } = req.body;
+    const targets = deviceIdHash
+      ? [deviceIdHash]
+      : license.devices.map(device => device.deviceIdHash);
+
+    if (targets.length === 0) {
+      return sendError(req, res, 'NO_DEVICES');
+    }
+
+    for (const hash of targets) {
+      if (!releaseDevice(store, license, hash, req.admin.name, reason || null)) {
+        return sendError(req, res, 'DEVICE_MISMATCH');
+      }
+    }
+
+    res.json({ success: true, license: summarizeLicense(license) });
+  });
+
+  // ============================================
+  // PAYMENTS
+  // ============================================
+
+  // Danh sách payment: ?q=&status=&page=&pageSize=
+  router.get('/payments', (req, res) => {
+    const q = (req.query.q || '').toString().trim().toUpperCase();
+    const status = (req.query.status || '').toString();
+
+    let items = payments.values();
+
+    if (q) {
+      items = items.filter(payment =>
+        String(payment.orderId).includes(q) ||
+        String(payment.licenseKey || '').includes(q) ||
+        String(payment.productName || '').toUpperCase().includes(q)
+      );
+    }
+    if (status) {
+      items = items.filter(payment => payment.status === status);
+    }
+
+    res.json({ success: true, ...paginate(items.sort(newestFirst), req.query) });
+  });
+
+  const orderParams = { orderId: v.orderId({ required: true }) };
+
+  router.get('/payments/:orderId', validate({ params: orderParams }), (req, res) => {
+    const payment = payments.get(req.params.orderId);
+
+    if (!payment) {
+      return sendError(req, res, 'ORDER_NOT_FOUND');
+    }
+
+    const license = payment.licenseKey ? licenses.get(payment.licenseKey) : null;
+
+    res.json({
+      success: true,
+      payment,
+      license: license ? summarizeLicense(license) : null
+    });
+  });
+
+  // Hỏi PayOS trạng thái một order pending ngay lập tức
+  router.post('/payments/:orderId/reconcile', validate({ params: orderParams }), async (req, res) => {
+    if (!payments.has(req.params.orderId)) {
+      return sendError(req, res, 'ORDER_NOT_FOUND');
+    }
+
+    try {
+      const outcome = await reconciler.reconcileOrder(req.params.orderId, `admin:${req.admin.name}`);
+      res.json({ success: true, outcome, payment: payments.get(req.params.orderId) });
+    } catch (error) {
+      log.warn('admin reconcile failed', { orderId: req.params.orderId, error });
+      sendError(req, res, error.isPayosError ? 'PAYOS_ERROR' : 'INTERNAL_ERROR');
+    }
+  });
+
+  // Hoàn tiền / chargeback: { kind: 'refund'|'chargeback', action: 'revoke'|'suspend', reason }
+  router.post('/payments/:orderId/refund', validate({
+    params: orderParams,
+    body: {
+      kind: v.oneOf(['refund', 'chargeback']),
+      action: v.oneOf(['revoke', 'suspend']),
+      reason: v.string({ required: true, max: 500 })
+    }
+  }), async (req, res) => {
+    const { kind = 'refund', action = 'revoke', reason } = req.body;
+
+    try {
+      const result = await fulfillment.refundPayment(req.params.orderId, {
+        actor: `admin:${req.admin.name}`, kind, action, reason
+      });
+
+      if (result.outcome === 'not_found') {
+        return sendError(req, res, 'ORDER_NOT_FOUND');
+      }
+      if (result.outcome === 'not_refundable') {
+        return sendError(req, res, 'ORDER_NOT_REFUNDABLE', { params: { status: result.payment.status } });
+      }
+      if (result.outcome === 'not_reversible') {
+        return sendError(req, res, 'REFUND_NOT_REVERSIBLE');
+      }
+
+      res.json({
+        success: true,
+        payment: result.payment,
+        licenses: result.licenses.map(summarizeLicense),
+        devicesReleased: result.devicesReleased
+      });
+    } catch (error) {
+      log.error('admin refund failed', { orderId: req.params.orderId, error });
+      sendError(req, res, 'INTERNAL_ERROR');
+    }
+  });
+
+  // Chạy đối soát toàn bộ order pending quá hạn (lỗi PayOS từng order đã nằm trong results)
+  router.post('/reconcile', async (req, res) => {
+    try {
+      const results = await reconciler.runOnce();
+      res.json({ success: true, results });
+    } catch (error) {
+      log.error('admin reconcile run failed', { error });
+      sendError(req, res, error.isPayosError ? 'PAYOS_ERROR' : 'INTERNAL_ERROR');
+    }
+  });
+
+  // ============================================
+  // COUPONS (mã giảm giá)
+  // ============================================
+
+  function loadCoupon(req, res) {
+    const coupon = coupons.get(req.params.code);
+    if (!coupon) {
+      sendError(req, res, 'COUPON_NOT_FOUND');
+      return null;
+    }
+    return coupon;
+  }
+
+  const couponParams = { code: v.string({ required: true, max: 32, upper: true }) };
+
+  // null / chuỗi rỗng bỏ qua schema và xóa giá trị (xem applyCouponChanges)
+  const couponFields = {
+    type: v.oneOf(COUPON_TYPES),
+    value: v.integer({ min: 1 }),
+    planIds: v.array(v.planId()),
+    startsAt: v.date(),
+    endsAt: v.date(),
+    maxRedemptions: v.integer({ min: 1 }),
+    active: v.boolean(),
+    note: v.string({ max: 200 })
+  };
+
+  // Danh sách coupon: ?q=&active=true|false&page=&pageSize=
+  router.get('/coupons', (req, res) => {
+    const q = normalizeCouponCode(req.query.q);
+    let items = coupons.values();
+
+    if (q) {
+      items = items.filter(coupon => coupon.code.includes(q));
+    }
+    if (req.query.active === 'true' || req.query.active === 'false') {
+      items = items.filter(coupon => coupon.active === (req.query.active === 'true'));
+    }
+
+    res.json({ success: true, ...paginate(items.sort(newestFirst), req.query) });
+  });
+
+  // Chi tiết coupon kèm các payment đã dùng mã
+  router.get('/coupons/:code', validate({ params: couponParams }), (req, res) => {
+    const coupon = loadCoupon(req, res);
+    if (!coupon) return;
+
+    const used = payments.values()
+      .filter(payment => payment.couponCode === coupon.code)
+      .sort(newestFirst)
+      .map(payment => ({
+        orderId: payment.orderId,
+        status: payment.status,
+        amount: payment.amount,
+        discount: payment.discount,
+        createdAt: payment.createdAt,
+        couponRedeemedAt: payment.couponRedeemedAt || null
+      }));
+
+    res.json({ success: true, coupon, payments: used });
+  });
+
+  // Body: { code, type: 'percent'|'fixed', value, planIds?, startsAt?, endsAt?, maxRedemptions?, note? }
+  router.post('/coupons', validate({
+    body: {
+      ...couponFields,
+      code: v.string({ required: true, max: 32, upper: true, pattern: COUPON_CODE_PATTERN }),
+      type: v.oneOf(COUPON_TYPES, { required: true }),
+      value: v.integer({ required: true, min: 1 })
+    }
+  }), (req, res) => {
+    const { code } = req.body;
+
+    if (coupons.has(code)) {
+      return sendError(req, res, 'COUPON_EXISTS');
+    }
+
+    const coupon = createCouponRecord(code, req.body, req.admin.name);
+    const errors = couponErrors(coupon, getPlan);
+    if (errors.length) {
+      return sendValidationError(req, res, errors);
+    }
+
+    coupons.set(coupon.code, coupon);
+    log.info('admin action', { admin: req.admin.name, action: 'coupon_created', couponCode: coupon.code });
+
+    res.status(201).json({ success: true, coupon });
+  });
+
+  // Sửa coupon (chỉ các field có gửi), vd: { active: false } để tắt mã
+  router.post('/coupons/:code', validate({ params: couponParams, body: couponFields }), (req, res) => {
+    const current = loadCoupon(req, res);
+    if (!current) return;
+
+    const coupon = applyCouponChanges(current, req.body);
+    const errors = couponErrors(coupon, getPlan);
+    if (errors.length) {
+      return sendValidationError(req, res, errors);
+    }
+
+    coupon.updatedAt = new Date().toISOString();
+    coupon.updatedBy = req.admin.name;
+    coupons.set(coupon.code, coupon);
+    log.info('admin action', { admin: req.admin.name, action: 'coupon_updated', couponCode: coupon.code });
+
+    res.json({ success: true, coupon });
+  });
+
+  // Chỉ xóa được mã chưa từng được dùng; mã đã dùng thì tắt bằng { active: false }
+  router.delete('/coupons/:code', validate({ params: couponParams }), (req, res) => {
+    const coupon = loadCoupon(req, res);
+    if (!coupon) return;
+
+    if (coupon.redeemedCount > 0) {
+      return sendError(req, res, 'COUPON_IN_USE');
+    }
+
+    coupons.delete(coupon.code);
+    log.info('admin action', { admin: req.admin.name, action: 'coupon_deleted', couponCode: coupon.code });
+
+    res.json({ success: true });
+  });
+
+  // ============================================
+  // RESELLERS (đại lý) + BATCHES (lô license mua sỉ)
+  // ============================================
+
+  function loadReseller(req, res) {
+    const reseller = resellers.get(req.params.id);
+    if (!reseller) {
+      sendError(req, res, 'RESELLER_NOT_FOUND');
+      return null;
+    }
+    return reseller;
+  }
+
+  const idParams = { id: v.string({ required: true, max: 64 }) };
+  const batchParams = { batchId: v.string({ required: true, max: 64 }) };
+
+  router.get('/resellers', (req, res) => {
+    const items = resellers.values().sort(newestFirst).map(publicReseller);
+    res.json({ success: true, ...paginate(items, req.query) });
+  });
+
+  // Body: { name, email }. API key chỉ trả về một lần trong response này.
+  router.post('/resellers', validate({
+    body: { name: v.string({ required: true, max: 100 }), email: v.email() }
+  }), (req, res) => {
+    const { name, email } = req.body;
+
+    const { reseller, apiKey } = createResellerRecord({ name, email: email || null }, req.admin.name);
+
+    resellers.set(reseller.id, reseller);
+    log.info('admin action', { admin: req.admin.name, action: 'reseller_created', resellerId: reseller.id });
+
+    res.status(201).json({ success: true, reseller: publicReseller(reseller), apiKey });
+  });
+
+  // Đổi API key (key cũ hết hiệu lực ngay)
+  router.post('/resellers/:id/rotate-key', validate({ params: idParams }), (req, res) => {
+    const reseller = loadReseller(req, res);
+    if (!reseller) return;
+
+    const apiKey = generateResellerKey();
+    reseller.keyHash = hashResellerKey(apiKey);
+    reseller.keyRotatedAt = new Date().toISOString();
+    resellers.set(reseller.id, reseller);
+    log.info('admin action', { admin: req.admin.name, action: 'reseller_key_rotated', resellerId: reseller.id });
+
+    res.json({ success: true, reseller: publicReseller(reseller), apiKey });
+  });
+
+  // { active: false } để khóa đại lý, true để mở lại
+  // email null / rỗng để xóa email
+  router.post('/resellers/:id', validate({
+    params: idParams,
+    body: { name: v.string({ max: 100 }), email: v.email(), active: v.boolean() }
+  }), (req, res) => {
+    const reseller = loadReseller(req, res);
+    if (!reseller) return;
+
+    const { name, email, active } = req.body;
+    if (name) reseller.name = name;
+    if (email !== undefined) reseller.email = email || null;
+    if (active !== undefined) reseller.active = active;
+    resellers.set(reseller.id, reseller);
+    log.info('admin action', { admin: req.admin.name, action: 'reseller_updated', resellerId: reseller.id });
+
+    res.json({ success: true, reseller: publicReseller(reseller) });
+  });
+
+  // Danh sách batch: ?resellerId=&page=&pageSize=
+  router.get('/batches', (req, res) => {
+    const resellerId = (req.query.resellerId || '').toString();
+    let items = batches.values();
+
+    if (resellerId) {
+      items = items.filter(batch => batch.resellerId === resellerId);
+    }
+
+    const result = paginate(items.sort(newestFirst), req.query);
+    res.json({ success: true, ...result, items: result.items.map(batch => summarizeBatch(store, batch)) });
+  });
+
+  router.get('/batches/:batchId', validate({ params: batchParams }), (req, res) => {
+    const batch = batches.get(req.params.batchId);
+    if (!batch) {
+      return sendError(req, res, 'BATCH_NOT_FOUND');
+    }
+
+    res.json({ success: true, batch: summarizeBatch(store, batch), licenses: batchRows(store, batch) });
+  });
+
+  router.get('/batches/:batchId/export.csv', validate({ params: batchParams }), (req, res) => {
+    const batch = batches.get(req.params.batchId);
+    if (!batch) {
+      return sendError(req, res, 'BATCH_NOT_FOUND');
+    }
+
+    sendCsv(res, `${batch.id}.csv`, batchRows(store, batch), BATCH_CSV_COLUMNS);
+  });
+
+  // ============================================
+  // REVIEW QUEUE (order lạ, sai số tiền, không áp dụng được)
+  // ============================================
+  router.get('/review-queue', (req, res) => {
+    const status = (req.query.status || 'open').toString();
+
+    let items = reviewQueue.values();
+    if (status !== 'all') {
+      items = items.filter(item => item.status === status);
+    }
+
+    res.json({ success: true, ...paginate(items.sort(newestFirst), req.query) });
+  });
+
+  // Body: { action: 'fulfill' | 'dismiss', note }
+  // fulfill = xác nhận đã nhận tiền, bỏ qua kiểm tra số tiền và cấp license
+  // (payment đã hoàn tiền thì không)
+  router.post('/review-queue/:id/resolve', validate({
+    params: idParams,
+    body: { action: v.oneOf(['fulfill', 'dismiss'], { required: true }), note: v.string({ max: 500 }) }
+  }), async (req, res) => {
+    const item = reviewQueue.get(req.params.id);
+    const { action, note } = req.body;
+
+    if (!item) {
+      return sendError(req, res, 'REVIEW_NOT_FOUND');
+    }
+    if (item.status !== 'open') {
+      return sendError(req, res, 'REVIEW_ALREADY_RESOLVED');
+    }
+
+    try {
+      let result = null;
+      if (action === 'fulfill') {
+        if (!payments.has(item.orderId)) {
+          return sendError(req, res, 'REVIEW_NO_PAYMENT');
+        }
+
+        result = await fulfillment.fulfill(item.orderId, {
+          source: `admin:${req.admin.name}`,
+          force: true
+        });
+
+        if (result.outcome === 'refunded') {
+          return sendError(req, res, 'REVIEW_PAYMENT_REFUNDED');
+        }
+        if (result.outcome === 'queued_for_review') {
+          return sendError(req, res, 'REVIEW_FULFILL_FAILED', {
+            params: { reason: result.review.reason },
+            extra: { reason: result.review.reason }
+          });
+        }
+      }
+
+      const resolved = fulfillment.resolveReview(item.id, {
+        actor: req.admin.name,
+        resolution: action,
+        note: note || null
+      });
+      log.info('admin action', {
+        admin: req.admin.name, action: `review_${action}`, reviewId: item.id, orderId: item.orderId
+      });
+
+      res.json({
+        success: true,
+        item: resolved,
+        licenseKey: result?.license?.key || null,
+        batchId: result?.batch?.id || null
+      });
+    } catch (error) {
+      log.error('admin review resolve failed', { reviewId: item.id, orderId: item.orderId, error });
+      sendError(req, res, 'INTERNAL_ERROR');
+    }
+  });
+
+  // ============================================
+  // AUDIT LOG (mọi thay đổi trạng thái license, gom từ history)
+  // ============================================
+  // ?licenseKey=&action=&actor=&since=&until=&page=&pageSize=
+  router.get('/audit-log', validate({
+    query: {
+      licenseKey: v.licenseKey(),
+      action: v.string({ max: 64 }),
+      actor: v.string({ max: 100 }),
+      since: v.date(),
+      until: v.date()
+    }
+  }), (req, res) => {
+    const { licenseKey, action, actor } = req.query;
+    const since = req.query.since ? new Date(req.query.since) : null;
+    const until = req.query.until ? new Date(req.query.until) : null;
+
+    const source = licenseKey
+      ? [licenses.get(licenseKey)].filter(Boolean)
+      : licenses.values();
+
+    let items = source.flatMap(license =>
+      (license.history || []).map(entry => ({ licenseKey: license.key, ...entry }))
+    );
+
+    if (action) {
+      items = items.filter(entry => entry.action === action);
+    }
+    if (actor) {
+      items = items.filter(entry => String(entry.actor || '').includes(actor));
+    }
+    if (since) {
+      items = items.filter(entry => new Date(entry.at) >= since);
+    }
+    if (until) {
+      items = items.filter(entry => new Date(entry.at) < until);
+    }
+
+    items.sort((a, b) => new Date(b.at) - new Date(a.at));
+    res.json({ success: true, ...paginate(items, req.query) });
+  });
+
+  // Webhook PayOS đã nhận (kể cả số lần trùng)
+  router.get('/webhook-events', (req, res) => {
+    const orderId = (req.query.orderId || '').toString();
+
+    let items = webhookEvents.values();
+    if (orderId) {
+      items = items.filter(event => event.orderId === orderId);
+    }
+    items.sort((a, b) => new Date(b.receivedAt) - new Date(a.receivedAt));
+
+    res.json({ success: true, ...paginate(items, req.query) });
+  });
+
+  // ============================================
+  // OUTBOUND WEBHOOKS (endpoint nhận sự kiện license / payment)
+  // ============================================
+
+  function loadEndpoint(req, res) {
+    const endpoint = webhookEndpoints.get(req.params.id);
+    if (!endpoint) {
+      sendError(req, res, 'WEBHOOK_NOT_FOUND');
+      return null;
+    }
+    return endpoint;
+  }
+
+  // '*' = mọi event
+  function webhookEventsField({ required } = {}) {
+    return v.array(v.oneOf(['*', ...WEBHOOK_EVENTS]), { required, max: WEBHOOK_EVENTS.length + 1 });
+  }
+
+  // Danh sách delivery trả gọn, chi tiết (payload + từng lần thử) xem ở /webhook-deliveries/:id
+  function summarizeDelivery({ payload, attempts, ...delivery }) {
+    const last = attempts[attempts.length - 1];
+    return {
+      ...delivery,
+      attemptCount: attempts.length,
+      lastResponseStatus: last ? last.responseStatus : null,
+      lastError: last ? last.error : null
+    };
+  }
+
+  router.get('/webhooks', (req, res) => {
+    const items = webhookEndpoints.values().sort(newestFirst).map(publicEndpoint);
+    res.json({ success: true, events: WEBHOOK_EVENTS, items });
+  });
+
+  // Body: { url, events: ['license.issued', ...] | ['*'], description }.
+  // Secret ký payload chỉ trả về một lần trong response này (và khi rotate-secret).
+  router.post('/webhooks', validate({
+    body: {
+      url: v.url({ required: true }),
+      events: webhookEventsField({ required: true }),
+      description: v.string({ max: 200 })
+    }
+  }), (req, res) => {
+    const { url, events, description } = req.body;
+
+    if (events.length === 0) {
+      return sendValidationError(req, res, [{ field: 'body.events', rule: 'required' }]);
+    }
+
+    const { endpoint, secret } = webhooks.createEndpoint(
+      { url, events: [...new Set(events)], description: description || null },
+      req.admin.name
+    );
+    log.info('admin action', { admin: req.admin.name, action: 'webhook_created', webhookId: endpoint.id });
+
+    res.status(201).json({ success: true, webhook: publicEndpoint(endpoint), secret });
+  });
+
+  // Sửa endpoint (chỉ các field có gửi), vd: { active: false } để tạm ngừng gửi
+  router.post('/webhooks/:id', validate({
+    params: idParams,
+    body: {
+      url: v.url(),
+      events: webhookEventsField(),
+      description: v.string({ max: 200 }),
+      active: v.boolean()
+    }
+  }), (req, res) => {
+    const endpoint = loadEndpoint(req, res);
+    if (!endpoint) return;
+
+    const { url, events, description, active } = req.body;
+
+    if (events && events.length === 0) {
+      return sendValidationError(req, res, [{ field: 'body.events', rule: 'required' }]);
+    }
+
+    if (url) endpoint.url = url;
+    if (events) endpoint.events = [...new Set(events)];
+    if (description !== undefined) endpoint.description = description || null;
+    if (active !== undefined) endpoint.active = active;
+    endpoint.updatedAt = new Date().toISOString();
+    webhookEndpoints.set(endpoint.id, endpoint);
+    log.info('admin action', { admin: req.admin.name, action: 'webhook_updated', webhookId: endpoint.id });
+
+    res.json({ success: true, webhook: publicEndpoint(endpoint) });
+  });
+
+  // Xóa endpoint; delivery đang chờ thử lại sẽ chuyển failed, log cũ vẫn giữ
+  router.delete('/webhooks/:id', validate({ params: idParams }), (req, res) => {
+    const endpoint = loadEndpoint(req, res);
+    if (!endpoint) return;
+
+    webhookEndpoints.delete(endpoint.id);
+    log.info('admin action', { admin: req.admin.name, action: 'webhook_deleted', webhookId: endpoint.id });
+
+    res.json({ success: true });
+  });
+
+  // Đổi secret (chữ ký bằng secret cũ hết hiệu lực ngay)
+  router.post('/webhooks/:id/rotate-secret', validate({ params: idParams }), (req, res) => {
+    const endpoint = loadEndpoint(req, res);
+    if (!endpoint) return;
+
+    const secret = webhooks.rotateSecret(endpoint);
+    log.info('admin action', { admin: req.admin.name, action: 'webhook_secret_rotated', webhookId: endpoint.id });
+
+    res.json({ success: true, webhook: publicEndpoint(endpoint), secret });
+  });
+
+  // Gửi event 'ping' để kiểm tra endpoint (kết quả xem trong delivery log)
+  router.post('/webhooks/:id/test', validate({ params: idParams }), (req, res) => {
+    const endpoint = loadEndpoint(req, res);
+    if (!endpoint) return;
+
+    const [delivery] = webhooks.emit('ping', { webhookId: endpoint.id, sentBy: req.admin.name }, endpoint);
+
+    res.status(202).json({ success: true, delivery: summarizeDelivery(delivery) });
+  });
+
+  // Delivery log: ?endpointId=&status=pending|succeeded|failed&type=&page=&pageSize=
+  router.get('/webhook-deliveries', validate({
+    query: {
+      endpointId: v.string({ max: 64 }),
+      status: v.oneOf(['pending', 'succeeded', 'failed']),
+      type: v.string({ max: 64 })
+    }
+  }), (req, res) => {
+    const { endpointId, status, type } = req.query;
+
+    let items = webhookDeliveries.values();
+    if (endpointId) {
+      items = items.filter(delivery => delivery.endpointId === endpointId);
+    }
+    if (status) {
+      items = items.filter(delivery => delivery.status === status);
+    }
+    if (type) {
+      items = items.filter(delivery => delivery.type === type);
+    }
+
+    res.json({ success: true, ...paginate(items.sort(newestFirst).map(summarizeDelivery), req.query) });
+  });
+
+  router.get('/webhook-deliveries/:id', validate({ params: idParams }), (req, res) => {
+    const delivery = webhookDeliveries.get(req.params.id);
+    if (!delivery) {
+      return sendError(req, res, 'DELIVERY_NOT_FOUND');
+    }
+
+    res.json({ success: true, delivery });
+  });
+
+  // Gửi lại đúng event cũ (cùng event id) thành một delivery mới
+  router.post('/webhook-deliveries/:id/redeliver', validate({ params: idParams }), (req, res) => {
+    const delivery = webhookDeliveries.get(req.params.id);
+    if (!delivery) {
+      return sendError(req, res, 'DELIVERY_NOT_FOUND');
+    }
+
+    const redelivery = webhooks.redeliver(delivery);
+    if (!redelivery) {
+      return sendError(req, res, 'WEBHOOK_NOT_FOUND');
+    }
+    log.info('admin action', {
+      admin: req.admin.name, action: 'webhook_redelivered', deliveryId: delivery.id, redeliveryId: redelivery.id
+    });
+
+    res.status(202).json({ success: true, delivery: summarizeDelivery(redelivery) });
+  });
+
+  // ============================================
+  // REMOTE CONFIG (feature flag + phiên bản extension tối thiểu)
+  // ============================================
+  router.get('/remote-config', (req, res) => {
+    res.json({ success: true, config: remoteConfig.get() });
+  });
+
+  // Chỉ sửa các field có gửi. flags gộp vào flag hiện có ({ cloudUpload: false }),
+  // null xóa flag; latestExtensionVersion / message null để xóa,
+  // minExtensionVersion null để quay về MIN_EXTENSION_VERSION trong env.
+  router.post('/remote-config', validate({
+    body: {
+      minExtensionVersion: v.string({ max: 20, pattern: VERSION_PATTERN }),
+      latestExtensionVersion: v.string({ max: 20, pattern: VERSION_PATTERN }),
+      flags: v.record(v.boolean(), { keys: FLAG_NAME_PATTERN, max: 100 }),
+      message: v.string({ max: 500 })
+    }
+  }), (req, res) => {
+    const { minExtensionVersion, latestExtensionVersion, flags, message } = req.body;
+
+    const changes = {};
+    if (minExtensionVersion !== undefined) changes.minExtensionVersion = minExtensionVersion || null;
+    if (latestExtensionVersion !== undefined) changes.latestExtensionVersion = latestExtensionVersion || null;
+    if (flags) changes.flags = flags;
+    if (message !== undefined) changes.message = message || null;
+
+    const config = remoteConfig.update(changes, req.admin.name);
+    log.info('admin action', { admin: req.admin.name, action: 'remote_config_updated', fields: Object.keys(changes) });
+
+    res.json({ success: true, config });
+  });
+
+  // ============================================
+  // SIGNING KEYS (khóa ký offline token)
+  // ============================================
+  router.get('/signing-keys', (req, res) => {
+    res.json({ success: true, pinned: tokens.pinned, keys: tokens.listKeys() });
+  });
+
+  // Sinh khóa mới; khóa cũ vẫn được công bố cho tới khi token cũ hết hạn
+  router.post('/signing-keys/rotate', (req, res) => {
+    if (tokens.pinned) {
+      return sendError(req, res, 'SIGNING_KEY_PINNED');
+    }
+
+    const key = tokens.rotate(req.admin.name);
+    log.info('admin action', { admin: req.admin.name, action: 'signing_key_rotated', kid: key.kid });
+
+    res.json({ success: true, key });
+  });
+
+  // ============================================
+  // REPORTS (doanh thu, chuyển đổi, kích hoạt, hết hạn, theo gói)
+  // ============================================
+  // GET /reports/:report?since=&until=&groupBy=day|week|month&planId=&days=
+  //   revenue, conversion, activation: theo kỳ, mặc định 30 ngày gần nhất
+  //   licenses: số license active / expired... theo gói (since/until lọc theo ngày phát hành)
+  //   expiring: license hết hạn trong `days` ngày tới (mặc định 30)
+  //   plans: doanh thu + license theo gói
+  // Thêm /export.csv để tải CSV cùng nội dung rows.
+  const reportSchema = validate({
+    params: { report: v.oneOf(Object.keys(REPORTS), { required: true }) },
+    query: {
+      since: v.date(),
+      until: v.date(),
+      groupBy: v.oneOf(GROUP_BY),
+      planId: v.planId(),
+      days: v.integer({ min: 1, max: 365 })
+    }
+  });
+
+  function buildReport(req, res) {
+    const result = runReport(store, req.params.report, req.query, { getPlan });
+    if (!result.ok) {
+      sendValidationError(req, res, [{ field: 'query.until', rule: 'range', params: { max: MAX_RANGE_DAYS } }]);
+      return null;
+    }
+    return result.report;
+  }
+
+  router.get('/reports/:report', reportSchema, (req, res) => {
+    const report = buildReport(req, res);
+    if (!report) return;
+
+    const { columns, rows, ...rest } = report;
+    res.json({ success: true, ...rest, items: rows });
+  });
+
+  router.get('/reports/:report/export.csv', reportSchema, (req, res) => {
+    const report = buildReport(req, res);
+    if (!report) return;
+
+    const range = [report.since, report.until].filter(Boolean).map(iso => iso.slice(0, 10)).join('_');
+    sendCsv(res, `${report.name}${range ? `-${range}` : ''}.csv`, report.rows, report.columns);
+  });
+
+  // ============================================
+  // DEBUG (dump toàn bộ dữ liệu)
+  // ============================================
+  router.get('/debug', (req, res) => {
+    res.json({
+      payments: payments.entries().map(([k, v]) => ({
+        orderId: k,
+        status: v.status,
+        licenseKey: v.licenseKey,
+        createdAt: v.createdAt,
+        paidAt: v.paidAt
+      })),
+      licenses: licenses.entries().map(([k, v]) => ({
+        key: k,
+        status: v.status,
+        expiryDate: v.expiryDate,
+        seats: v.seats,
+        devicesUsed: v.devices.length,
+        createdAt: v.createdAt
+      })),
+      deviceBindings: deviceLicenses.entries().map(([k, v]) => ({
+        deviceIdHash: k.substring(0, 20) + '...',
+        licenseKey: v
+      })),
+      stats: {
+        totalPayments: payments.size,
+        totalLicenses: licenses.size,
+        totalDeviceBindings: deviceLicenses.size
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
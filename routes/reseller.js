@@ -0,0 +1,225 @@
+// ============================================
+// RESELLER API (đại lý mua sỉ và phân phối license)
+// ============================================
+// Đại lý chỉ thao tác được trên batch / license của chính mình.
+const express = require('express');
+const { appendHistory, releaseAllDevices } = require('../lib/licenses');
+const {
+  requireReseller,
+  publicReseller,
+  summarizeBatch,
+  batchRows,
+  BATCH_CSV_COLUMNS
+} = require('../lib/resellers');
+const { sendCsv } = require('../lib/csv');
+const { logger } = require('../lib/logger');
+const { sendError } = require('../lib/errors');
+const { v, validate } = require('../lib/validation');
+
+const log = logger.child({ module: 'reseller' });
+
+/**
+ * @param {object} deps
+ * @param {object} deps.store - storage (lib/storage)
+ * @param {(options: object) => Promise<{ payment: object, checkoutUrl: string }>} deps.createCheckout
+ * @param {number} deps.maxQuantity - số license tối đa mỗi đơn mua sỉ
+ * @param {object} deps.plans - plan catalog (createPlanCatalog trong lib/plans)
+ */
+function createResellerRouter({ store, createCheckout, maxQuantity, plans }) {
+  const { getPlan } = plans;
+  const router = express.Router();
+  const licenses = store.collection('licenses');
+  const payments = store.collection('payments');
+  const batches = store.collection('batches');
+
+  router.use(requireReseller(store));
+
+  const licenseParams = { licenseKey: v.licenseKey({ required: true }) };
+
+  // batchId do fulfillment sinh: BATCH-<hex>
+  const batchParams = { batchId: v.string({ required: true, max: 32, upper: true, pattern: /^BATCH-[0-9A-F]+$/ }) };
+
+  // Batch của đại lý đang đăng nhập, 404 nếu không có hoặc của đại lý khác
+  function loadBatch(req, res) {
+    const batch = batches.get(req.params.batchId);
+    if (!batch || batch.resellerId !== req.reseller.id) {
+      sendError(req, res, 'BATCH_NOT_FOUND');
+      return null;
+    }
+    return batch;
+  }
+
+  function loadLicense(req, res) {
+    const license = licenses.get(req.params.licenseKey);
+    if (!license || license.resellerId !== req.reseller.id) {
+      sendError(req, res, 'LICENSE_NOT_FOUND');
+      return null;
+    }
+    return license;
+  }
+
+  router.get('/me', (req, res) => {
+    res.json({ success: true, reseller: publicReseller(req.reseller) });
+  });
+
+  // ============================================
+  // BULK ORDERS
+  // ============================================
+
+  // Body: { planId, quantity } -> link PayOS cho cả đơn
+  router.post('/bulk-orders', validate({
+    body: {
+      planId: v.planId({ required: true }),
+      quantity: v.integer({ required: true, min: 1, max: maxQuantity })
+    }
+  }), async (req, res) => {
+    try {
+      const { planId, quantity } = req.body;
+      const plan = getPlan(planId);
+
+      if (!plan) {
+        return sendError(req, res, 'PLAN_NOT_FOUND');
+      }
+
+      const { payment, checkoutUrl } = await createCheckout({
+        plan,
+        amount: plan.price * quantity,
+        type: 'bulk',
+        quantity,
+        resellerId: req.reseller.id,
+        email: req.reseller.email || null
+      });
+
+      log.info('bulk order created', {
+        resellerId: req.reseller.id, orderId: payment.orderId, planId: plan.id, quantity
+      });
+
+      res.status(201).json({
+        success: true,
+        checkoutUrl,
+        orderId: payment.orderId,
+        planId: plan.id,
+        quantity,
+        amount: payment.amount
+      });
+    } catch (error) {
+      log.error('bulk order error', { error, payos: error.response?.data });
+      sendError(req, res, error.isPayosError ? 'PAYOS_ERROR' : 'INTERNAL_ERROR');
+    }
+  });
+
+  // Trạng thái đơn mua sỉ (batchId có sau khi thanh toán xong)
+  router.get('/orders/:orderId', validate({
+    params: { orderId: v.orderId({ required: true }) }
+  }), (req, res) => {
+    const payment = payments.get(req.params.orderId);
+
+    if (!payment || payment.resellerId !== req.reseller.id) {
+      return sendError(req, res, 'ORDER_NOT_FOUND');
+    }
+
+    res.json({
+      success: true,
+      orderId: payment.orderId,
+      status: payment.status,
+      planId: payment.planId,
+      quantity: payment.quantity,
+      amount: payment.amount,
+      batchId: payment.batchId || null,
+      createdAt: payment.createdAt,
+      paidAt: payment.paidAt || null
+    });
+  });
+
+  // ============================================
+  // BATCHES
+  // ============================================
+
+  router.get('/batches', (req, res) => {
+    const items = batches.values()
+      .filter(batch => batch.resellerId === req.reseller.id)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(batch => summarizeBatch(store, batch));
+
+    res.json({ success: true, items });
+  });
+
+  router.get('/batches/:batchId', validate({ params: batchParams }), (req, res) => {
+    const batch = loadBatch(req, res);
+    if (!batch) return;
+
+    res.json({
+      success: true,
+      batch: summarizeBatch(store, batch),
+      licenses: batchRows(store, batch)
+    });
+  });
+
+  router.get('/batches/:batchId/export.csv', validate({ params: batchParams }), (req, res) => {
+    const batch = loadBatch(req, res);
+    if (!batch) return;
+
+    sendCsv(res, `${batch.id}.csv`, batchRows(store, batch), BATCH_CSV_COLUMNS);
+  });
+
+  // ============================================
+  // LICENSES TRONG BATCH
+  // ============================================
+
+  // Ghi lại đã giao key cho ai: { email, note }. Email được dùng cho "gửi lại mã" và nhắc gia hạn.
+  router.post('/licenses/:licenseKey/assign', validate({
+    params: licenseParams,
+    body: { email: v.email(), note: v.string({ max: 200 }) }
+  }), (req, res) => {
+    const license = loadLicense(req, res);
+    if (!license) return;
+
+    const { email, note } = req.body;
+
+    if (license.status === 'revoked') {
+      return sendError(req, res, 'LICENSE_INVALID_STATE', { params: { status: license.status } });
+    }
+
+    license.assignedTo = {
+      email: email || null,
+      note: note || null,
+      at: new Date().toISOString()
+    };
+    if (email) license.email = email;
+
+    appendHistory(store, license, 'assigned', { actor: `reseller:${req.reseller.id}`, email: email || null });
+    licenses.set(license.key, license);
+
+    res.json({ success: true, license: batchRows(store, { id: license.batchId, licenseKeys: [license.key] })[0] });
+  });
+
+  // Thu hồi một key (vd: khách của đại lý hoàn đơn)
+  router.post('/licenses/:licenseKey/revoke', validate({
+    params: licenseParams,
+    body: { reason: v.string({ max: 200 }) }
+  }), (req, res) => {
+    const license = loadLicense(req, res);
+    if (!license) return;
+
+    if (license.status === 'revoked') {
+      return sendError(req, res, 'LICENSE_INVALID_STATE', { params: { status: license.status } });
+    }
+
+    const actor = `reseller:${req.reseller.id}`;
+    const reason = req.body.reason || null;
+
+    store.transaction(() => {
+      releaseAllDevices(store, license, actor, reason);
+      license.status = 'revoked';
+      license.revokedAt = new Date().toISOString();
+      appendHistory(store, license, 'revoked', { actor, reason });
+      licenses.set(license.key, license);
+    });
+
+    res.json({ success: true, license: batchRows(store, { id: license.batchId, licenseKeys: [license.key] })[0] });
+  });
+
+  return router;
+}
+
+module.exports = { createResellerRouter };
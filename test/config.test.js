@@ -0,0 +1,36 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConfig, ConfigError } = require('../lib/config');
+
+const BASE_ENV = {
+  PAYOS_CLIENT_ID: 'test-client',
+  PAYOS_API_KEY: 'test-api-key',
+  PAYOS_CHECKSUM_KEY: 'test-checksum-key'
+};
+
+describe('config', () => {
+  it('không đặt thì dùng mặc định cho seats, dùng thử, SMTP và catalog', () => {
+    const config = loadConfig(BASE_ENV);
+
+    assert.equal(config.defaultSeats, 1);
+    assert.equal(config.trialDays, 7);
+    assert.equal(config.smtp.port, 587);
+    assert.ok(config.plans.some(plan => plan.id === 'premium-1m'));
+  });
+
+  it('giá trị sai thì ném ConfigError liệt kê từng biến thay vì lặng lẽ dùng mặc định', () => {
+    assert.throws(() => loadConfig({
+      ...BASE_ENV,
+      LICENSE_DEFAULT_SEATS: '-3',
+      TRIAL_DAYS: 'abc',
+      SMTP_PORT: 'smtp',
+      PLANS_FILE: '/nonexistent/plans.json'
+    }), error => {
+      assert.ok(error instanceof ConfigError);
+      for (const name of ['LICENSE_DEFAULT_SEATS', 'TRIAL_DAYS', 'SMTP_PORT', 'PLANS_FILE']) {
+        assert.ok(error.errors.some(message => message.startsWith(name)), name);
+      }
+      return true;
+    });
+  });
+});
@@ -0,0 +1,306 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/test-app');
+
+describe('activate / bind / check device', () => {
+  let t;
+  beforeEach(async () => { t = await startTestApp(); });
+  afterEach(() => t.close());
+
+  it('kích hoạt key trên thiết bị rồi khôi phục được qua check-device-license', async () => {
+    const { licenseKey } = await t.purchase('premium-1m');
+
+    const activated = await t.request('POST', '/api/activate-license', {
+      licenseKey: licenseKey.toLowerCase(),
+      deviceId: 'device-a'
+    });
+    assert.equal(activated.status, 200);
+    assert.equal(activated.body.success, true);
+    assert.equal(activated.body.seatsRemaining, 0);
+    assert.ok(activated.body.licenseToken.token);
+    assert.equal(t.store.collection('licenses').get(licenseKey).status, 'used');
+
+    const check = await t.request('POST', '/api/check-device-license', { deviceId: 'device-a' });
+    assert.equal(check.body.valid, true);
+    assert.equal(check.body.licenseKey, licenseKey);
+    assert.equal(check.body.daysRemaining, 30);
+  });
+
+  it('kích hoạt lại trên cùng thiết bị không tốn thêm chỗ', async () => {
+    const { licenseKey } = await t.purchase('premium-1m');
+
+    await t.request('POST', '/api/activate-license', { licenseKey, deviceId: 'device-a' });
+    const again = await t.request('POST', '/api/activate-license', { licenseKey, deviceId: 'device-a' });
+
+    assert.equal(again.status, 200);
+    assert.equal(t.store.collection('licenses').get(licenseKey).devices.length, 1);
+  });
+
+  it('bind-device gắn thiết bị sau khi thanh toán', async () => {
+    const { licenseKey } = await t.purchase('premium-1m');
+
+    const bound = await t.request('POST', '/api/bind-device', { licenseKey, deviceId: 'device-a' });
+    assert.equal(bound.status, 200);
+    assert.equal(bound.body.success, true);
+
+    const check = await t.request('POST', '/api/check-device-license', { deviceId: 'device-a' });
+    assert.equal(check.body.valid, true);
+  });
+
+  it('thiết bị chưa gắn license thì check-device-license trả valid: false', async () => {
+    const check = await t.request('POST', '/api/check-device-license', { deviceId: 'unknown-device' });
+
+    assert.equal(check.status, 404);
+    assert.equal(check.body.code, 'DEVICE_NOT_REGISTERED');
+    assert.equal(check.body.success, false);
+    assert.equal(check.body.valid, false);
+  });
+
+  it('key không tồn tại trả 404', async () => {
+    const activated = await t.request('POST', '/api/activate-license', {
+      licenseKey: 'PACK-0000-0000-0000-0000',
+      deviceId: 'device-a'
+    });
+    assert.equal(activated.status, 404);
+
+    const bound = await t.request('POST', '/api/bind-device', {
+      licenseKey: 'PACK-0000-0000-0000-0000',
+      deviceId: 'device-a'
+    });
+    assert.equal(bound.status, 404);
+  });
+
+  it('dò key qua gia hạn / nâng cấp / nhả thiết bị cũng bị tính lần sai và khóa', async () => {
+    const licenseKey = 'PACK-0000-0000-0000-0000';
+
+    const released = await t.request('POST', '/api/release-device', { licenseKey, deviceId: 'device-a' });
+    assert.equal(released.body.code, 'DEVICE_MISMATCH');
+
+    for (const path of ['/api/renew-license', '/api/upgrade-quote', '/api/upgrade-license']) {
+      const res = await t.request('POST', path, { licenseKey, planId: 'premium-1y' });
+      assert.equal(res.body.code, 'LICENSE_NOT_FOUND', path);
+    }
+
+    await t.request('POST', '/api/renew-license', { licenseKey });
+    const locked = await t.request('POST', '/api/upgrade-quote', { licenseKey, planId: 'premium-1y' });
+    assert.equal(locked.status, 429);
+    assert.equal(locked.body.code, 'TOO_MANY_ATTEMPTS');
+  });
+
+  it('admin thu hồi license thì gỡ thiết bị và ghi vào history', async () => {
+    const { licenseKey } = await t.purchase('premium-1m');
+    await t.request('POST', '/api/activate-license', { licenseKey, deviceId: 'device-a' });
+
+    const res = await t.admin('POST', `/api/admin/licenses/${licenseKey}/revoke`, { reason: 'gian lận' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.devicesReleased, 1);
+
+    const license = t.store.collection('licenses').get(licenseKey);
+    assert.deepEqual(license.devices, []);
+    assert.deepEqual(license.history.slice(-2).map(entry => entry.action), ['device_unbound', 'revoked']);
+    assert.equal(license.history.at(-1).devicesReleased, 1);
+    assert.equal(t.store.collection('deviceLicenses').get(t.hashDeviceId('device-a')), undefined);
+
+    const check = await t.request('POST', '/api/check-device-license', { deviceId: 'device-a' });
+    assert.equal(check.body.code, 'LICENSE_REVOKED');
+  });
+});
+
+describe('giới hạn thiết bị', () => {
+  let t;
+  beforeEach(async () => { t = await startTestApp(); });
+  afterEach(() => t.close());
+
+  it('license 1 máy: kích hoạt trên thiết bị thứ hai bị từ chối', async () => {
+    const { licenseKey } = await t.purchase('premium-1m');
+    await t.request('POST', '/api/activate-license', { licenseKey, deviceId: 'device-a' });
+
+    const second = await t.request('POST', '/api/activate-license', { licenseKey, deviceId: 'device-b' });
+
+    assert.equal(second.status, 409);
+    assert.equal(second.body.success, false);
+    assert.equal(second.body.code, 'SEAT_LIMIT_REACHED');
+    assert.equal(second.body.message, 'Mã đã được sử dụng trên thiết bị khác');
+
+    const check = await t.request('POST', '/api/check-device-license', { deviceId: 'device-b' });
+    assert.equal(check.body.valid, false);
+  });
+
+  it('license 1 máy: bind-device thiết bị thứ hai trả 409', async () => {
+    const { licenseKey } = await t.purchase('premium-1m');
+    await t.request('POST', '/api/bind-device', { licenseKey, deviceId: 'device-a' });
+
+    const second = await t.request('POST', '/api/bind-device', { licenseKey, deviceId: 'device-b' });
+
+    assert.equal(second.status, 409);
+    assert.equal(second.body.code, 'SEAT_LIMIT_REACHED');
+    assert.equal(second.body.seats, 1);
+  });
+
+  it('license nhiều máy nhận đủ số thiết bị rồi mới từ chối', async () => {
+    const { licenseKey } = await t.purchase('station-1y');
+
+    for (let i = 0; i < 5; i++) {
+      const res = await t.request('POST', '/api/activate-license', { licenseKey, deviceId: `station-${i}` });
+      assert.equal(res.status, 200);
+    }
+
+    const sixth = await t.request('POST', '/api/activate-license', { licenseKey, deviceId: 'station-5' });
+    assert.equal(sixth.status, 409);
+    assert.equal(sixth.body.message, 'Mã đã được sử dụng trên đủ 5 thiết bị');
+  });
+
+  it('nhả thiết bị thì thiết bị khác kích hoạt được', async () => {
+    const { licenseKey } = await t.purchase('premium-1m');
+    await t.request('POST', '/api/activate-license', { licenseKey, deviceId: 'device-a' });
+
+    const released = await t.request('POST', '/api/release-device', { licenseKey, deviceId: 'device-a' });
+    assert.equal(released.status, 200);
+
+    const second = await t.request('POST', '/api/activate-license', { licenseKey, deviceId: 'device-b' });
+    assert.equal(second.status, 200);
+
+    const oldDevice = await t.request('POST', '/api/check-device-license', { deviceId: 'device-a' });
+    assert.equal(oldDevice.body.valid, false);
+  });
+});
+
+describe('hết hạn', () => {
+  let t;
+  beforeEach(async () => { t = await startTestApp(); });
+  afterEach(() => t.close());
+
+  function expire(licenseKey) {
+    const licenses = t.store.collection('licenses');
+    const license = licenses.get(licenseKey);
+    license.expiryDate = new Date(Date.now() - 60 * 1000).toISOString();
+    licenses.set(licenseKey, license);
+  }
+
+  it('thiết bị đang dùng license hết hạn nhận valid: false và được gợi ý gia hạn', async () => {
+    const { licenseKey } = await t.purchase('premium-1m');
+    await t.request('POST', '/api/activate-license', { licenseKey, deviceId: 'device-a' });
+    expire(licenseKey);
+
+    const check = await t.request('POST', '/api/check-device-license', { deviceId: 'device-a' });
+
+    assert.equal(check.status, 403);
+    assert.equal(check.body.code, 'LICENSE_EXPIRED');
+    assert.equal(check.body.valid, false);
+    assert.equal(check.body.message, 'License đã hết hạn');
+    assert.equal(check.body.renewable, true);
+    assert.equal(check.body.licenseToken, undefined);
+  });
+
+  it('không kích hoạt được key đã hết hạn', async () => {
+    const { licenseKey } = await t.purchase('premium-1m');
+    expire(licenseKey);
+
+    const activated = await t.request('POST', '/api/activate-license', { licenseKey, deviceId: 'device-a' });
+
+    assert.equal(activated.status, 403);
+    assert.equal(activated.body.code, 'LICENSE_EXPIRED');
+  });
+
+  it('license trọn đời không bao giờ hết hạn', async () => {
+    const { licenseKey } = await t.purchase('premium-lifetime');
+    await t.request('POST', '/api/activate-license', { licenseKey, deviceId: 'device-a' });
+
+    const check = await t.request('POST', '/api/check-device-license', { deviceId: 'device-a' });
+
+    assert.equal(check.body.valid, true);
+    assert.equal(check.body.lifetime, true);
+    assert.equal(check.body.daysRemaining, null);
+  });
+});
+
+describe('chuyển license sang máy mới', () => {
+  let t;
+  beforeEach(async () => { t = await startTestApp({ TRANSFER_LIMIT: '1' }); });
+  afterEach(() => t.close());
+
+  async function purchaseOn(deviceId) {
+    const order = await t.purchase('premium-1m', { email: 'Khach@Example.com' });
+    await t.request('POST', '/api/activate-license', { licenseKey: order.licenseKey, deviceId });
+    return order;
+  }
+
+  it('mã đơn + email đúng thì gỡ máy cũ, gắn máy mới và ghi history', async () => {
+    const order = await purchaseOn('device-a');
+
+    const res = await t.request('POST', '/api/transfer-license', {
+      licenseKey: order.licenseKey,
+      deviceId: 'device-b',
+      orderId: order.orderId,
+      email: 'khach@example.com'
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.transferred, true);
+    assert.equal(res.body.transfersRemaining, 0);
+    assert.ok(res.body.licenseToken.token);
+
+    assert.equal(t.store.collection('deviceLicenses').get(t.hashDeviceId('device-a')), undefined);
+    const oldDevice = await t.request('POST', '/api/check-device-license', { deviceId: 'device-a' });
+    assert.equal(oldDevice.body.code, 'DEVICE_NOT_REGISTERED');
+    const newDevice = await t.request('POST', '/api/check-device-license', { deviceId: 'device-b' });
+    assert.equal(newDevice.body.valid, true);
+
+    const license = t.store.collection('licenses').get(order.licenseKey);
+    const entry = license.history.find(item => item.action === 'transferred');
+    assert.equal(entry.method, 'order');
+    assert.equal(entry.fromDeviceIdHash, t.hashDeviceId('device-a'));
+    assert.equal(entry.toDeviceIdHash, t.hashDeviceId('device-b'));
+  });
+
+  it('từ chối khi thiếu hoặc sai thông tin xác minh', async () => {
+    const order = await purchaseOn('device-a');
+
+    const missing = await t.request('POST', '/api/transfer-license', {
+      licenseKey: order.licenseKey, deviceId: 'device-b', orderId: order.orderId
+    });
+    assert.equal(missing.status, 400);
+
+    const wrong = await t.request('POST', '/api/transfer-license', {
+      licenseKey: order.licenseKey, deviceId: 'device-b', orderId: order.orderId, email: 'other@example.com'
+    });
+    assert.equal(wrong.status, 403);
+    assert.equal(wrong.body.code, 'TRANSFER_PROOF_INVALID');
+    assert.deepEqual(
+      t.store.collection('licenses').get(order.licenseKey).devices.map(device => device.deviceIdHash),
+      [t.hashDeviceId('device-a')]
+    );
+  });
+
+  it('mã xác nhận gửi qua email chỉ dùng được một lần', async () => {
+    const order = await purchaseOn('device-a');
+    const sent = [];
+    t.mailer.send = async (template, to, data) => { sent.push({ template, to, data }); return true; };
+
+    const requested = await t.request('POST', '/api/transfer-license/request-code', { licenseKey: order.licenseKey });
+    assert.equal(requested.status, 200);
+    assert.equal(sent[0].template, 'transferCode');
+    assert.equal(sent[0].to, 'Khach@Example.com');
+
+    const body = { licenseKey: order.licenseKey, deviceId: 'device-b', code: sent[0].data.code };
+    const res = await t.request('POST', '/api/transfer-license', body);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.transferred, true);
+
+    const reused = await t.request('POST', '/api/transfer-license', { ...body, deviceId: 'device-c' });
+    assert.equal(reused.body.code, 'TRANSFER_PROOF_INVALID');
+  });
+
+  it('giới hạn số lần chuyển trong một khoảng thời gian', async () => {
+    const order = await purchaseOn('device-a');
+    const proof = { licenseKey: order.licenseKey, orderId: order.orderId, email: 'khach@example.com' };
+
+    const first = await t.request('POST', '/api/transfer-license', { ...proof, deviceId: 'device-b' });
+    assert.equal(first.status, 200);
+
+    const second = await t.request('POST', '/api/transfer-license', { ...proof, deviceId: 'device-c' });
+    assert.equal(second.status, 429);
+    assert.equal(second.body.code, 'TRANSFER_LIMIT_REACHED');
+    assert.ok(new Date(second.body.nextTransferAt) > new Date());
+  });
+});
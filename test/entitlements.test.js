@@ -0,0 +1,208 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startTestApp } = require('./helpers/test-app');
+
+function tokenClaims(licenseToken) {
+  return JSON.parse(Buffer.from(licenseToken.token.split('.')[1], 'base64url').toString('utf8'));
+}
+
+// Kiểm tra chữ ký như extension: tìm key theo kid trong GET /api/license-keys
+async function verifiesWithJwks(t, licenseToken) {
+  const [header, payload, signature] = licenseToken.token.split('.');
+  const { kid } = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+  const jwks = await t.request('GET', '/api/license-keys');
+  const jwk = jwks.body.keys.find(key => key.kid === kid);
+  if (!jwk) return false;
+
+  return crypto.verify(
+    null,
+    Buffer.from(`${header}.${payload}`),
+    crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+    Buffer.from(signature, 'base64url')
+  );
+}
+
+describe('entitlements', () => {
+  let t;
+  beforeEach(async () => { t = await startTestApp(); });
+  afterEach(() => t.close());
+
+  async function activate(planId, deviceId) {
+    const { licenseKey } = await t.purchase(planId);
+    const res = await t.request('POST', '/api/activate-license', { licenseKey, deviceId });
+    return { licenseKey, res };
+  }
+
+  it('activate / check trả tính năng theo gói, token mang theo để dùng offline', async () => {
+    const basic = await activate('premium-1m', 'device-a');
+    assert.deepEqual(basic.res.body.entitlements.features, {
+      videoRecording: true, multiCamera: false, cloudUpload: false
+    });
+    assert.equal(basic.res.body.entitlements.limits.maxCameras, 1);
+
+    await activate('station-1y', 'device-b');
+    const check = await t.request('POST', '/api/check-device-license', { deviceId: 'device-b' });
+    assert.equal(check.body.entitlements.features.multiCamera, true);
+    assert.equal(check.body.entitlements.features.cloudUpload, true);
+    assert.equal(check.body.entitlements.limits.maxCameras, 4);
+    assert.deepEqual(tokenClaims(check.body.licenseToken).entitlements, check.body.entitlements);
+
+    const plans = await t.request('GET', '/api/plans');
+    const station = plans.body.plans.find(plan => plan.id === 'station-1y');
+    assert.equal(station.entitlements.features.cloudUpload, true);
+  });
+
+  it('admin ghi đè tính năng / giới hạn cho từng license', async () => {
+    const { licenseKey } = await activate('premium-1m', 'device-a');
+
+    const override = await t.admin('POST', `/api/admin/licenses/${licenseKey}/entitlements`, {
+      features: { cloudUpload: true },
+      limits: { maxCameras: 2 },
+      reason: 'khách VIP'
+    });
+    assert.equal(override.status, 200);
+    assert.deepEqual(override.body.overrides, { features: { cloudUpload: true }, limits: { maxCameras: 2 } });
+
+    const check = await t.request('POST', '/api/check-device-license', { deviceId: 'device-a' });
+    assert.equal(check.body.entitlements.features.cloudUpload, true);
+    assert.equal(check.body.entitlements.limits.maxCameras, 2);
+
+    const removed = await t.admin('POST', `/api/admin/licenses/${licenseKey}/entitlements`, {
+      limits: { maxCameras: null }
+    });
+    assert.equal(removed.body.entitlements.limits.maxCameras, 1);
+    assert.equal(removed.body.entitlements.features.cloudUpload, true);
+
+    const reset = await t.admin('POST', `/api/admin/licenses/${licenseKey}/entitlements`, { reset: true });
+    assert.deepEqual(reset.body.overrides, {});
+    assert.equal(reset.body.entitlements.features.cloudUpload, false);
+
+    const detail = await t.admin('GET', `/api/admin/licenses/${licenseKey}`);
+    assert.equal(detail.body.history.filter(entry => entry.action === 'entitlements_changed').length, 3);
+
+    const unknown = await t.admin('POST', `/api/admin/licenses/${licenseKey}/entitlements`, {
+      features: { teleport: true }
+    });
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.details[0].rule, 'unknown_key');
+  });
+});
+
+describe('remote-config', () => {
+  let t;
+  beforeEach(async () => { t = await startTestApp({ MIN_EXTENSION_VERSION: '2.0.0' }); });
+  afterEach(() => t.close());
+
+  it('trả phiên bản tối thiểu từ env và báo extension cũ cần cập nhật', async () => {
+    const old = await t.request('GET', '/api/remote-config?version=1.9.5');
+    assert.equal(old.status, 200);
+    assert.equal(old.body.minExtensionVersion, '2.0.0');
+    assert.equal(old.body.updateRequired, true);
+    assert.deepEqual(old.body.flags, {});
+
+    const current = await t.request('GET', '/api/remote-config?version=2.0');
+    assert.equal(current.body.updateRequired, false);
+
+    const bad = await t.request('GET', '/api/remote-config?version=abc');
+    assert.equal(bad.status, 400);
+  });
+
+  it('admin bật / tắt flag và đổi phiên bản lúc chạy', async () => {
+    await t.admin('POST', '/api/admin/remote-config', {
+      flags: { cloudUpload: false, newScanner: true },
+      latestExtensionVersion: '2.3.0',
+      message: 'Cloud đang bảo trì'
+    });
+    const updated = await t.admin('POST', '/api/admin/remote-config', {
+      flags: { newScanner: null },
+      minExtensionVersion: '2.1.0'
+    });
+    assert.equal(updated.body.config.updatedBy, 'tester');
+
+    const res = await t.request('GET', '/api/remote-config?version=2.1.0');
+    assert.deepEqual(res.body.flags, { cloudUpload: false });
+    assert.equal(res.body.minExtensionVersion, '2.1.0');
+    assert.equal(res.body.updateRequired, false);
+    assert.equal(res.body.updateAvailable, true);
+    assert.equal(res.body.message, 'Cloud đang bảo trì');
+
+    const bad = await t.admin('POST', '/api/admin/remote-config', { flags: { 'bad flag': true } });
+    assert.equal(bad.status, 400);
+  });
+
+  it('chỉ lưu field admin đã đặt, phiên bản tối thiểu vẫn theo env cho tới khi bị ghi đè', async () => {
+    await t.admin('POST', '/api/admin/remote-config', { flags: { cloudUpload: false } });
+
+    const saved = t.store.collection('settings').get('remoteConfig');
+    assert.equal(saved.minExtensionVersion, undefined);
+    assert.deepEqual(saved.flags, { cloudUpload: false });
+
+    await t.admin('POST', '/api/admin/remote-config', { minExtensionVersion: '2.2.0' });
+    const overridden = await t.request('GET', '/api/remote-config');
+    assert.equal(overridden.body.minExtensionVersion, '2.2.0');
+
+    const reset = await t.admin('POST', '/api/admin/remote-config', { minExtensionVersion: null });
+    assert.equal(reset.body.config.minExtensionVersion, '2.0.0');
+    assert.deepEqual(reset.body.config.flags, { cloudUpload: false });
+    assert.equal(t.store.collection('settings').get('remoteConfig').minExtensionVersion, undefined);
+  });
+});
+
+describe('offline license token', () => {
+  let t;
+  beforeEach(async () => { t = await startTestApp(); });
+  afterEach(() => t.close());
+
+  async function activate(deviceId = 'device-a') {
+    const { licenseKey } = await t.purchase('premium-1m');
+    const res = await t.request('POST', '/api/activate-license', { licenseKey, deviceId });
+    return { licenseKey, licenseToken: res.body.licenseToken };
+  }
+
+  it('refresh trả token mới cho thiết bị đã gắn license', async () => {
+    const { licenseKey, licenseToken } = await activate();
+
+    const refreshed = await t.request('POST', '/api/refresh-license-token', { deviceId: 'device-a' });
+    assert.equal(refreshed.status, 200);
+    assert.equal(await verifiesWithJwks(t, refreshed.body.licenseToken), true);
+
+    const claims = tokenClaims(refreshed.body.licenseToken);
+    assert.equal(claims.sub, licenseKey);
+    assert.equal(claims.dev, t.hashDeviceId('device-a'));
+    assert.ok(claims.exp >= tokenClaims(licenseToken).exp);
+
+    const unknown = await t.request('POST', '/api/refresh-license-token', { deviceId: 'device-z' });
+    assert.equal(unknown.body.code, 'DEVICE_NOT_REGISTERED');
+  });
+
+  it('xoay khóa: token ký bằng khóa cũ vẫn kiểm tra được, token mới dùng kid mới', async () => {
+    const { licenseToken: oldToken } = await activate();
+
+    const rotated = await t.admin('POST', '/api/admin/signing-keys/rotate');
+    assert.equal(rotated.status, 200);
+    assert.notEqual(rotated.body.key.kid, oldToken.kid);
+
+    assert.equal(await verifiesWithJwks(t, oldToken), true);
+
+    const refreshed = await t.request('POST', '/api/refresh-license-token', { deviceId: 'device-a' });
+    assert.equal(refreshed.body.licenseToken.kid, rotated.body.key.kid);
+    assert.equal(await verifiesWithJwks(t, refreshed.body.licenseToken), true);
+
+    const keys = await t.admin('GET', '/api/admin/signing-keys');
+    assert.deepEqual(keys.body.keys.map(key => [key.status, key.published]).sort(), [
+      ['active', true], ['retired', true]
+    ]);
+  });
+
+  it('không cấp lại token cho license đã bị thu hồi', async () => {
+    const { licenseKey } = await activate();
+
+    await t.admin('POST', `/api/admin/licenses/${licenseKey}/revoke`, { reason: 'gian lận' });
+
+    const refreshed = await t.request('POST', '/api/refresh-license-token', { deviceId: 'device-a' });
+    assert.equal(refreshed.status, 403);
+    assert.equal(refreshed.body.code, 'LICENSE_REVOKED');
+    assert.equal(refreshed.body.licenseToken, undefined);
+  });
+});
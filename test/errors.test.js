@@ -0,0 +1,161 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/test-app');
+
+describe('validation + error contract', () => {
+  let t;
+  beforeEach(async () => { t = await startTestApp(); });
+  afterEach(() => t.close());
+
+  it('licenseKey không phải chuỗi trả 400 VALIDATION_ERROR thay vì 500', async () => {
+    const res = await t.request('POST', '/api/activate-license', { licenseKey: 12345, deviceId: 'device-a' });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.success, false);
+    assert.equal(res.body.code, 'VALIDATION_ERROR');
+    assert.deepEqual(res.body.details.map(detail => [detail.field, detail.rule]), [['body.licenseKey', 'string']]);
+  });
+
+  it('liệt kê mọi field sai trong details', async () => {
+    const res = await t.request('POST', '/api/create-payment', { email: 'abc', deviceId: ['x'] });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.details.map(detail => detail.field).sort(), [
+      'body.deviceId', 'body.email', 'body.planId'
+    ]);
+  });
+
+  it('thông báo theo Accept-Language, mặc định tiếng Việt', async () => {
+    const body = { licenseKey: 'PACK-0000-0000-0000-0000', deviceId: 'device-a' };
+
+    const vi = await t.request('POST', '/api/activate-license', body);
+    assert.equal(vi.status, 404);
+    assert.equal(vi.body.code, 'LICENSE_NOT_FOUND');
+    assert.equal(vi.body.message, 'Mã kích hoạt không tồn tại');
+
+    const en = await t.request('POST', '/api/activate-license', body, { 'Accept-Language': 'en-US,en;q=0.9' });
+    assert.equal(en.body.code, 'LICENSE_NOT_FOUND');
+    assert.equal(en.body.message, 'License key not found');
+
+    const invalid = await t.request('POST', '/api/activate-license', {}, { 'Accept-Language': 'en' });
+    assert.equal(invalid.body.details[0].message, 'licenseKey is required');
+  });
+
+  it('JSON hỏng và API không tồn tại cũng trả cùng dạng lỗi', async () => {
+    const response = await fetch(`${t.baseUrl}/api/activate-license`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{"licenseKey":'
+    });
+    const broken = await response.json();
+    assert.equal(response.status, 400);
+    assert.equal(broken.code, 'INVALID_JSON');
+
+    const missing = await t.request('GET', '/api/nope');
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.code, 'ROUTE_NOT_FOUND');
+  });
+
+  it('orderId sai định dạng bị chặn trước khi tra cứu', async () => {
+    const res = await t.request('GET', '/api/get-license/abc');
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.details[0].field, 'params.orderId');
+  });
+
+  it('batchId sai định dạng bị chặn trước khi tra cứu', async () => {
+    const created = await t.admin('POST', '/api/admin/resellers', { name: 'Đại lý A' });
+    const headers = { 'x-reseller-key': created.body.apiKey };
+
+    const invalid = await t.request('GET', '/api/reseller/batches/not-a-batch', undefined, headers);
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.details[0].field, 'params.batchId');
+
+    const missing = await t.request('GET', '/api/reseller/batches/batch-0000000000/export.csv', undefined, headers);
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.code, 'BATCH_NOT_FOUND');
+  });
+
+  it('coupon không hợp lệ trả mã COUPON_INVALID', async () => {
+    const res = await t.request('POST', '/api/validate-coupon', { couponCode: 'NOPE', planId: 'premium-1m' });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'COUPON_INVALID');
+    assert.equal(res.body.valid, false);
+  });
+
+  it('admin: lỗi dữ liệu coupon nằm trong details', async () => {
+    const res = await t.admin('POST', '/api/admin/coupons', { code: 'SALE10', type: 'percent', value: 150 });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'VALIDATION_ERROR');
+    assert.equal(res.body.details[0].field, 'body.value');
+  });
+
+  it('admin: tạo / sửa coupon kiểm tra bằng schema, null xóa giá trị', async () => {
+    const invalid = await t.admin('POST', '/api/admin/coupons', { code: 'x', type: 'gift', value: '10', planIds: 'all' });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.body.details.map(detail => [detail.field, detail.rule]).sort(), [
+      ['body.code', 'format'], ['body.planIds', 'array'], ['body.type', 'one_of']
+    ]);
+
+    const created = await t.admin('POST', '/api/admin/coupons', {
+      code: 'sale10', type: 'percent', value: '10', endsAt: '2099-01-01T00:00:00Z', planIds: ['premium-1m']
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.coupon.code, 'SALE10');
+    assert.equal(created.body.coupon.value, 10);
+
+    const unknownPlan = await t.admin('POST', '/api/admin/coupons/SALE10', { planIds: ['nope'] });
+    assert.equal(unknownPlan.body.details[0].field, 'body.planIds');
+
+    const updated = await t.admin('POST', '/api/admin/coupons/sale10', { endsAt: null, redeemedCount: 99 });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.coupon.endsAt, null);
+    assert.equal(updated.body.coupon.redeemedCount, 0);
+    assert.deepEqual(updated.body.coupon.planIds, ['premium-1m']);
+  });
+
+  it('admin: lỗi khi hoàn tiền trả INTERNAL_ERROR thay vì treo request', async () => {
+    const { orderId } = await t.purchase('premium-1m');
+    t.fulfillment.refundPayment = async () => { throw new Error('store write failed'); };
+
+    const res = await t.admin('POST', `/api/admin/payments/${orderId}/refund`, { reason: 'test' });
+
+    assert.equal(res.status, 500);
+    assert.equal(res.body.code, 'INTERNAL_ERROR');
+  });
+
+  it('admin: lỗi nội bộ khi đối soát hàng loạt trả INTERNAL_ERROR, không lộ chi tiết', async () => {
+    t.reconciler.runOnce = async () => { throw new Error('store write failed'); };
+
+    const res = await t.admin('POST', '/api/admin/reconcile');
+
+    assert.equal(res.status, 500);
+    assert.equal(res.body.code, 'INTERNAL_ERROR');
+    assert.equal(res.body.detail, undefined);
+  });
+
+  it('admin: PayOS lỗi khi đối soát một order trả PAYOS_ERROR', async () => {
+    const created = await t.request('POST', '/api/create-payment', { planId: 'premium-1m' });
+    t.payos.orders.delete(String(created.body.orderId));
+
+    const res = await t.admin('POST', `/api/admin/payments/${created.body.orderId}/reconcile`);
+
+    assert.equal(res.status, 502);
+    assert.equal(res.body.code, 'PAYOS_ERROR');
+    assert.equal(res.body.detail, undefined);
+  });
+
+  it('admin: lỗi khi duyệt review queue trả INTERNAL_ERROR', async () => {
+    const created = await t.request('POST', '/api/create-payment', { planId: 'premium-1m' });
+    await t.request('POST', '/api/payos-webhook', t.webhookPayload({ orderCode: created.body.orderId, amount: 1000 }));
+    const review = await t.admin('GET', '/api/admin/review-queue');
+    t.fulfillment.fulfill = async () => { throw new Error('lock failed'); };
+
+    const res = await t.admin('POST', `/api/admin/review-queue/${review.body.items[0].id}/resolve`, { action: 'fulfill' });
+
+    assert.equal(res.status, 500);
+    assert.equal(res.body.code, 'INTERNAL_ERROR');
+  });
+});
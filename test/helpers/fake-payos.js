@@ -0,0 +1,101 @@
+// ============================================
+// FAKE PAYOS (HTTP server giả lập API merchant của PayOS cho test)
+// ============================================
+// Giữ order trong RAM, ghi lại mọi request nhận được để test kiểm tra chữ ký.
+// Đổi trạng thái order bằng setStatus() (giống khách thanh toán / hủy trên PayOS).
+const http = require('http');
+const crypto = require('crypto');
+
+// Ký giống PayOS: key=value sắp xếp theo key, nối bằng &, HMAC-SHA256 với checksum key
+function sign(data, checksumKey) {
+  const payload = Object.keys(data)
+    .sort()
+    .map(key => `${key}=${data[key] === null || data[key] === undefined ? '' : data[key]}`)
+    .join('&');
+  return crypto.createHmac('sha256', checksumKey).update(payload).digest('hex');
+}
+
+function readBody(req) {
+  return new Promise(resolve => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => resolve(raw ? JSON.parse(raw) : {}));
+  });
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.checksumKey]
+ * @returns {Promise<{ url: string, orders: Map, requests: object[],
+ *   setStatus: (orderCode, status) => void, close: () => Promise<void> }>}
+ */
+async function startFakePayos({ checksumKey = 'test-checksum-key' } = {}) {
+  const orders = new Map();   // orderCode -> { ...paymentData, status }
+  const requests = [];        // { method, path, headers, body }
+
+  function reply(res, body) {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const body = await readBody(req);
+    requests.push({ method: req.method, path: req.url, headers: req.headers, body });
+
+    const match = req.url.match(/^\/v2\/payment-requests(?:\/([^/]+))?(\/cancel)?$/);
+    if (!match) {
+      res.writeHead(404);
+      return res.end();
+    }
+    const [, orderCode, cancel] = match;
+
+    if (req.method === 'POST' && !orderCode) {
+      orders.set(String(body.orderCode), { ...body, status: 'PENDING' });
+      return reply(res, {
+        code: '00',
+        desc: 'success',
+        data: { orderCode: body.orderCode, checkoutUrl: `https://pay.payos.test/${body.orderCode}` }
+      });
+    }
+
+    const order = orders.get(orderCode);
+    if (!order) {
+      return reply(res, { code: '101', desc: 'Không tìm thấy đơn thanh toán' });
+    }
+
+    if (req.method === 'POST' && cancel) {
+      if (order.status !== 'PENDING') {
+        return reply(res, { code: '101', desc: 'Đơn thanh toán không thể hủy' });
+      }
+      order.status = 'CANCELLED';
+      order.cancellationReason = body.cancellationReason || null;
+      return reply(res, { code: '00', desc: 'success', data: order });
+    }
+
+    reply(res, {
+      code: '00',
+      desc: 'success',
+      data: {
+        orderCode: Number(orderCode),
+        amount: order.amount,
+        amountPaid: order.status === 'PAID' ? order.amount : 0,
+        status: order.status,
+        cancellationReason: order.cancellationReason || null
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    orders,
+    requests,
+    setStatus(orderCode, status) {
+      orders.get(String(orderCode)).status = status;
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { startFakePayos, sign };
@@ -0,0 +1,114 @@
+// ============================================
+// TEST APP (createApp + PayOS giả, mỗi test một instance sạch)
+// ============================================
+// Log tắt mặc định; chạy LOG_LEVEL=debug npm test để xem log khi debug test.
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const { createApp } = require('../../app');
+const { loadConfig } = require('../../lib/config');
+const { hashDeviceId } = require('../../lib/licenses');
+const { startFakePayos, sign } = require('./fake-payos');
+
+const CHECKSUM_KEY = 'test-checksum-key';
+const ADMIN_KEY = 'test-admin-key';
+
+/**
+ * @param {object} [env] - ghi đè env truyền vào loadConfig
+ */
+async function startTestApp(env = {}) {
+  const payos = await startFakePayos({ checksumKey: CHECKSUM_KEY });
+
+  const config = loadConfig({
+    PAYOS_CLIENT_ID: 'test-client',
+    PAYOS_API_KEY: 'test-api-key',
+    PAYOS_CHECKSUM_KEY: CHECKSUM_KEY,
+    PAYOS_BASE_URL: payos.url,
+    PUBLIC_BASE_URL: 'https://packing.test',
+    STORAGE_DRIVER: 'memory',
+    ADMIN_API_KEYS: `tester:${ADMIN_KEY}`,
+    TRUST_PROXY_HOPS: '0',
+    ...env
+  });
+
+  const instance = createApp(config);
+  const server = await new Promise(resolve => {
+    const listening = instance.app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * @returns {Promise<{ status: number, headers: Headers, body: any }>}
+   *   body là JSON nếu response là JSON, ngược lại là text
+   */
+  async function request(method, path, body, headers = {}) {
+    const response = await fetch(baseUrl + path, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : text };
+  }
+
+  // Webhook đúng định dạng PayOS gửi, ký bằng checksum key của test
+  function webhookPayload(data, { code = '00', success = true, checksumKey = CHECKSUM_KEY } = {}) {
+    const fullData = {
+      orderCode: data.orderCode,
+      amount: data.amount,
+      description: 'Premium',
+      accountNumber: '12345678',
+      reference: `REF${data.orderCode}`,
+      transactionDateTime: '2024-01-01 10:00:00',
+      currency: 'VND',
+      paymentLinkId: `link-${data.orderCode}`,
+      code,
+      desc: 'success',
+      ...data
+    };
+    return { code, desc: 'success', success, data: fullData, signature: sign(fullData, checksumKey) };
+  }
+
+  // Webhook thanh toán thành công cho order vừa tạo (create-payment, renew, upgrade...)
+  function pay(order) {
+    return request('POST', '/api/payos-webhook', webhookPayload({
+      orderCode: order.orderId,
+      amount: order.amount
+    }));
+  }
+
+  // Tạo payment rồi cho webhook thanh toán thành công, trả về license key
+  async function purchase(planId = 'premium-1m', body = {}) {
+    const created = await request('POST', '/api/create-payment', { planId, ...body });
+    await pay(created.body);
+    const lookup = await request('GET', `/api/get-license/${created.body.orderId}`, undefined, {
+      'x-order-secret': created.body.clientSecret
+    });
+    return { ...created.body, licenseKey: lookup.body.licenseKey };
+  }
+
+  return {
+    baseUrl,
+    config,
+    store: instance.store,
+    payos,
+    mailer: instance.mailer,
+    fulfillment: instance.fulfillment,
+    reconciler: instance.reconciler,
+    webhooks: instance.webhooks,
+    request,
+    admin: (method, path, body) => request(method, path, body, { 'x-admin-key': ADMIN_KEY }),
+    webhookPayload,
+    pay,
+    purchase,
+    hashDeviceId,
+    async close() {
+      instance.paymentEvents.closeAll();
+      instance.webhooks.stop();
+      await new Promise(resolve => server.close(resolve));
+      await payos.close();
+    }
+  };
+}
+
+module.exports = { startTestApp, CHECKSUM_KEY };
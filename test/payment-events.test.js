@@ -0,0 +1,100 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/test-app');
+
+// Mở stream SSE, next() trả event kế tiếp { event, data } hoặc null khi server đóng stream
+async function openEvents(t, path) {
+  const response = await fetch(t.baseUrl + path);
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  async function next() {
+    for (;;) {
+      const end = buffer.indexOf('\n\n');
+      if (end !== -1) {
+        const block = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const fields = Object.fromEntries(block.split('\n')
+          .filter(line => line && !line.startsWith(':'))
+          .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 1).trim()]));
+        if (fields.event) return { event: fields.event, data: JSON.parse(fields.data) };
+        continue;
+      }
+      const { value, done } = await reader.read();
+      if (done) return null;
+      buffer += decoder.decode(value, { stream: true });
+    }
+  }
+
+  return { response, next };
+}
+
+describe('payment-events (SSE)', () => {
+  let t;
+  beforeEach(async () => { t = await startTestApp(); });
+  afterEach(() => t.close());
+
+  async function createOrder() {
+    return (await t.request('POST', '/api/create-payment', { planId: 'premium-1m' })).body;
+  }
+
+  function eventsPath(order) {
+    return `/api/payment-events/${order.orderId}?secret=${encodeURIComponent(order.clientSecret)}`;
+  }
+
+  it('đẩy pending rồi license ngay khi webhook tới, sau đó đóng stream', async () => {
+    const order = await createOrder();
+    const events = await openEvents(t, eventsPath(order));
+
+    assert.equal(events.response.status, 200);
+    assert.match(events.response.headers.get('content-type'), /text\/event-stream/);
+
+    const first = await events.next();
+    assert.equal(first.event, 'status');
+    assert.equal(first.data.status, 'pending');
+    assert.equal(first.data.code, 'PAYMENT_PENDING');
+
+    await t.request('POST', '/api/payos-webhook', t.webhookPayload({
+      orderCode: order.orderId,
+      amount: order.amount
+    }));
+
+    const paid = await events.next();
+    assert.equal(paid.data.status, 'completed');
+    assert.match(paid.data.licenseKey, /^PACK-/);
+
+    assert.equal(await events.next(), null);
+  });
+
+  it('đẩy trạng thái hủy khi khách hủy thanh toán', async () => {
+    const order = await createOrder();
+    const events = await openEvents(t, eventsPath(order));
+    await events.next();
+
+    await t.request('POST', `/api/cancel-payment/${order.orderId}`, {}, { 'x-order-secret': order.clientSecret });
+
+    const cancelled = await events.next();
+    assert.equal(cancelled.data.status, 'cancelled');
+    assert.equal(cancelled.data.code, 'PAYMENT_CANCELLED');
+    assert.equal(await events.next(), null);
+  });
+
+  it('order đã thanh toán trả ngay trạng thái cuối rồi đóng', async () => {
+    const order = await t.purchase('premium-1m');
+    const events = await openEvents(t, eventsPath(order));
+
+    const current = await events.next();
+    assert.equal(current.data.licenseKey, order.licenseKey);
+    assert.equal(await events.next(), null);
+  });
+
+  it('sai mã bí mật trả lỗi JSON, không mở stream', async () => {
+    const order = await createOrder();
+
+    const res = await t.request('GET', `/api/payment-events/${order.orderId}?secret=wrong`);
+
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, 'ORDER_SECRET_INVALID');
+  });
+});
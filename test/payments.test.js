@@ -0,0 +1,453 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, CHECKSUM_KEY } = require('./helpers/test-app');
+const { sign } = require('./helpers/fake-payos');
+const { createLicenseRecord } = require('../lib/licenses');
+const { sendExpiryReminders } = require('../lib/reminders');
+
+describe('create-payment', () => {
+  let t;
+  beforeEach(async () => { t = await startTestApp(); });
+  afterEach(() => t.close());
+
+  it('gửi PayOS request đã ký với giá từ catalog và return URL từ config', async () => {
+    const res = await t.request('POST', '/api/create-payment', { planId: 'premium-1y', amount: 1 });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.amount, 399000);
+    assert.ok(res.body.clientSecret);
+
+    const sent = t.payos.requests.find(item => item.path === '/v2/payment-requests');
+    assert.equal(sent.headers['x-client-id'], 'test-client');
+    assert.equal(sent.headers['x-api-key'], 'test-api-key');
+    assert.equal(sent.body.orderCode, res.body.orderId);
+    assert.equal(sent.body.amount, 399000);
+    assert.equal(sent.body.returnUrl, 'https://packing.test/api/payment-success');
+    assert.equal(sent.body.cancelUrl, 'https://packing.test/api/payment-success');
+    assert.ok(sent.body.description.length <= 25);
+    assert.ok(sent.body.expiredAt > Date.now() / 1000);
+
+    const { amount, cancelUrl, description, orderCode, returnUrl } = sent.body;
+    assert.equal(sent.body.signature, sign({ amount, cancelUrl, description, orderCode, returnUrl }, CHECKSUM_KEY));
+  });
+
+  it('từ chối gói không tồn tại và email sai', async () => {
+    const unknownPlan = await t.request('POST', '/api/create-payment', { planId: 'nope' });
+    assert.equal(unknownPlan.status, 400);
+
+    const badEmail = await t.request('POST', '/api/create-payment', { planId: 'premium-1m', email: 'abc' });
+    assert.equal(badEmail.status, 400);
+
+    assert.equal(t.payos.requests.length, 0);
+  });
+
+  it('get-license bắt buộc mã bí mật của đơn', async () => {
+    const created = await t.request('POST', '/api/create-payment', { planId: 'premium-1m' });
+
+    const withoutSecret = await t.request('GET', `/api/get-license/${created.body.orderId}`);
+    assert.equal(withoutSecret.status, 403);
+
+    const pending = await t.request('GET', `/api/get-license/${created.body.orderId}`, undefined, {
+      'x-order-secret': created.body.clientSecret
+    });
+    assert.equal(pending.body.status, 'pending');
+  });
+
+  it('resend-license gửi lại mã một lần rồi chờ, câu trả lời không đổi', async () => {
+    await t.purchase('premium-1m', { email: 'khach@example.com' });
+    const sent = [];
+    t.mailer.send = async (template, to) => { sent.push({ template, to }); return true; };
+
+    const first = await t.request('POST', '/api/resend-license', { email: 'Khach@Example.com' });
+    const second = await t.request('POST', '/api/resend-license', { email: 'khach@example.com' });
+    const unknown = await t.request('POST', '/api/resend-license', { email: 'ai@example.com' });
+
+    assert.deepEqual(sent, [{ template: 'licenseList', to: 'khach@example.com' }]);
+    assert.deepEqual(second.body, first.body);
+    assert.deepEqual(unknown.body, first.body);
+  });
+});
+
+describe('payos-webhook', () => {
+  let t;
+  beforeEach(async () => { t = await startTestApp(); });
+  afterEach(() => t.close());
+
+  async function createOrder(planId = 'premium-1m') {
+    const res = await t.request('POST', '/api/create-payment', { planId });
+    return res.body;
+  }
+
+  function getLicense(order) {
+    return t.request('GET', `/api/get-license/${order.orderId}`, undefined, {
+      'x-order-secret': order.clientSecret
+    });
+  }
+
+  it('webhook hợp lệ phát hành license cho đơn', async () => {
+    const order = await createOrder('premium-1m');
+
+    const res = await t.request('POST', '/api/payos-webhook', t.webhookPayload({
+      orderCode: order.orderId,
+      amount: order.amount
+    }));
+    assert.equal(res.status, 200);
+
+    const lookup = await getLicense(order);
+    assert.equal(lookup.body.status, 'completed');
+    assert.match(lookup.body.licenseKey, /^PACK(-[0-9A-F]{4}){4}$/);
+
+    const license = t.store.collection('licenses').get(lookup.body.licenseKey);
+    assert.equal(license.planId, 'premium-1m');
+    assert.equal(license.status, 'active');
+    const days = (new Date(license.expiryDate) - Date.now()) / 86400000;
+    assert.ok(days > 29.9 && days <= 30);
+  });
+
+  it('webhook trùng (PayOS retry) không phát hành license thứ hai', async () => {
+    const order = await createOrder();
+    const payload = t.webhookPayload({ orderCode: order.orderId, amount: order.amount });
+
+    await t.request('POST', '/api/payos-webhook', payload);
+    await t.request('POST', '/api/payos-webhook', payload);
+
+    assert.equal(t.store.collection('licenses').size, 1);
+  });
+
+  it('webhook sai chữ ký bị từ chối và không phát hành license', async () => {
+    const order = await createOrder();
+
+    const res = await t.request('POST', '/api/payos-webhook', t.webhookPayload(
+      { orderCode: order.orderId, amount: order.amount },
+      { checksumKey: 'wrong-key' }
+    ));
+
+    assert.equal(res.status, 401);
+    assert.equal((await getLicense(order)).body.status, 'pending');
+    assert.equal(t.store.collection('licenses').size, 0);
+  });
+
+  it('webhook sai số tiền đưa order vào review queue', async () => {
+    const order = await createOrder();
+
+    await t.request('POST', '/api/payos-webhook', t.webhookPayload({
+      orderCode: order.orderId,
+      amount: order.amount - 1000
+    }));
+
+    assert.equal((await getLicense(order)).body.status, 'pending');
+    const review = await t.admin('GET', '/api/admin/review-queue');
+    assert.equal(review.body.items[0].reason, 'amount_mismatch');
+  });
+
+  it('webhook báo thất bại không phát hành license', async () => {
+    const order = await createOrder();
+
+    await t.request('POST', '/api/payos-webhook', t.webhookPayload(
+      { orderCode: order.orderId, amount: order.amount },
+      { code: '01', success: false }
+    ));
+
+    assert.equal(t.store.collection('licenses').size, 0);
+  });
+});
+
+describe('payment-success (return page)', () => {
+  let t;
+  beforeEach(async () => { t = await startTestApp(); });
+  afterEach(() => t.close());
+
+  it('hỏi PayOS khi order còn pending và phát hành license nếu đã thanh toán', async () => {
+    const created = await t.request('POST', '/api/create-payment', { planId: 'premium-1m' });
+    t.payos.setStatus(created.body.orderId, 'PAID');
+
+    const page = await t.request('GET', `/api/payment-success?code=00&status=PAID&orderCode=${created.body.orderId}`);
+
+    assert.equal(page.status, 200);
+    assert.match(page.body, /Thanh toán thành công/);
+    assert.equal(t.store.collection('payments').get(String(created.body.orderId)).status, 'paid');
+  });
+
+  it('không tin query string khi PayOS chưa xác nhận thanh toán', async () => {
+    const created = await t.request('POST', '/api/create-payment', { planId: 'premium-1m' });
+
+    const page = await t.request('GET', `/api/payment-success?code=00&status=PAID&orderCode=${created.body.orderId}`);
+
+    assert.doesNotMatch(page.body, /Thanh toán thành công/);
+    assert.equal(t.store.collection('payments').get(String(created.body.orderId)).status, 'pending');
+    assert.equal(t.store.collection('licenses').size, 0);
+  });
+
+  it('đóng order khi khách hủy trên PayOS', async () => {
+    const created = await t.request('POST', '/api/create-payment', { planId: 'premium-1m' });
+    t.payos.setStatus(created.body.orderId, 'CANCELLED');
+
+    const page = await t.request('GET', `/api/payment-success?cancel=true&status=CANCELLED&orderCode=${created.body.orderId}`);
+
+    assert.match(page.body, /hủy/i);
+    assert.equal(t.store.collection('payments').get(String(created.body.orderId)).status, 'cancelled');
+  });
+});
+
+describe('metrics', () => {
+  let a;
+  let b;
+  beforeEach(async () => { [a, b] = await Promise.all([startTestApp(), startTestApp()]); });
+  afterEach(() => Promise.all([a.close(), b.close()]));
+
+  it('mỗi app có registry riêng, số liệu không lẫn sang app khác', async () => {
+    await a.purchase('premium-1m');
+
+    const own = await a.request('GET', '/metrics');
+    assert.match(own.body, /packing_payments_completed_total\{type="new",plan="premium-1m"\} 1/);
+    assert.match(own.body, /packing_licenses_issued_total\{plan="premium-1m"\} 1/);
+    assert.match(own.body, /packing_licenses\{status="active"\} 1/);
+
+    const other = await b.request('GET', '/metrics');
+    assert.doesNotMatch(other.body, /packing_payments_completed_total\{/);
+    assert.doesNotMatch(other.body, /packing_licenses_issued_total\{/);
+    assert.doesNotMatch(other.body, /packing_licenses\{/);
+  });
+});
+
+describe('gia hạn / nâng cấp', () => {
+  let t;
+  beforeEach(async () => { t = await startTestApp(); });
+  afterEach(() => t.close());
+
+  it('gia hạn sang gói khác bị từ chối, đổi gói phải qua nâng cấp', async () => {
+    const { licenseKey } = await t.purchase('premium-1m');
+
+    const other = await t.request('POST', '/api/renew-license', { licenseKey, planId: 'premium-1y' });
+    assert.equal(other.status, 400);
+    assert.equal(other.body.code, 'INVALID_RENEWAL_PLAN');
+
+    const same = await t.request('POST', '/api/renew-license', { licenseKey, planId: 'premium-1m' });
+    assert.equal(same.status, 200);
+    assert.equal(same.body.amount, 49000);
+  });
+
+  it('gia hạn / nâng cấp giữ số máy admin đã nâng', async () => {
+    const { licenseKey } = await t.purchase('premium-1m');
+    const raised = await t.admin('POST', `/api/admin/licenses/${licenseKey}/seats`, { seats: 3 });
+    assert.equal(raised.status, 200);
+
+    const renewal = await t.request('POST', '/api/renew-license', { licenseKey });
+    assert.equal(renewal.status, 200);
+    await t.pay(renewal.body);
+    assert.equal(t.store.collection('licenses').get(licenseKey).seats, 3);
+
+    const upgrade = await t.request('POST', '/api/upgrade-license', { licenseKey, planId: 'premium-1y' });
+    assert.equal(upgrade.status, 200);
+    await t.pay(upgrade.body);
+
+    const upgraded = t.store.collection('licenses').get(licenseKey);
+    assert.equal(upgraded.planId, 'premium-1y');
+    assert.equal(upgraded.seats, 3);
+  });
+
+  it('license cũ chưa có gói trong catalog được chuyển sang gói đã gia hạn', async () => {
+    const legacy = createLicenseRecord({ expiryDate: new Date(Date.now() + 86400000).toISOString() });
+    t.store.collection('licenses').set(legacy.key, legacy);
+
+    const renewal = await t.request('POST', '/api/renew-license', { licenseKey: legacy.key, planId: 'premium-1y' });
+    assert.equal(renewal.status, 200);
+    await t.pay(renewal.body);
+
+    const renewed = t.store.collection('licenses').get(legacy.key);
+    assert.equal(renewed.planId, 'premium-1y');
+    const days = (new Date(renewed.expiryDate) - Date.now()) / 86400000;
+    assert.ok(days > 365.9 && days <= 366);
+  });
+
+  it('nâng cấp khi còn nhiều hạn hơn giá gói mới thì phần dư thành ngày cộng thêm', async () => {
+    const { licenseKey } = await t.purchase('premium-1y');
+    const license = t.store.collection('licenses').get(licenseKey);
+    // Đã trả trước 5 năm: còn ~1.995.000đ, gói station-1y giá 1.490.000đ
+    license.expiryDate = new Date(Date.now() + 5 * 365 * 86400000).toISOString();
+    t.store.collection('licenses').set(licenseKey, license);
+
+    const quote = await t.request('POST', '/api/upgrade-quote', { licenseKey, planId: 'station-1y' });
+    assert.equal(quote.body.amount, 10000);
+    assert.equal(quote.body.carryOverDays, 123);
+
+    const upgrade = await t.request('POST', '/api/upgrade-license', { licenseKey, planId: 'station-1y' });
+    assert.equal(upgrade.body.carryOverDays, 123);
+    await t.pay(upgrade.body);
+
+    const upgraded = t.store.collection('licenses').get(licenseKey);
+    assert.equal(upgraded.planId, 'station-1y');
+    assert.equal(upgraded.seats, 5);
+    const days = (new Date(upgraded.expiryDate) - Date.now()) / 86400000;
+    assert.ok(days > 365 + 122.9 && days <= 365 + 123);
+  });
+});
+
+describe('hủy / đối soát payment', () => {
+  let t;
+  beforeEach(async () => { t = await startTestApp(); });
+  afterEach(() => t.close());
+
+  async function createOrder(minutesAgo = 0) {
+    const created = await t.request('POST', '/api/create-payment', { planId: 'premium-1m' });
+    const payments = t.store.collection('payments');
+    const payment = payments.get(String(created.body.orderId));
+    payment.createdAt = new Date(Date.now() - minutesAgo * 60000).toISOString();
+    payments.set(String(created.body.orderId), payment);
+    return created.body;
+  }
+
+  it('cancel-payment hủy link trên PayOS và đóng order pending', async () => {
+    const order = await createOrder();
+
+    const res = await t.request('POST', `/api/cancel-payment/${order.orderId}`, { reason: 'Đổi gói' }, {
+      'x-order-secret': order.clientSecret
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'cancelled');
+    assert.equal(t.payos.orders.get(String(order.orderId)).status, 'CANCELLED');
+    assert.equal(t.store.collection('payments').get(String(order.orderId)).closeReason, 'Đổi gói');
+
+    const again = await t.request('POST', `/api/cancel-payment/${order.orderId}`, {}, {
+      'x-order-secret': order.clientSecret
+    });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, 'ORDER_NOT_CANCELLABLE');
+  });
+
+  it('cancel-payment khi khách vừa thanh toán thì phát hành license thay vì hủy', async () => {
+    const order = await createOrder();
+    t.payos.setStatus(order.orderId, 'PAID');
+
+    const res = await t.request('POST', `/api/cancel-payment/${order.orderId}`, {}, {
+      'x-order-secret': order.clientSecret
+    });
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.status, 'paid');
+    assert.equal(t.store.collection('licenses').size, 1);
+  });
+
+  it('reconciler đóng order pending quá hạn và hủy link trên PayOS', async () => {
+    const order = await createOrder(60);
+
+    const results = await t.reconciler.runOnce();
+
+    assert.equal(results[order.orderId], 'expired');
+    assert.equal(t.store.collection('payments').get(String(order.orderId)).status, 'expired');
+    assert.equal(t.payos.orders.get(String(order.orderId)).status, 'CANCELLED');
+  });
+
+  it('reconciler phát hành license cho order PayOS báo đã thanh toán, bỏ qua order còn mới', async () => {
+    const paid = await createOrder(15);
+    t.payos.setStatus(paid.orderId, 'PAID');
+    const fresh = await createOrder();
+
+    const results = await t.reconciler.runOnce();
+
+    assert.deepEqual(results, { [paid.orderId]: 'fulfilled' });
+    const payment = t.store.collection('payments').get(String(paid.orderId));
+    assert.equal(payment.status, 'paid');
+    assert.equal(payment.fulfilledBy, 'reconciler');
+    assert.equal(t.store.collection('licenses').get(payment.licenseKey).planId, 'premium-1m');
+    assert.equal(t.store.collection('payments').get(String(fresh.orderId)).status, 'pending');
+  });
+});
+
+describe('coupon', () => {
+  let t;
+  beforeEach(async () => {
+    t = await startTestApp();
+    await t.admin('POST', '/api/admin/coupons', {
+      code: 'SALE20', type: 'percent', value: 20, maxRedemptions: 1, planIds: ['premium-1y']
+    });
+  });
+  afterEach(() => t.close());
+
+  const redeemed = () => t.store.collection('coupons').get('SALE20').redeemedCount;
+
+  it('giá sau giảm là số tiền được ký và gửi PayOS, payment ghi lại discount', async () => {
+    const quote = await t.request('POST', '/api/validate-coupon', { couponCode: 'sale20', planId: 'premium-1y' });
+    assert.equal(quote.body.amount, 320000);
+    assert.equal(quote.body.discount, 79000);
+
+    const res = await t.request('POST', '/api/create-payment', { planId: 'premium-1y', couponCode: 'sale20' });
+    assert.equal(res.body.amount, 320000);
+
+    const sent = t.payos.requests.find(item => item.path === '/v2/payment-requests');
+    const { amount, cancelUrl, description, orderCode, returnUrl } = sent.body;
+    assert.equal(amount, 320000);
+    assert.equal(sent.body.signature, sign({ amount, cancelUrl, description, orderCode, returnUrl }, CHECKSUM_KEY));
+
+    const payment = t.store.collection('payments').get(String(res.body.orderId));
+    assert.equal(payment.couponCode, 'SALE20');
+    assert.equal(payment.discount, 79000);
+
+    const otherPlan = await t.request('POST', '/api/create-payment', { planId: 'premium-1m', couponCode: 'SALE20' });
+    assert.equal(otherPlan.body.code, 'COUPON_NOT_APPLICABLE');
+  });
+
+  it('chỉ tính lượt dùng khi webhook hoàn tất đơn, không tính khi tạo hay hủy', async () => {
+    const cancelled = await t.request('POST', '/api/create-payment', { planId: 'premium-1y', couponCode: 'SALE20' });
+    assert.equal(redeemed(), 0);
+    await t.request('POST', `/api/cancel-payment/${cancelled.body.orderId}`, {}, {
+      'x-order-secret': cancelled.body.clientSecret
+    });
+    assert.equal(redeemed(), 0);
+
+    const order = await t.request('POST', '/api/create-payment', { planId: 'premium-1y', couponCode: 'SALE20' });
+    assert.equal(redeemed(), 0);
+    await t.pay(order.body);
+    assert.equal(redeemed(), 1);
+
+    // Webhook trùng không tính thêm lượt
+    await t.pay(order.body);
+    assert.equal(redeemed(), 1);
+
+    const exhausted = await t.request('POST', '/api/create-payment', { planId: 'premium-1y', couponCode: 'SALE20' });
+    assert.equal(exhausted.body.code, 'COUPON_EXHAUSTED');
+  });
+});
+
+describe('email license / nhắc gia hạn', () => {
+  let t;
+  let sent;
+  beforeEach(async () => {
+    t = await startTestApp();
+    sent = [];
+    t.mailer.send = async (template, to, data) => { sent.push({ template, to, data }); return true; };
+  });
+  afterEach(() => t.close());
+
+  it('đơn hoàn tất gửi mã license qua mailer một lần', async () => {
+    const order = await t.purchase('premium-1m', { email: 'khach@example.com', locale: 'en' });
+    await t.pay(order);
+
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].template, 'license');
+    assert.equal(sent[0].to, 'khach@example.com');
+    assert.equal(sent[0].data.licenseKey, order.licenseKey);
+    assert.equal(sent[0].data.locale, 'en');
+    assert.ok(t.store.collection('payments').get(String(order.orderId)).emailSentAt);
+  });
+
+  it('job nhắc gia hạn gửi mỗi mốc một lần', async () => {
+    const { licenseKey } = await t.purchase('premium-1m', { email: 'khach@example.com' });
+    sent.length = 0;
+    const at = days => new Date(Date.now() + days * 86400000);
+    const options = { store: t.store, mailer: t.mailer, reminderDays: [7, 1] };
+
+    assert.equal(await sendExpiryReminders({ ...options, now: at(10) }), 0);
+    assert.equal(await sendExpiryReminders({ ...options, now: at(25) }), 1);
+    assert.equal(await sendExpiryReminders({ ...options, now: at(26) }), 0);
+    assert.equal(await sendExpiryReminders({ ...options, now: at(29.5) }), 1);
+    assert.equal(await sendExpiryReminders({ ...options, now: at(29.6) }), 0);
+
+    assert.deepEqual(sent.map(item => [item.template, item.data.licenseKey, item.data.daysRemaining]), [
+      ['expiryReminder', licenseKey, 5],
+      ['expiryReminder', licenseKey, 1]
+    ]);
+  });
+});
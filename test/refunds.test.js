@@ -0,0 +1,138 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/test-app');
+
+describe('hoàn tiền / chargeback', () => {
+  let t;
+  beforeEach(async () => { t = await startTestApp(); });
+  afterEach(() => t.close());
+
+  it('hoàn tiền đơn mua thu hồi license, gỡ thiết bị và báo LICENSE_REFUNDED', async () => {
+    const { orderId, licenseKey } = await t.purchase('station-1y');
+    await t.request('POST', '/api/activate-license', { licenseKey, deviceId: 'device-a' });
+    await t.request('POST', '/api/activate-license', { licenseKey, deviceId: 'device-b' });
+
+    const res = await t.admin('POST', `/api/admin/payments/${orderId}/refund`, { reason: 'khách đổi ý' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.devicesReleased, 2);
+
+    const license = t.store.collection('licenses').get(licenseKey);
+    assert.equal(license.status, 'revoked');
+    assert.deepEqual(license.devices, []);
+    assert.equal(t.store.collection('deviceLicenses').get(t.hashDeviceId('device-a')), undefined);
+
+    const check = await t.request('POST', '/api/check-device-license', { deviceId: 'device-a' });
+    assert.equal(check.status, 403);
+    assert.equal(check.body.code, 'LICENSE_REFUNDED');
+    assert.equal(check.body.valid, false);
+
+    const activate = await t.request('POST', '/api/activate-license', { licenseKey, deviceId: 'device-c' });
+    assert.equal(activate.status, 403);
+    assert.equal(activate.body.code, 'LICENSE_REFUNDED');
+
+    const again = await t.admin('POST', `/api/admin/payments/${orderId}/refund`, { reason: 'lần hai' });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, 'ORDER_NOT_REFUNDABLE');
+  });
+
+  it('chargeback tạm khóa license thay vì thu hồi khi action là suspend', async () => {
+    const { orderId, licenseKey } = await t.purchase('premium-1m');
+
+    const res = await t.admin('POST', `/api/admin/payments/${orderId}/refund`, {
+      kind: 'chargeback', action: 'suspend', reason: 'ngân hàng báo tranh chấp'
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.payment.refundKind, 'chargeback');
+
+    const license = t.store.collection('licenses').get(licenseKey);
+    assert.equal(license.status, 'suspended');
+
+    const activate = await t.request('POST', '/api/activate-license', { licenseKey, deviceId: 'device-a' });
+    assert.equal(activate.body.code, 'LICENSE_CHARGEBACK');
+  });
+
+  it('review queue không cấp lại license cho đơn đã hoàn tiền', async () => {
+    const { orderId, amount, licenseKey } = await t.purchase('premium-1m');
+    await t.admin('POST', `/api/admin/payments/${orderId}/refund`, { reason: 'khách đổi ý' });
+
+    // PayOS gửi thêm một webhook khác cho order này -> vào review queue
+    await t.request('POST', '/api/payos-webhook', t.webhookPayload({ orderCode: orderId, amount, reference: 'LATE' }));
+    const review = await t.admin('GET', '/api/admin/review-queue');
+    const item = review.body.items.find(entry => entry.orderId === String(orderId));
+    assert.equal(item.reason, 'unexpected_status_refunded');
+
+    const res = await t.admin('POST', `/api/admin/review-queue/${item.id}/resolve`, { action: 'fulfill' });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, 'REVIEW_PAYMENT_REFUNDED');
+    assert.equal(t.store.collection('payments').get(String(orderId)).status, 'refunded');
+    assert.equal(t.store.collection('licenses').size, 1);
+    assert.equal(t.store.collection('licenses').get(licenseKey).status, 'revoked');
+  });
+});
+
+describe('hoàn tiền đơn gia hạn / nâng cấp', () => {
+  let t;
+  beforeEach(async () => { t = await startTestApp(); });
+  afterEach(() => t.close());
+
+  function refund(orderId) {
+    return t.admin('POST', `/api/admin/payments/${orderId}/refund`, { reason: 'khách đổi ý' });
+  }
+
+  it('hoàn tiền gia hạn chỉ trả lại hạn cũ, license mua trước đó vẫn dùng được', async () => {
+    const { licenseKey } = await t.purchase('premium-1m');
+    await t.request('POST', '/api/activate-license', { licenseKey, deviceId: 'device-a' });
+    const originalExpiry = t.store.collection('licenses').get(licenseKey).expiryDate;
+
+    const renewal = await t.request('POST', '/api/renew-license', { licenseKey });
+    await t.pay(renewal.body);
+    assert.notEqual(t.store.collection('licenses').get(licenseKey).expiryDate, originalExpiry);
+
+    const res = await refund(renewal.body.orderId);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.payment.status, 'refunded');
+
+    const license = t.store.collection('licenses').get(licenseKey);
+    assert.equal(license.status, 'used');
+    assert.equal(license.expiryDate, originalExpiry);
+    assert.equal(license.history.at(-1).action, 'change_refunded');
+
+    const check = await t.request('POST', '/api/check-device-license', { deviceId: 'device-a' });
+    assert.equal(check.body.valid, true);
+  });
+
+  it('hoàn tiền nâng cấp trả về gói / số máy cũ và gỡ thiết bị vượt số máy', async () => {
+    const { licenseKey } = await t.purchase('premium-1m');
+    const before = t.store.collection('licenses').get(licenseKey);
+
+    const upgrade = await t.request('POST', '/api/upgrade-license', { licenseKey, planId: 'station-1y' });
+    await t.pay(upgrade.body);
+    for (const deviceId of ['device-a', 'device-b', 'device-c']) {
+      await t.request('POST', '/api/activate-license', { licenseKey, deviceId });
+    }
+
+    const res = await refund(upgrade.body.orderId);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.devicesReleased, 2);
+
+    const license = t.store.collection('licenses').get(licenseKey);
+    assert.equal(license.planId, 'premium-1m');
+    assert.equal(license.seats, 1);
+    assert.equal(license.expiryDate, before.expiryDate);
+    assert.deepEqual(license.devices.map(device => device.deviceIdHash), [t.hashDeviceId('device-a')]);
+  });
+
+  it('license đã đổi tiếp sau đơn thì từ chối thay vì đoán phần cần trả lại', async () => {
+    const { licenseKey } = await t.purchase('premium-1m');
+    const first = await t.request('POST', '/api/renew-license', { licenseKey });
+    await t.pay(first.body);
+    const second = await t.request('POST', '/api/renew-license', { licenseKey });
+    await t.pay(second.body);
+
+    const res = await refund(first.body.orderId);
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, 'REFUND_NOT_REVERSIBLE');
+    assert.equal(t.store.collection('payments').get(String(first.body.orderId)).status, 'paid');
+    assert.equal(t.store.collection('licenses').get(licenseKey).status, 'active');
+  });
+});
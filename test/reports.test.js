@@ -0,0 +1,82 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/test-app');
+const { periodOf } = require('../lib/reports');
+
+describe('admin reports', () => {
+  let t;
+  beforeEach(async () => { t = await startTestApp(); });
+  afterEach(() => t.close());
+
+  it('doanh thu và tỉ lệ chuyển đổi theo ngày', async () => {
+    await t.purchase('premium-1m');
+    await t.purchase('premium-1y');
+    await t.request('POST', '/api/create-payment', { planId: 'premium-1m' });
+
+    const revenue = await t.admin('GET', '/api/admin/reports/revenue?groupBy=day');
+    assert.equal(revenue.status, 200);
+    assert.equal(revenue.body.groupBy, 'day');
+    assert.equal(revenue.body.items.length, 31);
+    assert.equal(revenue.body.summary.paidOrders, 2);
+    assert.equal(revenue.body.summary.grossRevenue, 49000 + 399000);
+
+    const today = revenue.body.items.find(row => row.period === periodOf(Date.now(), 'day'));
+    assert.equal(today.netRevenue, 49000 + 399000);
+
+    const conversion = await t.admin('GET', '/api/admin/reports/conversion?groupBy=month&planId=premium-1m');
+    assert.equal(conversion.body.summary.created, 2);
+    assert.equal(conversion.body.summary.paid, 1);
+    assert.equal(conversion.body.summary.conversionRate, 50);
+  });
+
+  it('tỉ lệ kích hoạt, trạng thái license và theo gói', async () => {
+    const { licenseKey } = await t.purchase('premium-1m');
+    await t.purchase('premium-1m');
+    await t.request('POST', '/api/activate-license', { licenseKey, deviceId: 'device-a' });
+
+    const activation = await t.admin('GET', '/api/admin/reports/activation?groupBy=week');
+    assert.deepEqual(
+      { issued: activation.body.summary.issued, activated: activation.body.summary.activated },
+      { issued: 2, activated: 1 }
+    );
+    assert.equal(activation.body.summary.activationRate, 50);
+
+    await t.admin('POST', `/api/admin/licenses/${licenseKey}/revoke`, {});
+    const status = await t.admin('GET', '/api/admin/reports/licenses');
+    assert.equal(status.body.since, null);
+    assert.deepEqual(status.body.items.map(row => [row.planId, row.active, row.revoked]), [['premium-1m', 1, 1]]);
+
+    const plans = await t.admin('GET', '/api/admin/reports/plans');
+    assert.equal(plans.body.items[0].planName, 'Premium 1 tháng');
+    assert.equal(plans.body.items[0].licensesIssued, 2);
+  });
+
+  it('license sắp hết hạn và export CSV', async () => {
+    const { licenseKey } = await t.purchase('premium-1m');
+    await t.purchase('premium-1y');
+
+    const expiring = await t.admin('GET', '/api/admin/reports/expiring?days=31');
+    assert.equal(expiring.body.summary.total, 1);
+    assert.equal(expiring.body.items[0].licenseKey, licenseKey);
+    assert.equal(expiring.body.items[0].daysRemaining, 30);
+
+    const csv = await t.admin('GET', '/api/admin/reports/expiring/export.csv?days=31');
+    assert.equal(csv.status, 200);
+    assert.match(csv.headers.get('content-type'), /text\/csv/);
+    assert.match(csv.headers.get('content-disposition'), /expiring\.csv/);
+    const lines = csv.body.replace(/^\uFEFF/, '').trim().split('\r\n');
+    assert.equal(lines.length, 2);
+    assert.match(lines[0], /^License key,Plan,/);
+    assert.ok(lines[1].startsWith(`${licenseKey},premium-1m,`));
+  });
+
+  it('từ chối report lạ và khoảng thời gian sai', async () => {
+    const unknown = await t.admin('GET', '/api/admin/reports/nope');
+    assert.equal(unknown.status, 400);
+
+    const reversed = await t.admin('GET', '/api/admin/reports/revenue?since=2026-02-01&until=2026-01-01');
+    assert.equal(reversed.status, 400);
+    assert.equal(reversed.body.details[0].field, 'query.until');
+    assert.equal(reversed.body.details[0].rule, 'range');
+  });
+});
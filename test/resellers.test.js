@@ -0,0 +1,105 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/test-app');
+
+describe('reseller', () => {
+  let t;
+  let headers;
+  let otherHeaders;
+
+  beforeEach(async () => {
+    t = await startTestApp();
+    const own = await t.admin('POST', '/api/admin/resellers', { name: 'Đại lý A' });
+    const other = await t.admin('POST', '/api/admin/resellers', { name: 'Đại lý B' });
+    headers = { 'x-reseller-key': own.body.apiKey };
+    otherHeaders = { 'x-reseller-key': other.body.apiKey };
+  });
+  afterEach(() => t.close());
+
+  // Đặt đơn mua sỉ rồi cho webhook thanh toán, trả về order + batch
+  async function bulkOrder(quantity = 3) {
+    const created = await t.request('POST', '/api/reseller/bulk-orders', { planId: 'premium-1y', quantity }, headers);
+    assert.equal(created.status, 201);
+    await t.pay(created.body);
+
+    const order = await t.request('GET', `/api/reseller/orders/${created.body.orderId}`, undefined, headers);
+    return { order: order.body, batch: t.store.collection('batches').get(order.body.batchId) };
+  }
+
+  it('đơn mua sỉ phát hành N key trong một batch', async () => {
+    const { order, batch } = await bulkOrder(3);
+
+    assert.equal(order.status, 'paid');
+    assert.equal(order.amount, 3 * 399000);
+    assert.match(order.batchId, /^BATCH-[0-9A-F]+$/);
+    assert.equal(batch.licenseKeys.length, 3);
+
+    for (const licenseKey of batch.licenseKeys) {
+      const license = t.store.collection('licenses').get(licenseKey);
+      assert.equal(license.planId, 'premium-1y');
+      assert.equal(license.batchId, batch.id);
+      assert.equal(license.resellerId, batch.resellerId);
+    }
+  });
+
+  it('liệt kê batch và xuất CSV', async () => {
+    const { batch } = await bulkOrder(2);
+
+    const list = await t.request('GET', '/api/reseller/batches', undefined, headers);
+    assert.deepEqual(list.body.items.map(item => [item.id, item.total]), [[batch.id, 2]]);
+
+    const detail = await t.request('GET', `/api/reseller/batches/${batch.id.toLowerCase()}`, undefined, headers);
+    assert.deepEqual(detail.body.licenses.map(row => row.licenseKey), batch.licenseKeys);
+
+    const csv = await t.request('GET', `/api/reseller/batches/${batch.id}/export.csv`, undefined, headers);
+    assert.equal(csv.status, 200);
+    assert.match(csv.headers.get('content-type'), /text\/csv/);
+    const lines = csv.body.replace(/^\uFEFF/, '').trim().split(/\r?\n/);
+    assert.match(lines[0], /^License key,Batch,Plan,Status/);
+    assert.equal(lines.length, 3);
+    for (const licenseKey of batch.licenseKeys) {
+      assert.ok(lines.some(line => line.startsWith(`${licenseKey},${batch.id},premium-1y,`)), licenseKey);
+    }
+  });
+
+  it('đại lý khác không đọc / thu hồi được batch, key và đơn của mình', async () => {
+    const { order, batch } = await bulkOrder(1);
+    const [licenseKey] = batch.licenseKeys;
+
+    const list = await t.request('GET', '/api/reseller/batches', undefined, otherHeaders);
+    assert.deepEqual(list.body.items, []);
+
+    const detail = await t.request('GET', `/api/reseller/batches/${batch.id}`, undefined, otherHeaders);
+    assert.equal(detail.body.code, 'BATCH_NOT_FOUND');
+
+    const csv = await t.request('GET', `/api/reseller/batches/${batch.id}/export.csv`, undefined, otherHeaders);
+    assert.equal(csv.status, 404);
+
+    const orderLookup = await t.request('GET', `/api/reseller/orders/${order.orderId}`, undefined, otherHeaders);
+    assert.equal(orderLookup.body.code, 'ORDER_NOT_FOUND');
+
+    const revoke = await t.request('POST', `/api/reseller/licenses/${licenseKey}/revoke`, {}, otherHeaders);
+    assert.equal(revoke.status, 404);
+    assert.equal(revoke.body.code, 'LICENSE_NOT_FOUND');
+    assert.equal(t.store.collection('licenses').get(licenseKey).status, 'active');
+
+    const own = await t.request('POST', `/api/reseller/licenses/${licenseKey}/revoke`, { reason: 'khách hoàn đơn' }, headers);
+    assert.equal(own.body.license.status, 'revoked');
+  });
+
+  it('hoàn tiền đơn mua sỉ thu hồi cả batch', async () => {
+    const { order, batch } = await bulkOrder(2);
+    await t.request('POST', '/api/activate-license', { licenseKey: batch.licenseKeys[0], deviceId: 'device-a' });
+
+    const res = await t.admin('POST', `/api/admin/payments/${order.orderId}/refund`, { reason: 'đại lý hủy đơn' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.licenses.length, 2);
+    assert.equal(res.body.devicesReleased, 1);
+
+    for (const licenseKey of batch.licenseKeys) {
+      assert.equal(t.store.collection('licenses').get(licenseKey).status, 'revoked');
+    }
+    const summary = await t.request('GET', `/api/reseller/batches/${batch.id}`, undefined, headers);
+    assert.equal(summary.body.batch.revoked, 2);
+  });
+});
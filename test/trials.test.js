@@ -0,0 +1,85 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/test-app');
+
+describe('dùng thử', () => {
+  let t;
+  beforeEach(async () => { t = await startTestApp({ TRIAL_DAYS: '5' }); });
+  afterEach(() => t.close());
+
+  function expire(licenseKey) {
+    const licenses = t.store.collection('licenses');
+    const license = licenses.get(licenseKey);
+    license.expiryDate = new Date(Date.now() - 60000).toISOString();
+    licenses.set(licenseKey, license);
+  }
+
+  it('bắt đầu dùng thử gắn license trial vào thiết bị theo TRIAL_DAYS', async () => {
+    const res = await t.request('POST', '/api/start-trial', { deviceId: 'device-a' });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.trial, true);
+    assert.equal(res.body.daysRemaining, 5);
+    assert.ok(res.body.licenseToken.token);
+
+    const license = t.store.collection('licenses').get(res.body.licenseKey);
+    assert.equal(license.planId, 'trial');
+    assert.equal(license.devices[0].deviceIdHash, t.hashDeviceId('device-a'));
+
+    const check = await t.request('POST', '/api/check-device-license', { deviceId: 'device-a' });
+    assert.equal(check.body.valid, true);
+    assert.equal(check.body.trial, true);
+    assert.equal(check.body.licenseKey, res.body.licenseKey);
+  });
+
+  it('mỗi thiết bị chỉ dùng thử một lần, thiết bị đã có license thì không cần', async () => {
+    const first = await t.request('POST', '/api/start-trial', { deviceId: 'device-a' });
+    await t.request('POST', '/api/release-device', { licenseKey: first.body.licenseKey, deviceId: 'device-a' });
+
+    const again = await t.request('POST', '/api/start-trial', { deviceId: 'device-a' });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, 'TRIAL_USED');
+
+    const { licenseKey } = await t.purchase('premium-1m');
+    await t.request('POST', '/api/activate-license', { licenseKey, deviceId: 'device-b' });
+    const licensed = await t.request('POST', '/api/start-trial', { deviceId: 'device-b' });
+    assert.equal(licensed.body.code, 'HAS_LICENSE');
+  });
+
+  it('check / refresh / activate đều báo TRIAL_EXPIRED khi hết hạn dùng thử', async () => {
+    const trial = await t.request('POST', '/api/start-trial', { deviceId: 'device-a' });
+    expire(trial.body.licenseKey);
+
+    const check = await t.request('POST', '/api/check-device-license', { deviceId: 'device-a' });
+    assert.equal(check.status, 403);
+    assert.equal(check.body.code, 'TRIAL_EXPIRED');
+    assert.equal(check.body.trial, true);
+    assert.equal(check.body.renewable, false);
+
+    const refresh = await t.request('POST', '/api/refresh-license-token', { deviceId: 'device-a' });
+    assert.equal(refresh.body.code, 'TRIAL_EXPIRED');
+
+    const activate = await t.request('POST', '/api/activate-license', {
+      licenseKey: trial.body.licenseKey,
+      deviceId: 'device-a'
+    });
+    assert.equal(activate.status, 403);
+    assert.equal(activate.body.code, 'TRIAL_EXPIRED');
+  });
+
+  it('mua từ thiết bị đang dùng thử thì thiết bị chuyển sang license mới', async () => {
+    const trial = await t.request('POST', '/api/start-trial', { deviceId: 'device-a' });
+
+    const { orderId, licenseKey } = await t.purchase('premium-1y', { deviceId: 'device-a' });
+
+    assert.equal(t.store.collection('payments').get(String(orderId)).trialConverted, true);
+    const license = t.store.collection('licenses').get(licenseKey);
+    assert.equal(license.status, 'used');
+    assert.equal(license.devices[0].deviceIdHash, t.hashDeviceId('device-a'));
+
+    const check = await t.request('POST', '/api/check-device-license', { deviceId: 'device-a' });
+    assert.equal(check.body.licenseKey, licenseKey);
+    assert.equal(check.body.trial, false);
+    assert.notEqual(check.body.licenseKey, trial.body.licenseKey);
+  });
+});
@@ -0,0 +1,188 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const crypto = require('crypto');
+const { startTestApp } = require('./helpers/test-app');
+const { sendExpiryReminders } = require('../lib/reminders');
+
+// Server nhận webhook: ghi lại mọi request, status trả về đổi được giữa chừng
+async function startReceiver() {
+  const received = [];
+  const receiver = { received, status: 200 };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body, json: JSON.parse(body) });
+      res.writeHead(receiver.status).end('ok');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  receiver.url = `http://127.0.0.1:${server.address().port}/hook`;
+  receiver.close = () => new Promise(resolve => server.close(resolve));
+  return receiver;
+}
+
+async function waitFor(check, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error('waitFor timeout');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+function verifySignature(header, secret, body) {
+  const { t: timestamp, v1 } = Object.fromEntries(header.split(',').map(part => part.split('=')));
+  const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return v1 === expected;
+}
+
+describe('outbound webhooks', () => {
+  let t;
+  let receiver;
+  beforeEach(async () => {
+    t = await startTestApp();
+    receiver = await startReceiver();
+  });
+  afterEach(async () => {
+    await t.close();
+    await receiver.close();
+  });
+
+  async function createWebhook(events) {
+    const res = await t.admin('POST', '/api/admin/webhooks', { url: receiver.url, events });
+    assert.equal(res.status, 201);
+    return res.body;
+  }
+
+  it('mỗi app tự phát event license của mình khi chạy nhiều app cùng process', async () => {
+    await createWebhook(['license.issued']);
+    const other = await startTestApp();
+
+    try {
+      await other.purchase('premium-1m');
+      const order = await t.purchase('premium-1m');
+
+      await waitFor(() => receiver.received.length >= 1);
+      assert.equal(receiver.received.length, 1);
+      assert.equal(receiver.received[0].json.data.license.key, order.licenseKey);
+    } finally {
+      await other.close();
+    }
+  });
+
+  it('gửi license.issued và payment.completed có chữ ký HMAC khi mua thành công', async () => {
+    const { webhook, secret } = await createWebhook(['license.issued', 'payment.completed']);
+    assert.match(secret, /^whsec_/);
+    assert.equal(webhook.secret, undefined);
+
+    const order = await t.purchase('premium-1m');
+    await waitFor(() => receiver.received.length >= 2);
+
+    const types = receiver.received.map(item => item.json.type).sort();
+    assert.deepEqual(types, ['license.issued', 'payment.completed']);
+
+    for (const item of receiver.received) {
+      assert.ok(verifySignature(item.headers['x-packing-signature'], secret, item.body));
+      assert.equal(item.headers['x-packing-event'], item.json.type);
+    }
+
+    const issued = receiver.received.find(item => item.json.type === 'license.issued').json;
+    assert.equal(issued.data.license.key, order.licenseKey);
+    const completed = receiver.received.find(item => item.json.type === 'payment.completed').json;
+    assert.equal(completed.data.payment.orderId, order.orderId);
+
+    const log = await t.admin('GET', `/api/admin/webhook-deliveries?endpointId=${webhook.id}`);
+    await waitFor(() => t.store.collection('webhookDeliveries').values().every(item => item.status === 'succeeded'));
+    assert.equal(log.body.total, 2);
+  });
+
+  it('chỉ gửi event endpoint đã đăng ký', async () => {
+    await createWebhook(['license.revoked']);
+    const order = await t.purchase('premium-1m');
+
+    await t.admin('POST', `/api/admin/licenses/${order.licenseKey}/revoke`, { reason: 'test' });
+    await waitFor(() => receiver.received.length >= 1);
+
+    assert.equal(receiver.received.length, 1);
+    assert.equal(receiver.received[0].json.type, 'license.revoked');
+    assert.equal(receiver.received[0].json.data.reason, 'test');
+  });
+
+  it('thử lại theo backoff khi endpoint lỗi, thành công thì dừng', async () => {
+    await createWebhook(['*']);
+    receiver.status = 500;
+
+    const [first] = t.webhooks.emit('license.expiring', { license: { key: 'PACK-TEST' }, daysRemaining: 3 });
+    const deliveries = t.store.collection('webhookDeliveries');
+    await waitFor(() => deliveries.get(first.id).attempts.length === 1);
+
+    const pending = deliveries.get(first.id);
+    assert.equal(pending.status, 'pending');
+    assert.equal(pending.attempts[0].responseStatus, 500);
+    assert.ok(new Date(pending.nextAttemptAt) > Date.now());
+
+    // Chưa tới giờ thử lại thì worker bỏ qua
+    assert.equal(await t.webhooks.runOnce(), 0);
+
+    receiver.status = 204;
+    assert.equal(await t.webhooks.runOnce(Date.now() + 2 * 60 * 1000), 1);
+
+    const delivered = deliveries.get(first.id);
+    assert.equal(delivered.status, 'succeeded');
+    assert.equal(delivered.attempts.length, 2);
+    assert.equal(receiver.received.length, 2);
+    assert.equal(receiver.received[0].json.id, receiver.received[1].json.id);
+  });
+
+  it('admin gửi lại delivery cũ thành delivery mới cùng event', async () => {
+    const { webhook } = await createWebhook(['license.issued']);
+    await t.purchase('premium-1m');
+    await waitFor(() => receiver.received.length === 1);
+
+    const [original] = (await t.admin('GET', '/api/admin/webhook-deliveries')).body.items;
+    const res = await t.admin('POST', `/api/admin/webhook-deliveries/${original.id}/redeliver`);
+
+    assert.equal(res.status, 202);
+    assert.equal(res.body.delivery.redeliveryOf, original.id);
+    await waitFor(() => receiver.received.length === 2);
+    assert.equal(receiver.received[1].json.id, receiver.received[0].json.id);
+
+    const missing = await t.admin('POST', '/api/admin/webhook-deliveries/nope/redeliver');
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.code, 'DELIVERY_NOT_FOUND');
+
+    await t.admin('DELETE', `/api/admin/webhooks/${webhook.id}`);
+    const orphan = await t.admin('POST', `/api/admin/webhook-deliveries/${original.id}/redeliver`);
+    assert.equal(orphan.body.code, 'WEBHOOK_NOT_FOUND');
+  });
+
+  it('báo license.expiring một lần mỗi mốc, kể cả license không có email', async () => {
+    await createWebhook(['license.expiring']);
+    const order = await t.purchase('premium-1m');
+    const mailer = { send: async () => true };
+    const options = { store: t.store, mailer, reminderDays: [30], onExpiring: t.webhooks.onLicenseExpiring };
+
+    assert.equal(await sendExpiryReminders(options), 0);
+    await sendExpiryReminders(options);
+    await waitFor(() => receiver.received.length === 1);
+
+    assert.equal(receiver.received[0].json.data.license.key, order.licenseKey);
+    assert.equal(receiver.received[0].json.data.daysRemaining, 30);
+    assert.equal(t.store.collection('webhookDeliveries').size, 1);
+  });
+
+  it('từ chối URL và event không hợp lệ', async () => {
+    const badUrl = await t.admin('POST', '/api/admin/webhooks', { url: 'ftp://x', events: ['license.issued'] });
+    assert.equal(badUrl.status, 400);
+    assert.equal(badUrl.body.details[0].field, 'body.url');
+
+    const badEvent = await t.admin('POST', '/api/admin/webhooks', { url: receiver.url, events: ['nope'] });
+    assert.equal(badEvent.status, 400);
+    assert.equal(badEvent.body.details[0].field, 'body.events');
+  });
+});